@@ -34,7 +34,16 @@ app.use(cors({ origin: "*" }));
 
 // Body parser configuration
 app.use(body_parser.urlencoded({ extended: true, limit: "50mb" }));
-app.use(body_parser.json({ extended: true, limit: "50mb" }));
+app.use(
+  body_parser.json({
+    extended: true,
+    limit: "50mb",
+    // Payment gateways sign the body exactly as they sent it
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Import routes and error handling modules
 const router = require("./src/routes/http");
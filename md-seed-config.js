@@ -5,6 +5,7 @@ const mongoURL = process.env.MONGODB_URL;
 
 const RoleAndAdminSeeder = require("./seeders/roleAndAdmin.seeder");
 const PermissionSeeder = require("./seeders/permission.seeder");
+const BillingLedgerSeeder = require("./seeders/billingLedger.seeder");
 
 /**
  * Seeders List
@@ -14,6 +15,7 @@ const PermissionSeeder = require("./seeders/permission.seeder");
 exports.seedersList = {
   RoleAndAdminSeeder,
   PermissionSeeder,
+  BillingLedgerSeeder,
 };
 /**
  * Connect to mongodb implementation
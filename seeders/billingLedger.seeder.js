@@ -0,0 +1,23 @@
+const { Seeder } = require("mongoose-data-seed");
+const BillingHistory = require("../src/model/BillingHistory");
+const {
+  recalculateAllBillings,
+} = require("../src/services/BillingLedgerService");
+
+/**
+ * Stores the paid, credited and due amounts of bills issued before the
+ * billing ledger kept them
+ */
+class BillingLedgerSeeder extends Seeder {
+  async shouldRun() {
+    return BillingHistory.exists({ dueAmount: { $exists: false } })
+      .exec()
+      .then((billing) => billing !== null);
+  }
+
+  async run() {
+    return await recalculateAllBillings({});
+  }
+}
+
+module.exports = BillingLedgerSeeder;
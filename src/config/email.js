@@ -7,6 +7,7 @@ class Email {
   mailDirectory = null;
   mailSubject = "Confirmation";
   mailData = {};
+  mailAttachments = [];
   constructor(to) {
     if (!to) {
       throw new AppError(422, "Destination email is required");
@@ -32,9 +33,13 @@ class Email {
     this.mailData = data;
     return this;
   }
+  attach(filename, content, contentType = "application/pdf") {
+    this.mailAttachments.push({ filename, content, contentType });
+    return this;
+  }
 
-  send() {
-    const client = nodemailer.createTransport({
+  transport() {
+    return nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: process.env.SMTP_PORT,
       secure: process.env.SMTP_PORT == 465 ? true : false, // upgrade later with STARTTLS
@@ -43,17 +48,24 @@ class Email {
         pass: process.env.SMTP_PASS,
       },
     });
-    // console.log(client);
-    let to = this.to;
-    let data = this.mailData;
-    let template = pug.renderFile(this.mailDirectory, data);
+  }
+  mailOptions() {
+    let template = pug.renderFile(this.mailDirectory, this.mailData);
 
-    var mailOptions = {
+    return {
       from: process.env.SMTP_FROM_EMAIL,
-      to,
+      to: this.to,
       subject: this.subjectTitle,
       html: template,
+      attachments: this.mailAttachments,
     };
+  }
+
+  send() {
+    const client = this.transport();
+    // console.log(client);
+    let to = this.to;
+    var mailOptions = this.mailOptions();
     client.sendMail(mailOptions, function (error) {
       if (error) {
         console.log(error.message);
@@ -64,6 +76,18 @@ class Email {
     });
     return this;
   }
+
+  // Waits for the SMTP server to accept the mail, for sends that must be recorded
+  async deliver() {
+    try {
+      let info = await this.transport().sendMail(this.mailOptions());
+      console.log("Email sent to: " + this.to);
+      return info;
+    } catch (error) {
+      console.log(error.message);
+      throw new AppError("Unable to send email", 500);
+    }
+  }
 }
 
 module.exports = Email;
@@ -87,3 +87,17 @@ exports.deleteFileByPath = async (filePath) => {
     return false
   }
 };
+
+// Function to build the public url of an uploaded file from its S3 key
+exports.getFileUrl = (key) => {
+  if (!key) {
+    return null;
+  }
+  if (/^https?:\/\//.test(key)) {
+    return key;
+  }
+  const baseUrl =
+    process.env.AWS_S3_PUBLIC_URL ||
+    `https://${AWS_S3_BUCKET}.s3.${AWS_S3_REGION}.amazonaws.com`;
+  return `${baseUrl}/${key}`;
+};
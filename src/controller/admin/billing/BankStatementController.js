@@ -0,0 +1,151 @@
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const BankStatementImport = require("../../../model/BankStatementImport");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  importStatement,
+  confirmLine,
+  ignoreLine,
+} = require("../../../services/BankReconciliationService");
+
+/**
+ * Upload a bank statement as CSV or OFX and match its lines to open bills
+ */
+exports.importStatement = catchAsync(async (req, res) => {
+  if (!req.file) {
+    throw new AppError("Statement file is required", 422);
+  }
+
+  const statement = await importStatement(req.file, {
+    bankAccount: req.body.bankAccount,
+    currency: req.body.currency,
+    importedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    message: "Bank statement imported successfully",
+    data: statement,
+  });
+});
+
+/**
+ * Get all bank statement imports with pagination
+ */
+exports.getAllStatements = catchAsync(async (req, res) => {
+  const { status, page = 1, limit = 10 } = req.query;
+
+  const aggregateQuery = BankStatementImport.aggregate([
+    { $match: { ...(status && { status }) } },
+    {
+      $project: {
+        fileName: 1,
+        format: 1,
+        bankAccount: 1,
+        currency: 1,
+        status: 1,
+        skippedLines: 1,
+        importedBy: 1,
+        createdAt: 1,
+        totalLines: { $size: "$lines" },
+        unresolvedLines: {
+          $size: {
+            $filter: {
+              input: "$lines",
+              as: "line",
+              cond: {
+                $not: { $in: ["$$line.status", ["confirmed", "ignored"]] },
+              },
+            },
+          },
+        },
+      },
+    },
+    { $sort: { createdAt: -1 } },
+  ]);
+
+  const result = await BankStatementImport.aggregatePaginate(aggregateQuery, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    status: "success",
+    data: result,
+  });
+});
+
+/**
+ * Get a bank statement import with its lines and suggested bills
+ */
+exports.getStatement = catchAsync(async (req, res) => {
+  const statement = await BankStatementImport.findById(req.params.id)
+    .populate({
+      path: "lines.suggestions.billing",
+      select: "billNumber grandTotal currency dueDate status client case",
+      populate: [
+        { path: "client", select: "companyName clientNumber" },
+        { path: "case", select: "caseNumber title" },
+      ],
+    })
+    .populate("lines.payments", "billing amount currency date")
+    .populate("importedBy", "firstName lastName")
+    .lean();
+
+  if (!statement) {
+    throw new AppError("Bank statement import not found", 404);
+  }
+
+  res.json({
+    status: "success",
+    data: statement,
+  });
+});
+
+/**
+ * Confirm a statement line as a payment of one bill, or split across bills
+ *
+ * A line flagged as a duplicate of a recorded payment is only confirmed with
+ * allowDuplicate.
+ */
+exports.confirmLine = catchAsync(async (req, res) => {
+  const { billingId, clientId, allocations, note, allowDuplicate } = req.body;
+  await SimpleValidator(req.body, {
+    ...(billingId && { billingId: "mongoid" }),
+    ...(allocations && { clientId: "required|mongoid", allocations: "array" }),
+  });
+  for (const allocation of allocations ?? []) {
+    await SimpleValidator(allocation, {
+      billingId: "required|mongoid",
+      amount: "required|numeric|min:0.01",
+    });
+  }
+
+  const { payments } = await confirmLine(req.params.id, req.params.lineId, {
+    billingId,
+    clientId,
+    allocations,
+    note,
+    allowDuplicate: allowDuplicate === true || allowDuplicate === "true",
+    userId: req.user._id,
+  });
+
+  res.json({
+    message: "Statement line confirmed successfully",
+    data: { payments },
+  });
+});
+
+/**
+ * Ignore a statement line that is not a client payment
+ */
+exports.ignoreLine = catchAsync(async (req, res) => {
+  const statement = await ignoreLine(req.params.id, req.params.lineId, {
+    note: req.body.note,
+    userId: req.user._id,
+  });
+
+  res.json({
+    message: "Statement line ignored successfully",
+    data: statement.lines.id(req.params.lineId),
+  });
+});
@@ -1,4 +1,5 @@
 const { Types } = require("mongoose");
+const { parseBoolean, roundAmount } = require("../../../utils/utils");
 const AppError = require("../../../exception/AppError");
 const catchAsync = require("../../../exception/catchAsync");
 const BillingHistory = require("../../../model/BillingHistory");
@@ -7,7 +8,71 @@ const Client = require("../../../model/Client");
 const DSRTimeTracking = require("../../../model/DSRTimeTracking");
 const SimpleValidator = require("../../../validator/simpleValidator");
 const Payment = require("../../../model/Payment");
-const { getNextBillingNumber } = require("../../../services/BillingService");
+const CreditNote = require("../../../model/CreditNote");
+const {
+  getNextBillingNumber,
+  getUnbilledTimeEntries,
+  buildTimeBasedItems,
+  calculateRealization,
+  claimTimeEntries,
+  releaseTimeEntries,
+  getStatementData,
+  calculateBillingTotals,
+} = require("../../../services/BillingService");
+const {
+  recalculateBilling,
+  recalculateAllBillings,
+} = require("../../../services/BillingLedgerService");
+const { checkFeeLimits } = require("../../../services/CaseFeeService");
+const {
+  getUnbilledExpenses,
+  buildExpenseItems,
+  claimExpenses,
+  releaseExpenses,
+} = require("../../../services/ExpenseService");
+const { renderPdf } = require("../../../services/PdfService");
+const { sendStatementEmail } = require("../../../services/BillingMailService");
+const {
+  ensureEditable,
+  transition,
+} = require("../../../services/BillingApprovalService");
+const { reversePayment } = require("../../../services/PaymentService");
+const {
+  BASE_CURRENCY,
+  getRate,
+  normalizeCurrency,
+} = require("../../../services/ExchangeRateService");
+
+/**
+ * Checks the items of a bill against the fees agreed on its case
+ *
+ * Going over the cap fee, the contract price or the fixed OPE allowance is
+ * refused unless the user overrides the fee limits, the other agreed fees
+ * only warn.
+ */
+const checkCaseFees = async (caseData, items, billing, options) => {
+  if (!caseData) {
+    return {};
+  }
+  const { override, userId, excludeBilling } = options;
+  const exceeded = await checkFeeLimits(caseData, items, billing, {
+    excludeBilling,
+  });
+  const blocking = exceeded.filter((limit) => limit.enforced);
+  if (blocking.length && !override) {
+    throw new AppError(
+      `${blocking
+        .map((limit) => limit.message)
+        .join(". ")}. Override the fee limits to bill it anyway`,
+      422
+    );
+  }
+
+  return {
+    feeWarnings: exceeded.map((limit) => limit.message),
+    feeLimitOverriddenBy: blocking.length ? userId : null,
+  };
+};
 
 /**
  * Creates a new billing record
@@ -24,6 +89,8 @@ exports.createBilling = catchAsync(async (req, res) => {
     billingEnd,
     dueDate,
     items,
+    overrideFeeLimits,
+    includeExpenses,
   } = req.body;
 
   await SimpleValidator(req.body, {
@@ -36,63 +103,115 @@ exports.createBilling = catchAsync(async (req, res) => {
     dueDate: "required|date",
   });
 
-  if (!billNumber) {
-    billNumber = await getNextBillingNumber();
-    console.log("generated bill number", billNumber);
-  }
-  let checkExistingBilling = await BillingHistory.findOne({ billNumber });
-  if (checkExistingBilling) {
-    throw new AppError("Billing number already exists", 422);
-  }
-
   // Validate case and client existence
   const caseData = await Case.findById(caseId);
   if (!caseData) {
     throw new AppError("Case not found", 404);
   }
 
+  if (billNumber && (await BillingHistory.exists({ billNumber }))) {
+    throw new AppError("Billing number already exists", 422);
+  }
+
+  // Bills are issued in the case currency unless told otherwise, and keep the
+  // exchange rate of the day they were issued
+  currency = normalizeCurrency(currency || caseData.currency);
+  const exchangeRate = await getRate(currency);
+
   let billingItems = items;
-  let calculatedTotals = { subTotal: 0, tax: 0, discount: 0, grandTotal: 0 };
+  let timeEntryIds = [];
+  let realization;
+
+  // Time-based bills are built from the unbilled DSR entries of the case
+  if (billingType === "timeBased") {
+    const timeEntries = await getUnbilledTimeEntries(
+      caseId,
+      billingStart,
+      billingEnd
+    );
+    if (!timeEntries.length) {
+      throw new AppError(
+        "No unbilled time entries found for this billing period",
+        422
+      );
+    }
+    billingItems = buildTimeBasedItems(timeEntries, caseData.vatSetting);
+    timeEntryIds = timeEntries.map((entry) => entry._id);
+    realization = calculateRealization(timeEntries);
+  }
+
+  // Unbilled disbursements of the case go on the next bill
+  let expenseIds = [];
+  if (includeExpenses === undefined || parseBoolean(includeExpenses)) {
+    const expenses = await getUnbilledExpenses(caseId, billingEnd);
+    billingItems = [
+      ...(billingItems ?? []),
+      ...(await buildExpenseItems(expenses, currency)),
+    ];
+    expenseIds = expenses.map((expense) => expense._id);
+  }
 
   // Calculate totals
-  calculatedTotals = billingItems.reduce((acc, item) => {
-    const itemTotal = item.quantity * item.price;
-    const itemDiscount = (itemTotal * item.discount) / 100;
-
-    const itemVat =
-      item.vat?.type == "percentage"
-        ? ((itemTotal - itemDiscount) * item?.vat?.rate) / 100
-        : item?.vat?.type == "flat"
-        ? item?.vat?.rate
-        : 0;
-
-    return {
-      subTotal: acc.subTotal + itemTotal,
-      tax: acc.tax + itemVat,
-      discount: acc.discount + itemDiscount,
-      grandTotal: acc.grandTotal + (itemTotal - itemDiscount + itemVat),
-    };
-  }, calculatedTotals);
-
-  const newBilling = await BillingHistory.create({
-    case: caseId,
-    client: caseData.client,
-    billingType,
-    currency,
-    // title,
-    billNumber,
-    note,
-    billingStart,
-    billingEnd,
-    dueDate,
-    items: billingItems,
-    ...calculatedTotals,
-    createdBy: req.user._id,
-  });
+  const calculatedTotals = calculateBillingTotals(billingItems);
+  const feeCheck = await checkCaseFees(
+    caseData,
+    billingItems,
+    { currency, exchangeRate },
+    { override: overrideFeeLimits, userId: req.user._id }
+  );
+
+  const billingId = new Types.ObjectId();
+  if (timeEntryIds.length) {
+    await claimTimeEntries(timeEntryIds, billingId);
+  }
+  if (expenseIds.length) {
+    try {
+      await claimExpenses(expenseIds, billingId);
+    } catch (error) {
+      await releaseTimeEntries(billingId);
+      throw error;
+    }
+  }
+
+  let newBilling;
+  try {
+    // Issued last, so a rejected bill never uses up a number
+    if (!billNumber) {
+      billNumber = await getNextBillingNumber(caseData.workspace);
+    }
+    newBilling = await BillingHistory.create({
+      _id: billingId,
+      case: caseId,
+      client: caseData.client,
+      billingType,
+      currency,
+      exchangeRate,
+      // title,
+      billNumber,
+      note,
+      billingStart,
+      billingEnd,
+      dueDate,
+      items: billingItems,
+      ...calculatedTotals,
+      ...feeCheck,
+      realization,
+      // New bills are released only once the supervising partner approves
+      approvalStatus: "draft",
+      createdBy: req.user._id,
+    });
+  } catch (error) {
+    // Hand the claimed entries back so they can be billed again
+    await releaseTimeEntries(billingId);
+    await releaseExpenses(billingId);
+    throw error;
+  }
+  await recalculateBilling(newBilling);
 
   res.status(201).json({
     message: "Billing created successfully",
     data: newBilling,
+    warnings: feeCheck.feeWarnings,
   });
 });
 
@@ -103,6 +222,7 @@ exports.getAllBillings = catchAsync(async (req, res) => {
   const {
     search,
     status,
+    approvalStatus,
     client,
     case: caseId,
     page = 1,
@@ -113,6 +233,7 @@ exports.getAllBillings = catchAsync(async (req, res) => {
 
   const query = {
     ...(status && { status }),
+    ...(approvalStatus && { approvalStatus }),
     ...(client && { client }),
     ...(caseId && { case: new Types.ObjectId(caseId) }),
     ...(search && {
@@ -144,19 +265,10 @@ exports.getAllBillings = catchAsync(async (req, res) => {
     },
     { $unwind: "$clientData" },
     {
-      $lookup: {
-        from: "payments",
-        localField: "_id",
-        foreignField: "billing",
-        as: "payments",
-      },
-    },
-    {
+      // Kept up to date by BillingLedgerService
       $addFields: {
-        totalPaid: { $sum: "$payments.amount" },
-        dueAmount: {
-          $subtract: ["$grandTotal", { $sum: "$payments.amount" }],
-        },
+        totalPaid: "$paidAmount",
+        totalCredited: "$creditedAmount",
       },
     },
     {
@@ -169,13 +281,16 @@ exports.getAllBillings = catchAsync(async (req, res) => {
         billingType: 1,
         currency: 1,
         status: 1,
+        approvalStatus: 1,
         subTotal: 1,
         discount: 1,
         tax: 1,
 
         grandTotal: 1,
         totalPaid: 1,
+        totalCredited: 1,
         dueAmount: 1,
+        voidReason: 1,
         // "caseData.title": 1,
         "caseData.caseNumber": 1,
         clientData: {
@@ -217,6 +332,8 @@ exports.getBilling = catchAsync(async (req, res) => {
     .populate("case", "title caseNumber")
     .populate("client", "companyName clientNumber")
     .populate("createdBy", "firstName lastName")
+    .populate("voidedBy", "firstName lastName")
+    .populate("reviewHistory.by", "firstName lastName")
     .lean();
 
   if (!billing) {
@@ -228,20 +345,59 @@ exports.getBilling = catchAsync(async (req, res) => {
     .populate("receivedBy", "firstName lastName")
     .lean();
 
-  const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
-  const dueAmount = billing.grandTotal - totalPaid;
+  const creditNotes = await CreditNote.find({ billing: billing._id })
+    .populate("createdBy", "firstName lastName")
+    .sort({ date: 1 })
+    .lean();
 
   res.json({
     status: "success",
     data: {
       ...billing,
       payments,
-      totalPaid,
-      dueAmount,
+      creditNotes,
+      totalPaid: billing.paidAmount,
+      totalCredited: billing.creditedAmount,
     },
   });
 });
 
+/**
+ * Download the billing statement as PDF
+ */
+exports.downloadBillingPdf = catchAsync(async (req, res) => {
+  const statement = await getStatementData(req.params.id);
+  const pdf = await renderPdf("billing-statement", statement);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${
+      statement.billing.billNumber || statement.billing._id
+    }.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+});
+
+/**
+ * Email the billing statement to the client
+ */
+exports.sendBilling = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    emails: "array",
+  });
+
+  const recipients = await sendStatementEmail(req.params.id, {
+    emails: req.body.emails,
+    sentBy: req.user._id,
+  });
+
+  res.json({
+    message: "Billing sent successfully",
+    data: { recipients },
+  });
+});
+
 /**
  * Update billing details
  */
@@ -255,6 +411,8 @@ exports.updateBilling = catchAsync(async (req, res) => {
     dueDate,
     items,
     status,
+    comment,
+    overrideFeeLimits,
   } = req.body;
 
   await SimpleValidator(req.body, {
@@ -267,47 +425,32 @@ exports.updateBilling = catchAsync(async (req, res) => {
   if (!billing) {
     throw new AppError("Billing not found", 404);
   }
+  if (billing.status === "void") {
+    throw new AppError("A void billing cannot be updated", 422);
+  }
+  ensureEditable(billing);
 
   // Don't allow updates if billing type is timeBased
   if (billing.billingType === "timeBased" && items) {
     throw new AppError("Cannot update items for time-based billing", 400);
   }
 
-  let calculatedTotals = { subTotal: 0, tax: 0, discount: 0, grandTotal: 0 };
-
-  if (items) {
-    calculatedTotals = items.reduce((acc, item) => {
-      const itemTotal = item.quantity * item.price;
-      const itemDiscount = (itemTotal * item.discount) / 100;
-      const itemVat =
-        item.vat?.type == "percentage"
-          ? ((itemTotal - itemDiscount) * item?.vat?.rate) / 100
-          : item?.vat?.type == "flat"
-          ? item?.vat?.rate
-          : 0;
-
-      return {
-        subTotal: acc.subTotal + itemTotal,
-        tax: acc.tax + itemVat,
-        discount: acc.discount + itemDiscount,
-        grandTotal: acc.grandTotal + (itemTotal - itemDiscount + itemVat),
+  const feeCheck = items
+    ? await checkCaseFees(await Case.findById(billing.case), items, billing, {
+        override: overrideFeeLimits,
+        userId: req.user._id,
+        excludeBilling: billing._id,
+      })
+    : {};
+
+  const calculatedTotals = items
+    ? calculateBillingTotals(items)
+    : {
+        subTotal: billing.subTotal,
+        tax: billing.tax,
+        discount: billing.discount,
+        grandTotal: billing.grandTotal,
       };
-    }, calculatedTotals);
-  }
-
-  let billingStatus = "partiallyPaid";
-
-  let totalPaidData = await Payment.aggregate([
-    { $match: { billing: new Types.ObjectId(req.params.id) } },
-    { $group: { _id: null, total: { $sum: "$amount" } } },
-  ]);
-  let totalPaid = totalPaidData[0]?.total || 0;
-
-  if (totalPaid === calculatedTotals?.grandTotal) {
-    billingStatus = "paid";
-  } else if (totalPaid > calculatedTotals?.grandTotal) {
-    billingStatus = "overpaid";
-  }
 
   const updatedBilling = await BillingHistory.findByIdAndUpdate(
     req.params.id,
@@ -320,43 +463,195 @@ exports.updateBilling = catchAsync(async (req, res) => {
       dueDate,
       ...(items && { items }),
       ...calculatedTotals,
-      status: billingStatus,
+      ...feeCheck,
+      $push: {
+        reviewHistory: {
+          action: "edited",
+          from: billing.approvalStatus,
+          to: billing.approvalStatus,
+          comment,
+          by: req.user._id,
+          at: new Date(),
+        },
+      },
     },
     { new: true, runValidators: true }
   );
 
+  // Expenses taken off the bill can be billed again
+  if (items) {
+    await releaseExpenses(
+      billing._id,
+      items.map((item) => item.expense).filter(Boolean)
+    );
+  }
+
+  await recalculateBilling(updatedBilling);
+
   res.json({
     message: "Billing updated successfully",
     data: updatedBilling,
+    warnings: feeCheck.feeWarnings ?? [],
+  });
+});
+
+/**
+ * Submit a draft billing to the supervising partner for review
+ */
+exports.submitBilling = catchAsync(async (req, res) => {
+  const billing = await transition(req.params.id, "submitted", {
+    userId: req.user._id,
+    comment: req.body.comment,
+  });
+
+  res.json({
+    message: "Billing submitted for review",
+    data: billing,
+  });
+});
+
+/**
+ * Approve a billing for release to the client
+ */
+exports.approveBilling = catchAsync(async (req, res) => {
+  const billing = await transition(req.params.id, "approved", {
+    userId: req.user._id,
+    comment: req.body.comment,
+  });
+
+  res.json({
+    message: "Billing approved successfully",
+    data: billing,
+  });
+});
+
+/**
+ * Send a billing under review back to draft with the changes required
+ */
+exports.requestBillingChanges = catchAsync(async (req, res) => {
+  const { comment, requiredChanges } = req.body;
+  await SimpleValidator(req.body, {
+    comment: "required|string",
+    ...(requiredChanges && { requiredChanges: "array" }),
+  });
+
+  const billing = await transition(req.params.id, "changesRequested", {
+    userId: req.user._id,
+    comment,
+    requiredChanges,
+  });
+
+  res.json({
+    message: "Changes requested successfully",
+    data: billing,
+  });
+});
+
+/**
+ * Reopen an approved billing that has not been sent or paid, back to draft
+ */
+exports.reopenBilling = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    comment: "required|string",
+  });
+
+  const billing = await transition(req.params.id, "reopened", {
+    userId: req.user._id,
+    comment: req.body.comment,
+  });
+
+  res.json({
+    message: "Billing reopened successfully",
+    data: billing,
+  });
+});
+
+/**
+ * Recompute the amounts and status of every billing, or of a client's billings
+ */
+exports.recalculateBillings = catchAsync(async (req, res) => {
+  const { client } = req.body;
+  await SimpleValidator(req.body, {
+    ...(client && { client: "mongoid" }),
+  });
+
+  const result = await recalculateAllBillings({
+    ...(client && { client: new Types.ObjectId(client) }),
+  });
+
+  res.json({
+    message: "Billings recalculated successfully",
+    data: result,
   });
 });
 
 /**
- * Delete billing (soft delete)
+ * Void a billing
+ *
+ * Bills are never deleted, a voided bill stays visible with its reason. Its
+ * payments are taken off it and kept with their receipts, the money collected
+ * as client credit and retainer money back in the retainer. The time entries
+ * of a voided bill become billable again.
  */
-exports.deleteBilling = catchAsync(async (req, res) => {
-  const billing = await BillingHistory.findByIdAndDelete(req.params.id);
+exports.voidBilling = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    reason: "required|string",
+  });
 
+  const billing = await BillingHistory.findById(req.params.id);
   if (!billing) {
     throw new AppError("Billing not found", 404);
   }
+  if (billing.status === "void") {
+    throw new AppError("Billing is already void", 422);
+  }
+
+  const hasCreditNotes = await CreditNote.exists({
+    billing: billing._id,
+    status: "issued",
+  });
+  if (hasCreditNotes) {
+    throw new AppError(
+      "Billing has credit notes, void them before voiding the billing",
+      422
+    );
+  }
+
+  const payments = await Payment.find({ billing: billing._id });
+  for (const payment of payments) {
+    await reversePayment(billing, payment, {
+      reason: `Bill voided, ${req.body.reason}`,
+      userId: req.user._id,
+    });
+  }
 
-  await Payment.deleteMany({ billing: billing._id });
+  billing.status = "void";
+  billing.voidReason = req.body.reason;
+  billing.voidedAt = new Date();
+  billing.voidedBy = req.user._id;
+  await billing.save();
 
-  res.status(204).json({
-    message: "Billing deleted successfully",
-    data: null,
+  await releaseTimeEntries(billing._id);
+  await releaseExpenses(billing._id);
+  await recalculateBilling(billing);
+
+  res.json({
+    message: "Billing voided successfully",
+    data: billing,
   });
 });
 
 /**
  * Get billing statistics
+ *
+ * Totals are reported per currency in the original amounts, and overall in PHP.
+ * Void bills are left out and credit notes reduce the amount due. Bills and
+ * credits convert at the rate snapshotted when issued, payments at the rate of
+ * the day they were received.
  */
 exports.getBillingStats = catchAsync(async (req, res) => {
-  const stats = await BillingHistory.aggregate([
-    {
-      $match: { status: "active" },
-    },
+  const currencies = await BillingHistory.aggregate([
+    { $match: { status: { $ne: "void" } } },
     {
       $lookup: {
         from: "payments",
@@ -365,28 +660,124 @@ exports.getBillingStats = catchAsync(async (req, res) => {
         as: "payments",
       },
     },
+    {
+      $lookup: {
+        from: "creditnotes",
+        localField: "_id",
+        foreignField: "billing",
+        pipeline: [{ $match: { status: "issued" } }],
+        as: "creditNotes",
+      },
+    },
+    {
+      $addFields: {
+        currency: {
+          $cond: [
+            { $in: ["$currency", [null, "PH"]] },
+            BASE_CURRENCY,
+            "$currency",
+          ],
+        },
+        exchangeRate: { $ifNull: ["$exchangeRate", 1] },
+        paid: { $sum: "$payments.amount" },
+        credited: { $sum: "$creditNotes.amount" },
+        paidInBaseCurrency: {
+          $sum: {
+            $map: {
+              input: "$payments",
+              as: "payment",
+              // Tax withheld converts at the bill's rate, it was never received
+              in: {
+                $add: [
+                  {
+                    $multiply: [
+                      {
+                        $ifNull: [
+                          "$$payment.receivedAmount",
+                          "$$payment.amount",
+                        ],
+                      },
+                      {
+                        $ifNull: [
+                          "$$payment.exchangeRate",
+                          { $ifNull: ["$exchangeRate", 1] },
+                        ],
+                      },
+                    ],
+                  },
+                  {
+                    $multiply: [
+                      { $ifNull: ["$$payment.withholdingTax.amount", 0] },
+                      { $ifNull: ["$exchangeRate", 1] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
     {
       $group: {
-        _id: null,
+        _id: "$currency",
         totalBillings: { $sum: 1 },
         totalAmount: { $sum: "$grandTotal" },
-        totalPaid: { $sum: { $sum: "$payments.amount" } },
+        totalPaid: { $sum: "$paid" },
+        totalCredited: { $sum: "$credited" },
         totalDue: {
           $sum: {
-            $subtract: ["$grandTotal", { $sum: "$payments.amount" }],
+            $subtract: ["$grandTotal", { $add: ["$paid", "$credited"] }],
+          },
+        },
+        totalAmountInBaseCurrency: {
+          $sum: { $multiply: ["$grandTotal", "$exchangeRate"] },
+        },
+        totalPaidInBaseCurrency: { $sum: "$paidInBaseCurrency" },
+        totalCreditedInBaseCurrency: {
+          $sum: { $multiply: ["$credited", "$exchangeRate"] },
+        },
+        totalDueInBaseCurrency: {
+          $sum: {
+            $multiply: [
+              { $subtract: ["$grandTotal", { $add: ["$paid", "$credited"] }] },
+              "$exchangeRate",
+            ],
           },
         },
       },
     },
+    {
+      $project: {
+        _id: 0,
+        currency: "$_id",
+        totalBillings: 1,
+        totalAmount: 1,
+        totalPaid: 1,
+        totalCredited: 1,
+        totalDue: 1,
+        totalAmountInBaseCurrency: 1,
+        totalPaidInBaseCurrency: 1,
+        totalCreditedInBaseCurrency: 1,
+        totalDueInBaseCurrency: 1,
+      },
+    },
+    { $sort: { currency: 1 } },
   ]);
 
+  const sumOf = (field) =>
+    roundAmount(currencies.reduce((sum, item) => sum + item[field], 0));
+
   res.json({
     status: "success",
-    data: stats[0] || {
-      totalBillings: 0,
-      totalAmount: 0,
-      totalPaid: 0,
-      totalDue: 0,
+    data: {
+      baseCurrency: BASE_CURRENCY,
+      totalBillings: sumOf("totalBillings"),
+      totalAmount: sumOf("totalAmountInBaseCurrency"),
+      totalPaid: sumOf("totalPaidInBaseCurrency"),
+      totalCredited: sumOf("totalCreditedInBaseCurrency"),
+      totalDue: sumOf("totalDueInBaseCurrency"),
+      currencies,
     },
   });
 });
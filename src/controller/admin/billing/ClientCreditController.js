@@ -0,0 +1,133 @@
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const Client = require("../../../model/Client");
+const ClientLedger = require("../../../model/ClientLedger");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  getLedger,
+  withBalance,
+} = require("../../../services/ClientLedgerService");
+const { normalizeCurrency } = require("../../../services/ExchangeRateService");
+
+const findClient = async (clientId) => {
+  const client = await Client.findById(clientId)
+    .select("companyName clientNumber")
+    .lean();
+  if (!client) {
+    throw new AppError("Client not found", 404);
+  }
+  return client;
+};
+
+const creditBalancePipeline = (match = {}) => [
+  { $match: { account: "credit", ...match } },
+  {
+    $group: {
+      _id: { client: "$client", currency: "$currency" },
+      balance: {
+        $sum: {
+          $cond: [
+            { $eq: ["$type", "deposit"] },
+            "$amount",
+            { $multiply: ["$amount", -1] },
+          ],
+        },
+      },
+      lastTransactionAt: { $max: "$date" },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      client: "$_id.client",
+      currency: "$_id.currency",
+      balance: 1,
+      lastTransactionAt: 1,
+    },
+  },
+];
+
+/**
+ * Get the credit balance of every client holding credit, per currency
+ */
+exports.getCreditBalances = catchAsync(async (req, res) => {
+  const balances = await ClientLedger.aggregate([
+    ...creditBalancePipeline(),
+    { $match: { balance: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "clientData",
+        pipeline: [{ $project: { companyName: 1, clientNumber: 1, logo: 1 } }],
+      },
+    },
+    { $unwind: "$clientData" },
+    { $sort: { "clientData.companyName": 1, currency: 1 } },
+  ]);
+
+  res.json({
+    status: "success",
+    data: balances,
+  });
+});
+
+/**
+ * Get the credit ledger of a client with its balance per currency
+ */
+exports.getCreditLedger = catchAsync(async (req, res) => {
+  const client = await findClient(req.params.clientId);
+  const currency = req.query.currency
+    ? normalizeCurrency(req.query.currency)
+    : null;
+
+  const balances = await ClientLedger.aggregate(
+    creditBalancePipeline({ client: client._id })
+  );
+  const ledger = await getLedger(client._id, { account: "credit", currency });
+
+  res.json({
+    status: "success",
+    data: { client, balances, ...ledger },
+  });
+});
+
+/**
+ * Pay part of the credit balance back to a client
+ */
+exports.createCreditRefund = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    amount: "required|numeric|min:0.01",
+    currency: "required|string",
+    date: "required",
+  });
+  const { amount, date, paymentMethod, reference, note } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
+
+  const client = await findClient(req.params.clientId);
+  const entry = await withBalance(
+    client._id,
+    Number(amount),
+    "credit",
+    currency,
+    async () =>
+      await ClientLedger.create({
+        client: client._id,
+        account: "credit",
+        type: "refund",
+        amount,
+        currency,
+        date,
+        paymentMethod,
+        reference,
+        note,
+        createdBy: req.user._id,
+      })
+  );
+
+  res.status(201).json({
+    message: "Credit refund recorded successfully",
+    data: entry,
+  });
+});
@@ -0,0 +1,199 @@
+const { Types } = require("mongoose");
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const BillingHistory = require("../../../model/BillingHistory");
+const CreditNote = require("../../../model/CreditNote");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const { ensureReleased } = require("../../../services/BillingApprovalService");
+const {
+  getBillingWorkspace,
+  getNextCreditNoteNumber,
+} = require("../../../services/BillingService");
+const {
+  getDueAmount,
+  recalculateBilling,
+} = require("../../../services/BillingLedgerService");
+
+/**
+ * Issue a credit note against a billing
+ *
+ * The credit lowers the amount due on the bill and can't exceed it.
+ */
+exports.createCreditNote = catchAsync(async (req, res) => {
+  const { billingId, amount, reason, date } = req.body;
+
+  await SimpleValidator(req.body, {
+    billingId: "required|mongoid",
+    amount: "required|numeric|min:0.01",
+    reason: "required|string",
+    ...(date && { date: "date" }),
+  });
+
+  const billing = await BillingHistory.findById(billingId);
+  if (!billing) {
+    throw new AppError("Billing not found", 404);
+  }
+  if (billing.status === "void") {
+    throw new AppError("A void billing cannot be credited", 422);
+  }
+  ensureReleased(billing, "be credited");
+
+  const dueAmount = await getDueAmount(billing);
+  if (Number(amount) > dueAmount) {
+    throw new AppError(
+      `Credit exceeds the amount due of ${dueAmount} ${billing.currency}`,
+      422
+    );
+  }
+
+  const creditNote = await CreditNote.create({
+    creditNoteNumber: await getNextCreditNoteNumber(
+      await getBillingWorkspace(billing)
+    ),
+    billing: billing._id,
+    client: billing.client,
+    case: billing.case,
+    amount: Number(amount),
+    currency: billing.currency,
+    reason,
+    ...(date && { date }),
+    createdBy: req.user._id,
+  });
+
+  await recalculateBilling(billing);
+
+  res.status(201).json({
+    message: "Credit note created successfully",
+    data: creditNote,
+  });
+});
+
+/**
+ * Get all credit notes with pagination and filtering
+ */
+exports.getAllCreditNotes = catchAsync(async (req, res) => {
+  const {
+    search,
+    status,
+    billing,
+    client,
+    page = 1,
+    limit = 10,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+  } = req.query;
+
+  const query = {
+    ...(status && { status }),
+    ...(billing && { billing: new Types.ObjectId(billing) }),
+    ...(client && { client: new Types.ObjectId(client) }),
+    ...(search && {
+      creditNoteNumber: { $regex: search, $options: "i" },
+    }),
+  };
+
+  const aggregateQuery = CreditNote.aggregate([
+    { $match: query },
+    {
+      $lookup: {
+        from: "billinghistories",
+        localField: "billing",
+        foreignField: "_id",
+        as: "billingData",
+      },
+    },
+    { $unwind: "$billingData" },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "clientData",
+      },
+    },
+    { $unwind: "$clientData" },
+    {
+      $project: {
+        creditNoteNumber: 1,
+        amount: 1,
+        currency: 1,
+        date: 1,
+        reason: 1,
+        status: 1,
+        voidReason: 1,
+        voidedAt: 1,
+        createdAt: 1,
+        "billingData._id": 1,
+        "billingData.billNumber": 1,
+        "clientData._id": 1,
+        "clientData.companyName": 1,
+        "clientData.clientNumber": 1,
+      },
+    },
+    { $sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 } },
+  ]);
+
+  const result = await CreditNote.aggregatePaginate(aggregateQuery, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    status: "success",
+    data: result,
+  });
+});
+
+/**
+ * Get single credit note details
+ */
+exports.getCreditNote = catchAsync(async (req, res) => {
+  const creditNote = await CreditNote.findById(req.params.id)
+    .populate("billing", "billNumber grandTotal currency status")
+    .populate("client", "companyName clientNumber")
+    .populate("case", "title caseNumber")
+    .populate("createdBy", "firstName lastName")
+    .populate("voidedBy", "firstName lastName")
+    .lean();
+
+  if (!creditNote) {
+    throw new AppError("Credit note not found", 404);
+  }
+
+  res.json({
+    status: "success",
+    data: creditNote,
+  });
+});
+
+/**
+ * Void a credit note
+ *
+ * The credit is no longer applied and the amount becomes due again.
+ */
+exports.voidCreditNote = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    reason: "required|string",
+  });
+
+  const creditNote = await CreditNote.findById(req.params.id);
+  if (!creditNote) {
+    throw new AppError("Credit note not found", 404);
+  }
+  if (creditNote.status === "void") {
+    throw new AppError("Credit note is already void", 422);
+  }
+
+  creditNote.status = "void";
+  creditNote.voidReason = req.body.reason;
+  creditNote.voidedAt = new Date();
+  creditNote.voidedBy = req.user._id;
+  await creditNote.save();
+
+  await recalculateBilling(creditNote.billing);
+
+  res.json({
+    message: "Credit note voided successfully",
+    data: creditNote,
+  });
+});
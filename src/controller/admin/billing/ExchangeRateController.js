@@ -0,0 +1,141 @@
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const ExchangeRate = require("../../../model/ExchangeRate");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+} = require("../../../services/ExchangeRateService");
+
+// Create a new exchange rate
+exports.createExchangeRate = catchAsync(async (req, res) => {
+  // Validate incoming data
+  await SimpleValidator(req.body, {
+    currency: "required|string",
+    rate: "required|numeric|gt:0",
+    effectiveDate: "required|date",
+  });
+
+  const { rate, effectiveDate, note } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
+  if (currency === BASE_CURRENCY) {
+    throw new AppError(`${BASE_CURRENCY} is the base currency`, 422);
+  }
+
+  const exchangeRate = await ExchangeRate.create({
+    currency,
+    rate,
+    effectiveDate,
+    note,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    message: "Exchange rate created successfully",
+    data: exchangeRate,
+  });
+});
+
+// Get all exchange rates (excluding deleted ones)
+exports.getAllExchangeRates = catchAsync(async (req, res) => {
+  const { currency, page = 1, limit = 10 } = req.query;
+
+  const aggregatedQuery = ExchangeRate.aggregate([
+    {
+      $match: {
+        status: "active",
+        ...(currency && { currency: normalizeCurrency(currency) }),
+      },
+    },
+    {
+      $sort: { effectiveDate: -1, createdAt: -1 },
+    },
+  ]);
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit) === -1 ? 9999999 : parseInt(limit),
+  };
+
+  const data = await ExchangeRate.aggregatePaginate(aggregatedQuery, options);
+
+  res.json({
+    message: "Fetched successfully",
+    data,
+  });
+});
+
+// Get the rate currently in effect for every currency
+exports.getCurrentExchangeRates = catchAsync(async (req, res) => {
+  const rates = await ExchangeRate.aggregate([
+    {
+      $match: { status: "active", effectiveDate: { $lte: new Date() } },
+    },
+    { $sort: { effectiveDate: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: "$currency",
+        rate: { $first: "$rate" },
+        effectiveDate: { $first: "$effectiveDate" },
+      },
+    },
+    {
+      $project: { _id: 0, currency: "$_id", rate: 1, effectiveDate: 1 },
+    },
+    { $sort: { currency: 1 } },
+  ]);
+
+  res.json({
+    message: "Fetched successfully",
+    data: {
+      baseCurrency: BASE_CURRENCY,
+      rates,
+    },
+  });
+});
+
+// Update a specific exchange rate by ID
+exports.updateExchangeRate = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    ...(req.body.rate !== undefined && { rate: "numeric|gt:0" }),
+    ...(req.body.effectiveDate !== undefined && { effectiveDate: "date" }),
+  });
+
+  const { rate, effectiveDate, note } = req.body;
+
+  const exchangeRate = await ExchangeRate.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!exchangeRate) {
+    throw new AppError("Exchange rate not found", 404);
+  }
+
+  // Bills and payments keep the rate they snapshotted, only new ones are affected
+  if (rate) exchangeRate.rate = rate;
+  if (effectiveDate) exchangeRate.effectiveDate = effectiveDate;
+  if (note !== undefined) exchangeRate.note = note;
+
+  await exchangeRate.save();
+
+  res.json({
+    message: "Exchange rate updated successfully",
+    data: exchangeRate,
+  });
+});
+
+// Soft delete a specific exchange rate by ID
+exports.deleteExchangeRate = catchAsync(async (req, res) => {
+  const exchangeRate = await ExchangeRate.findOneAndUpdate(
+    { _id: req.params.id, status: "active" },
+    { status: "deleted", deletedAt: new Date() },
+    { new: true }
+  );
+  if (!exchangeRate) {
+    throw new AppError("Exchange rate not found", 404);
+  }
+
+  res.json({
+    message: "Exchange rate deleted successfully",
+  });
+});
@@ -0,0 +1,211 @@
+const { Types } = require("mongoose");
+const { getFileUrl, upload } = require("../../../config/file");
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const Case = require("../../../model/Case");
+const Expense = require("../../../model/Expense");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const dateQueryGenerator = require("../../../utils/dateQueryGenerator");
+const { parseBoolean } = require("../../../utils/utils");
+const { EXPENSE_CATEGORIES } = require("../../../services/ExpenseService");
+
+const CATEGORY_RULE = `in:${Object.keys(EXPENSE_CATEGORIES).join(",")}`;
+
+const findUnbilledExpense = async (expenseId) => {
+  const expense = await Expense.findOne({ _id: expenseId, status: "active" });
+  if (!expense) {
+    throw new AppError("Expense not found", 404);
+  }
+  if (expense.billing) {
+    throw new AppError("A billed expense cannot be changed", 422);
+  }
+  return expense;
+};
+
+/**
+ * Record an out-of-pocket expense of a case, with its receipt
+ */
+exports.createExpense = catchAsync(async (req, res) => {
+  const {
+    case: caseId,
+    category,
+    description,
+    amount,
+    currency,
+    date,
+  } = req.body;
+  await SimpleValidator(req.body, {
+    case: "required|mongoid",
+    amount: "required|numeric|min:0.01",
+    date: "required|date",
+    ...(category && { category: CATEGORY_RULE }),
+  });
+
+  const caseData = await Case.findById(caseId).select("client currency");
+  if (!caseData) {
+    throw new AppError("Case not found", 404);
+  }
+
+  let receipt = null;
+  if (req.file) {
+    let uploadData = await upload(req.file, "expense-receipt");
+    receipt = uploadData?.Key;
+  }
+
+  const expense = await Expense.create({
+    case: caseData._id,
+    client: caseData.client,
+    category,
+    description,
+    amount,
+    currency: currency || caseData.currency,
+    date,
+    receipt,
+    billable:
+      req.body.billable === undefined || parseBoolean(req.body.billable),
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    message: "Expense recorded successfully",
+    data: expense,
+  });
+});
+
+/**
+ * Get all expenses with pagination and filtering
+ */
+exports.getAllExpenses = catchAsync(async (req, res) => {
+  const {
+    case: caseId,
+    client,
+    category,
+    billed,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+    sortBy = "date",
+    sortOrder = "desc",
+  } = req.query;
+
+  const query = {
+    status: "active",
+    ...(caseId && { case: new Types.ObjectId(caseId) }),
+    ...(client && { client: new Types.ObjectId(client) }),
+    ...(category && { category }),
+    ...(billed === "true" && { billing: { $ne: null } }),
+    ...(billed === "false" && { billing: null }),
+    ...dateQueryGenerator(fromDate, toDate, "date"),
+  };
+
+  const aggregateQuery = Expense.aggregate([
+    { $match: query },
+    {
+      $lookup: {
+        from: "cases",
+        localField: "case",
+        foreignField: "_id",
+        as: "caseData",
+        pipeline: [{ $project: { caseNumber: 1, title: 1 } }],
+      },
+    },
+    { $unwind: "$caseData" },
+    {
+      $lookup: {
+        from: "billinghistories",
+        localField: "billing",
+        foreignField: "_id",
+        as: "billingData",
+        pipeline: [{ $project: { billNumber: 1, status: 1 } }],
+      },
+    },
+    {
+      $unwind: { path: "$billingData", preserveNullAndEmptyArrays: true },
+    },
+    { $sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 } },
+  ]);
+
+  const result = await Expense.aggregatePaginate(aggregateQuery, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    status: "success",
+    data: result,
+  });
+});
+
+/**
+ * Get single expense details
+ */
+exports.getExpense = catchAsync(async (req, res) => {
+  const expense = await Expense.findOne({
+    _id: req.params.id,
+    status: "active",
+  })
+    .populate("case", "caseNumber title")
+    .populate("client", "companyName clientNumber")
+    .populate("billing", "billNumber status")
+    .populate("createdBy", "firstName lastName")
+    .lean();
+
+  if (!expense) {
+    throw new AppError("Expense not found", 404);
+  }
+
+  res.json({
+    status: "success",
+    data: {
+      ...expense,
+      receiptUrl: expense.receipt ? getFileUrl(expense.receipt) : null,
+    },
+  });
+});
+
+/**
+ * Update an expense that has not been billed yet
+ */
+exports.updateExpense = catchAsync(async (req, res) => {
+  const { category, description, amount, currency, date, billable } = req.body;
+  await SimpleValidator(req.body, {
+    ...(amount !== undefined && { amount: "numeric|min:0.01" }),
+    ...(date && { date: "date" }),
+    ...(category && { category: CATEGORY_RULE }),
+  });
+
+  const expense = await findUnbilledExpense(req.params.id);
+
+  if (req.file) {
+    let uploadData = await upload(req.file, "expense-receipt");
+    expense.receipt = uploadData?.Key;
+  }
+  if (category) expense.category = category;
+  if (description !== undefined) expense.description = description;
+  if (amount !== undefined) expense.amount = amount;
+  if (currency) expense.currency = currency;
+  if (date) expense.date = date;
+  if (billable !== undefined) expense.billable = parseBoolean(billable);
+  await expense.save();
+
+  res.json({
+    message: "Expense updated successfully",
+    data: expense,
+  });
+});
+
+/**
+ * Delete an expense that has not been billed yet (soft delete)
+ */
+exports.deleteExpense = catchAsync(async (req, res) => {
+  const expense = await findUnbilledExpense(req.params.id);
+
+  expense.status = "deleted";
+  await expense.save();
+
+  res.json({
+    message: "Expense deleted successfully",
+    data: null,
+  });
+});
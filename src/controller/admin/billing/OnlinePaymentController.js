@@ -0,0 +1,113 @@
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const BillingHistory = require("../../../model/BillingHistory");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const { ensureReleased } = require("../../../services/BillingApprovalService");
+const {
+  createPaymentLink,
+  verifyPaymentLink,
+  startCheckout,
+  handleWebhook,
+} = require("../../../services/OnlinePaymentService");
+const { getDueAmount } = require("../../../services/BillingLedgerService");
+const { getGateway } = require("../../../services/payment-gateway");
+
+/**
+ * Create a signed, expiring link the client can pay a billing with
+ */
+exports.createPaymentLink = catchAsync(async (req, res) => {
+  const { expiresInDays = 7 } = req.body;
+  await SimpleValidator(req.body, {
+    ...(req.body.expiresInDays !== undefined && {
+      expiresInDays: "integer|min:1|max:90",
+    }),
+  });
+
+  const billing = await BillingHistory.findById(req.params.id);
+  if (!billing) {
+    throw new AppError("Billing not found", 404);
+  }
+  if (billing.status === "void") {
+    throw new AppError("A void billing cannot be paid", 422);
+  }
+  ensureReleased(billing, "be paid online");
+  if ((await getDueAmount(billing)) <= 0) {
+    throw new AppError(`Billing ${billing.billNumber} has no amount due`, 422);
+  }
+  getGateway();
+
+  res.status(201).json({
+    message: "Payment link created successfully",
+    data: createPaymentLink(billing, Number(expiresInDays)),
+  });
+});
+
+/**
+ * Get the billing behind a payment link, for the public payment page
+ */
+exports.getPaymentLink = catchAsync(async (req, res) => {
+  const billing = await verifyPaymentLink(req.params.token);
+
+  res.json({
+    status: "success",
+    data: {
+      billNumber: billing.billNumber,
+      client: billing.client?.companyName,
+      case: billing.case,
+      currency: billing.currency,
+      grandTotal: billing.grandTotal,
+      dueAmount: await getDueAmount(billing),
+      dueDate: billing.dueDate,
+      status: billing.status,
+    },
+  });
+});
+
+/**
+ * Open a gateway checkout for the amount due on the billing of a payment link
+ */
+exports.startCheckout = catchAsync(async (req, res) => {
+  const billing = await verifyPaymentLink(req.params.token);
+  ensureReleased(billing, "be paid online");
+
+  const checkout = await startCheckout(billing);
+
+  res.status(201).json({
+    message: "Checkout created successfully",
+    data: checkout,
+  });
+});
+
+/**
+ * Receive a payment notification from the payment gateway
+ */
+exports.handleWebhook = catchAsync(async (req, res) => {
+  const result = await handleWebhook(req.params.gateway, {
+    headers: req.headers,
+    rawBody: req.rawBody,
+  });
+
+  res.json({
+    received: true,
+    status: result.status,
+  });
+});
+
+/**
+ * Pay a checkout of the mock gateway, which posts its webhook back at once
+ */
+exports.completeMockCheckout = catchAsync(async (req, res) => {
+  const gateway = getGateway();
+  if (gateway.name !== "mock") {
+    throw new AppError("The mock gateway is not enabled", 404);
+  }
+  const { session, signature } = req.query;
+
+  const webhook = gateway.completeCheckout(session, signature);
+  const result = await handleWebhook(gateway.name, webhook);
+
+  res.json({
+    message: "Mock payment completed",
+    data: result,
+  });
+});
@@ -2,70 +2,171 @@ const AppError = require("../../../exception/AppError");
 const catchAsync = require("../../../exception/catchAsync");
 const Payment = require("../../../model/Payment");
 const BillingHistory = require("../../../model/BillingHistory");
+const Client = require("../../../model/Client");
 const SimpleValidator = require("../../../validator/simpleValidator");
 const { Types } = require("mongoose");
+const { getReceiptData } = require("../../../services/BillingService");
+const { renderPdf } = require("../../../services/PdfService");
+const { sendReceiptEmail } = require("../../../services/BillingMailService");
+const ClientLedger = require("../../../model/ClientLedger");
+const {
+  releaseDrawdowns,
+  withBalance,
+} = require("../../../services/ClientLedgerService");
+const { normalizeCurrency } = require("../../../services/ExchangeRateService");
+const {
+  PAYMENT_METHODS,
+  GATEWAY_METHODS,
+  LEDGER_ACCOUNTS,
+  applyPayment,
+  allocateRemittance,
+  recordCredit,
+  reversePayment,
+} = require("../../../services/PaymentService");
+const {
+  recalculateBilling,
+} = require("../../../services/BillingLedgerService");
+const { roundAmount } = require("../../../utils/utils");
+const { upload } = require("../../../config/file");
+
+const validateWithholdingTax = async (withholdingTax) => {
+  if (!withholdingTax) {
+    return;
+  }
+  await SimpleValidator(withholdingTax, {
+    ...(withholdingTax.rate && { rate: "numeric|min:0|max:100" }),
+    ...(withholdingTax.amount && { amount: "numeric|min:0" }),
+    ...(withholdingTax.atc && { atc: "string" }),
+  });
+};
 
 /**
  * Create a new payment for a billing
+ *
+ * Whatever exceeds the amount due is kept as client credit. Tax withheld by
+ * the client counts towards the bill and is tracked until its Form 2307 is
+ * received.
  */
 exports.createPayment = catchAsync(async (req, res) => {
   const {
     billingId,
     amount,
+    currency,
     date,
     note,
     paymentMethod,
     transactionId,
     receipt,
+    withholdingTax,
   } = req.body;
 
   await SimpleValidator(req.body, {
     billingId: "required|mongoid",
     amount: "required|numeric|min:0.01",
     date: "required",
-    paymentMethod:
-      "required|string|in:cash,bank_transfer,cheque,credit_card,other",
+    paymentMethod: `required|string|in:${PAYMENT_METHODS.filter(
+      (method) => !GATEWAY_METHODS.includes(method)
+    ).join(",")}`,
   });
+  await validateWithholdingTax(withholdingTax);
 
   const billing = await BillingHistory.findById(billingId);
   if (!billing) {
     throw new AppError("Billing not found", 404);
   }
 
-  const newPayment = await Payment.create({
-    billing: billingId,
+  const { payment: newPayment, excess } = await applyPayment(billing, {
     amount,
+    currency,
     date,
     note,
     paymentMethod,
     receivedBy: req.user._id,
     transactionId,
     receipt,
+    withholdingTax,
   });
 
-  let billingStatus = "partiallyPaid";
+  const credit = await recordCredit({
+    client: billing.client,
+    amount: excess,
+    currency: newPayment.currency,
+    date,
+    createdBy: req.user._id,
+    payment: newPayment,
+    paymentMethod,
+    reference: transactionId,
+  });
 
-  let totalPaidData = await Payment.aggregate([
-    { $match: { billing: new Types.ObjectId(billingId) } },
-    { $group: { _id: null, total: { $sum: "$amount" } } },
-  ]);
-  let totalPaid = totalPaidData[0]?.total || 0;
+  res.status(201).json({
+    message: credit
+      ? `Payment created successfully, ${credit.amount} ${credit.currency} kept as client credit`
+      : "Payment created successfully",
+    data: newPayment,
+    credit,
+  });
+});
+
+/**
+ * Split a single remittance across several bills of a client
+ *
+ * Allocations are given in the currency of the remittance. Without
+ * allocations, the open bills of the client are settled oldest due first.
+ * Whatever is not allocated is kept as client credit.
+ */
+exports.allocatePayment = catchAsync(async (req, res) => {
+  const {
+    clientId,
+    amount,
+    date,
+    note,
+    paymentMethod,
+    transactionId,
+    receipt,
+    allocations,
+  } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
+
+  await SimpleValidator(req.body, {
+    clientId: "required|mongoid",
+    amount: "required|numeric|min:0.01",
+    date: "required",
+    // Ledger money is applied to one bill at a time
+    paymentMethod: `required|string|in:${PAYMENT_METHODS.filter(
+      (method) => !LEDGER_ACCOUNTS[method] && !GATEWAY_METHODS.includes(method)
+    ).join(",")}`,
+    ...(allocations && { allocations: "array" }),
+  });
 
-  if (totalPaid === billing.grandTotal) {
-    billingStatus = "paid";
-  } else if (totalPaid > billing.grandTotal) {
-    billingStatus = "overPaid";
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new AppError("Client not found", 404);
   }
 
-  await billing.updateOne({
-    $set: {
-      status: billingStatus,
-    },
+  // Validate every allocation before any payment is recorded
+  for (const allocation of allocations ?? []) {
+    await SimpleValidator(allocation, {
+      billingId: "required|mongoid",
+      amount: "required|numeric|min:0.01",
+    });
+    await validateWithholdingTax(allocation.withholdingTax);
+  }
+
+  const { remittance, payments, credit } = await allocateRemittance(client, {
+    amount,
+    currency,
+    date,
+    note,
+    paymentMethod,
+    receivedBy: req.user._id,
+    transactionId,
+    receipt,
+    allocations,
   });
 
   res.status(201).json({
-    message: "Payment created successfully",
-    data: newPayment,
+    message: "Payment allocated successfully",
+    data: { remittance, payments, credit },
   });
 });
 
@@ -89,6 +190,40 @@ exports.getPaymentsForBilling = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Download the receipt of a payment as PDF
+ */
+exports.downloadPaymentReceipt = catchAsync(async (req, res) => {
+  const receipt = await getReceiptData(req.params.paymentId);
+  const pdf = await renderPdf("payment-receipt", receipt);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="receipt-${receipt.payment._id}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+});
+
+/**
+ * Email the receipt of a payment to the client
+ */
+exports.sendPaymentReceipt = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    emails: "array",
+  });
+
+  const recipients = await sendReceiptEmail(req.params.paymentId, {
+    emails: req.body.emails,
+    sentBy: req.user._id,
+  });
+
+  res.json({
+    message: "Receipt sent successfully",
+    data: { recipients },
+  });
+});
+
 /**
  * Update a payment
  */
@@ -100,18 +235,90 @@ exports.updatePayment = catchAsync(async (req, res) => {
   await SimpleValidator(req.body, {
     amount: "number|min:0.01",
     date: "date",
-    paymentMethod: "string|in:cash,bank_transfer,check,credit_card,other",
+    paymentMethod: `string|in:${PAYMENT_METHODS.join(",")}`,
   });
 
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new AppError("Payment not found", 404);
+  }
+  if (payment.reversal?.reversedAt) {
+    throw new AppError("Payment has already been taken off its bill", 422);
+  }
+
+  // The amount is entered in the payment's currency, the bill is settled in its
+  // own, together with the tax withheld
+  const appliedAmount = amount
+    ? roundAmount(
+        Number(amount) * (payment.conversionRate ?? 1) +
+          (payment.withholdingTax?.amount ?? 0)
+      )
+    : payment.amount;
+
+  const account = LEDGER_ACCOUNTS[payment.paymentMethod];
+  if (
+    paymentMethod &&
+    paymentMethod !== payment.paymentMethod &&
+    [payment.paymentMethod, paymentMethod].some((method) =>
+      GATEWAY_METHODS.includes(method)
+    )
+  ) {
+    throw new AppError(
+      "Online payments are recorded by the payment gateway and cannot change method",
+      422
+    );
+  }
+  if (
+    paymentMethod &&
+    paymentMethod !== payment.paymentMethod &&
+    (account || LEDGER_ACCOUNTS[paymentMethod])
+  ) {
+    throw new AppError(
+      "Retainer and client credit payments cannot change method, delete the payment and record it again",
+      422
+    );
+  }
+
+  // Keep the ledger drawdown in line with the payment amount
+  if (account && appliedAmount !== payment.amount) {
+    const billing = await BillingHistory.findById(payment.billing);
+    const updateDrawdown = async () =>
+      await ClientLedger.updateOne(
+        { payment: payment._id, type: "drawdown" },
+        { amount: appliedAmount, ...(date && { date }) }
+      );
+    if (appliedAmount > payment.amount) {
+      await withBalance(
+        billing.client,
+        appliedAmount - payment.amount,
+        account,
+        payment.currency,
+        updateDrawdown
+      );
+    } else {
+      await updateDrawdown();
+    }
+  }
+
   const updatedPayment = await Payment.findByIdAndUpdate(
     paymentId,
-    { amount, date, note, paymentMethod, transactionId, receipt },
+    {
+      ...(amount && { amount: appliedAmount, receivedAmount: amount }),
+      date,
+      note,
+      paymentMethod,
+      transactionId,
+      receipt,
+    },
     { new: true, runValidators: true }
   );
 
   if (!updatedPayment) {
     throw new AppError("Payment not found", 404);
   }
+  if (updatedPayment.billing) {
+    await recalculateBilling(updatedPayment.billing);
+  }
 
   res.json({
     message: "Payment updated successfully",
@@ -121,18 +328,193 @@ exports.updatePayment = catchAsync(async (req, res) => {
 
 /**
  * Delete a payment
+ *
+ * The credit left over from the payment is removed with it, which is not
+ * possible once that credit has been applied to another bill. A payment with
+ * an official receipt is cancelled instead, keeping the record and its receipt.
  */
 exports.deletePayment = catchAsync(async (req, res) => {
   const { paymentId } = req.params;
 
-  const deletedPayment = await Payment.findByIdAndDelete(paymentId);
-
-  if (!deletedPayment) {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
     throw new AppError("Payment not found", 404);
   }
+  if (payment.reversal?.reversedAt) {
+    throw new AppError("Payment has already been taken off its bill", 422);
+  }
+
+  const credit = await ClientLedger.findOne({
+    payment: payment._id,
+    account: "credit",
+    type: "deposit",
+  });
+  if (credit) {
+    await withBalance(
+      credit.client,
+      credit.amount,
+      "credit",
+      credit.currency,
+      async () => await credit.deleteOne()
+    );
+  }
+
+  if (payment.officialReceiptNumber) {
+    const billing = await BillingHistory.findById(payment.billing);
+    await reversePayment(billing, payment, {
+      reason: req.body?.reason || "Payment deleted",
+      userId: req.user._id,
+      cancel: true,
+    });
+    await recalculateBilling(billing);
+  } else {
+    const deletedPayment = await Payment.findByIdAndDelete(paymentId);
+    await releaseDrawdowns({ payment: deletedPayment._id });
+
+    if (deletedPayment.billing) {
+      await recalculateBilling(deletedPayment.billing);
+    }
+  }
 
   res.status(204).json({
     message: "Payment deleted successfully",
     data: null,
   });
 });
+
+/**
+ * Get the Form 2307 certificates to collect, per client
+ *
+ * Lists every payment with tax withheld, grouped by client with the amounts
+ * still pending and received.
+ */
+exports.getForm2307List = catchAsync(async (req, res) => {
+  const { client, status, fromDate, toDate, page = 1, limit = 10 } = req.query;
+
+  const aggregateQuery = Payment.aggregate([
+    {
+      $match: {
+        "withholdingTax.amount": { $gt: 0 },
+        ...(status && { "form2307.status": status }),
+        ...((fromDate || toDate) && {
+          date: {
+            ...(fromDate && { $gte: new Date(fromDate) }),
+            ...(toDate && { $lte: new Date(toDate) }),
+          },
+        }),
+      },
+    },
+    {
+      $lookup: {
+        from: "billinghistories",
+        localField: "billing",
+        foreignField: "_id",
+        as: "billingData",
+      },
+    },
+    { $unwind: "$billingData" },
+    {
+      $match: {
+        ...(client && { "billingData.client": new Types.ObjectId(client) }),
+      },
+    },
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: "$billingData.client",
+        pendingCount: {
+          $sum: { $cond: [{ $eq: ["$form2307.status", "pending"] }, 1, 0] },
+        },
+        pendingAmount: {
+          $sum: {
+            $cond: [
+              { $eq: ["$form2307.status", "pending"] },
+              "$withholdingTax.amount",
+              0,
+            ],
+          },
+        },
+        receivedAmount: {
+          $sum: {
+            $cond: [
+              { $eq: ["$form2307.status", "received"] },
+              "$withholdingTax.amount",
+              0,
+            ],
+          },
+        },
+        payments: {
+          $push: {
+            _id: "$_id",
+            date: "$date",
+            officialReceiptNumber: "$officialReceiptNumber",
+            billNumber: "$billingData.billNumber",
+            currency: "$billingData.currency",
+            amount: "$amount",
+            withholdingTax: "$withholdingTax",
+            form2307: "$form2307",
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "_id",
+        foreignField: "_id",
+        as: "clientData",
+        pipeline: [{ $project: { companyName: 1, clientNumber: 1, tin: 1 } }],
+      },
+    },
+    { $unwind: "$clientData" },
+    { $sort: { pendingCount: -1, "clientData.companyName": 1 } },
+  ]);
+
+  const result = await Payment.aggregatePaginate(aggregateQuery, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    status: "success",
+    data: result,
+  });
+});
+
+/**
+ * Update the Form 2307 of a payment, e.g. mark it received with its scan
+ */
+exports.updateForm2307 = catchAsync(async (req, res) => {
+  const { status, receivedAt, note } = req.body;
+  await SimpleValidator(req.body, {
+    status: "required|in:pending,received",
+    ...(receivedAt && { receivedAt: "date" }),
+  });
+
+  const payment = await Payment.findById(req.params.paymentId);
+  if (!payment) {
+    throw new AppError("Payment not found", 404);
+  }
+  if (!(payment.withholdingTax?.amount > 0)) {
+    throw new AppError("No tax was withheld on this payment", 422);
+  }
+
+  let file = payment.form2307?.file ?? null;
+  if (req.file) {
+    let uploadData = await upload(req.file, "form-2307");
+    file = uploadData?.Key;
+  }
+
+  payment.form2307 = {
+    status,
+    receivedAt: status === "received" ? receivedAt ?? new Date() : null,
+    file,
+    note: note ?? payment.form2307?.note ?? null,
+  };
+  await payment.save();
+
+  res.json({
+    message: "Form 2307 updated successfully",
+    data: payment,
+  });
+});
@@ -0,0 +1,138 @@
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const Case = require("../../../model/Case");
+const DSRTimeTracking = require("../../../model/DSRTimeTracking");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  getUnbilledTimeEntries,
+  getBilledTime,
+  calculateRealization,
+} = require("../../../services/BillingService");
+
+const ADJUSTMENT_TYPES = ["writeDown", "writeUp", "noCharge"];
+
+const findUnbilledEntry = async (entryId) => {
+  const entry = await DSRTimeTracking.findOne({
+    _id: entryId,
+    status: "active",
+  });
+  if (!entry) {
+    throw new AppError("Time entry not found", 404);
+  }
+  if (entry.billing) {
+    throw new AppError("Only unbilled time entries can be adjusted", 422);
+  }
+  return entry;
+};
+
+/**
+ * Get the unbilled time entries of a case for review before billing
+ *
+ * Every entry comes with its recorded and billed value, and the realization
+ * of the whole period is summarised.
+ */
+exports.getPreBillReview = catchAsync(async (req, res) => {
+  const { billingStart, billingEnd } = req.query;
+  await SimpleValidator(req.query, {
+    ...(billingStart && { billingStart: "date" }),
+    ...(billingEnd && { billingEnd: "date" }),
+  });
+
+  const caseData = await Case.findById(req.params.caseId)
+    .select("caseNumber title client currency")
+    .populate("client", "companyName clientNumber")
+    .lean();
+  if (!caseData) {
+    throw new AppError("Case not found", 404);
+  }
+
+  const timeEntries = await getUnbilledTimeEntries(
+    caseData._id,
+    billingStart,
+    billingEnd
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      case: caseData,
+      entries: timeEntries.map((entry) => ({
+        ...entry,
+        billed: getBilledTime(entry),
+      })),
+      realization: calculateRealization(timeEntries),
+    },
+  });
+});
+
+/**
+ * Write down, write up or no-charge an unbilled time entry
+ */
+exports.adjustTimeEntry = catchAsync(async (req, res) => {
+  const { type, hourCount, hourlyRate, reason } = req.body;
+  await SimpleValidator(req.body, {
+    type: `required|in:${ADJUSTMENT_TYPES.join(",")}`,
+    reason: "required|string",
+    ...(hourCount != null && { hourCount: "numeric|min:0" }),
+    ...(hourlyRate != null && { hourlyRate: "numeric|min:0" }),
+  });
+
+  const entry = await findUnbilledEntry(req.params.entryId);
+
+  const adjustment = {
+    type,
+    hourCount: null,
+    hourlyRate: null,
+    reason,
+    adjustedBy: req.user._id,
+    adjustedAt: new Date(),
+  };
+  if (type !== "noCharge") {
+    if (hourCount == null && hourlyRate == null) {
+      throw new AppError("Provide the hours or the rate to bill", 422);
+    }
+    adjustment.hourCount = hourCount != null ? Number(hourCount) : null;
+    adjustment.hourlyRate = hourlyRate != null ? Number(hourlyRate) : null;
+
+    // The adjustment must move the value in the direction it claims to
+    const { recordedValue, billedValue } = getBilledTime({
+      ...entry.toObject(),
+      billingAdjustment: adjustment,
+    });
+    if (type === "writeDown" && billedValue >= recordedValue) {
+      throw new AppError(
+        `A write-down must bill less than the recorded value of ${recordedValue}`,
+        422
+      );
+    }
+    if (type === "writeUp" && billedValue <= recordedValue) {
+      throw new AppError(
+        `A write-up must bill more than the recorded value of ${recordedValue}`,
+        422
+      );
+    }
+  }
+
+  entry.billingAdjustment = adjustment;
+  await entry.save();
+
+  res.json({
+    message: "Time entry adjusted successfully",
+    data: { ...entry.toObject(), billed: getBilledTime(entry) },
+  });
+});
+
+/**
+ * Remove the adjustment of an unbilled time entry, billing it as recorded
+ */
+exports.clearTimeEntryAdjustment = catchAsync(async (req, res) => {
+  const entry = await findUnbilledEntry(req.params.entryId);
+
+  entry.billingAdjustment = undefined;
+  await entry.save();
+
+  res.json({
+    message: "Time entry adjustment removed successfully",
+    data: { ...entry.toObject(), billed: getBilledTime(entry) },
+  });
+});
@@ -0,0 +1,200 @@
+const moment = require("moment");
+const { Types } = require("mongoose");
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const Case = require("../../../model/Case");
+const RateCard = require("../../../model/RateCard");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const { resolveHourlyRate } = require("../../../services/RateService");
+
+const ensurePeriod = (effectiveFrom, effectiveTo) => {
+  if (
+    effectiveFrom &&
+    effectiveTo &&
+    moment(effectiveTo).isBefore(effectiveFrom, "day")
+  ) {
+    throw new AppError(
+      "The end date must be on or after the effective date",
+      422
+    );
+  }
+};
+
+// Create a new rate card for a client
+exports.createRateCard = catchAsync(async (req, res) => {
+  const { client, designation, user, rate, effectiveFrom, effectiveTo, note } =
+    req.body;
+
+  // Validate incoming data
+  await SimpleValidator(req.body, {
+    client: "required|mongoid",
+    rate: "required|numeric|min:0",
+    ...(designation && { designation: "mongoid" }),
+    ...(user && { user: "mongoid" }),
+    ...(effectiveFrom && { effectiveFrom: "date" }),
+    ...(effectiveTo && { effectiveTo: "date" }),
+  });
+  ensurePeriod(effectiveFrom, effectiveTo);
+
+  const rateCard = await RateCard.create({
+    client,
+    designation: designation || null,
+    user: user || null,
+    rate,
+    effectiveFrom: effectiveFrom
+      ? moment(effectiveFrom).startOf("day").toDate()
+      : null,
+    effectiveTo: effectiveTo ? moment(effectiveTo).endOf("day").toDate() : null,
+    note,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    message: "Rate card created successfully",
+    data: rateCard,
+  });
+});
+
+// Get all rate cards (excluding deleted ones)
+exports.getAllRateCards = catchAsync(async (req, res) => {
+  const { client, designation, user, page = 1, limit = 10 } = req.query;
+
+  await SimpleValidator(req.query, {
+    ...(client && { client: "mongoid" }),
+    ...(designation && { designation: "mongoid" }),
+    ...(user && { user: "mongoid" }),
+  });
+
+  const aggregatedQuery = RateCard.aggregate([
+    {
+      $match: {
+        status: "active",
+        ...(client && { client: new Types.ObjectId(client) }),
+        ...(designation && { designation: new Types.ObjectId(designation) }),
+        ...(user && { user: new Types.ObjectId(user) }),
+      },
+    },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "client",
+        pipeline: [{ $project: { companyName: 1, clientNumber: 1 } }],
+      },
+    },
+    { $unwind: { path: "$client", preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: "caseteamdesignations",
+        localField: "designation",
+        foreignField: "_id",
+        as: "designation",
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    { $unwind: { path: "$designation", preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+      },
+    },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+    {
+      $sort: { effectiveFrom: -1, createdAt: -1 },
+    },
+  ]);
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit) === -1 ? 9999999 : parseInt(limit),
+  };
+
+  const data = await RateCard.aggregatePaginate(aggregatedQuery, options);
+
+  res.json({
+    message: "Fetched successfully",
+    data,
+  });
+});
+
+// Get the rate a user records time at on a case, and where it comes from
+exports.resolveRate = catchAsync(async (req, res) => {
+  const { date } = req.query;
+  await SimpleValidator(req.query, {
+    case: "required|mongoid",
+    user: "required|mongoid",
+    ...(date && { date: "date" }),
+  });
+
+  const caseInfo = await Case.findById(req.query.case).select("client members");
+  if (!caseInfo) {
+    throw new AppError("Case not found", 404);
+  }
+
+  res.json({
+    message: "Fetched successfully",
+    data: await resolveHourlyRate(caseInfo, req.query.user, date ?? new Date()),
+  });
+});
+
+// Update a specific rate card by ID
+exports.updateRateCard = catchAsync(async (req, res) => {
+  const { rate, effectiveFrom, effectiveTo, note } = req.body;
+
+  await SimpleValidator(req.body, {
+    ...(rate !== undefined && { rate: "numeric|min:0" }),
+    ...(effectiveFrom && { effectiveFrom: "date" }),
+    ...(effectiveTo && { effectiveTo: "date" }),
+  });
+
+  const rateCard = await RateCard.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!rateCard) {
+    throw new AppError("Rate card not found", 404);
+  }
+
+  // Entries keep the rate they were recorded at, only new ones are affected
+  if (rate !== undefined) rateCard.rate = rate;
+  if (effectiveFrom !== undefined) {
+    rateCard.effectiveFrom = effectiveFrom
+      ? moment(effectiveFrom).startOf("day").toDate()
+      : null;
+  }
+  if (effectiveTo !== undefined) {
+    rateCard.effectiveTo = effectiveTo
+      ? moment(effectiveTo).endOf("day").toDate()
+      : null;
+  }
+  if (note !== undefined) rateCard.note = note;
+  ensurePeriod(rateCard.effectiveFrom, rateCard.effectiveTo);
+
+  await rateCard.save();
+
+  res.json({
+    message: "Rate card updated successfully",
+    data: rateCard,
+  });
+});
+
+// Soft delete a specific rate card by ID
+exports.deleteRateCard = catchAsync(async (req, res) => {
+  const rateCard = await RateCard.findOneAndUpdate(
+    { _id: req.params.id, status: "active" },
+    { status: "deleted", deletedAt: new Date() },
+    { new: true }
+  );
+  if (!rateCard) {
+    throw new AppError("Rate card not found", 404);
+  }
+
+  res.json({
+    message: "Rate card deleted successfully",
+  });
+});
@@ -0,0 +1,120 @@
+const moment = require("moment");
+const catchAsync = require("../../../exception/catchAsync");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  AGING_BUCKETS,
+  AGING_GROUPS,
+  getAgingReport,
+} = require("../../../services/ReceivableService");
+const { sendCsv, sendXlsx } = require("../../../utils/exportGenerator");
+
+const AMOUNT_FORMAT = "#,##0.00";
+
+const buildAgingReport = async (query) => {
+  const { groupBy, asOf, client, companyGroup, supervisingPartner } = query;
+
+  await SimpleValidator(query, {
+    ...(groupBy && { groupBy: `in:${AGING_GROUPS.join(",")}` }),
+    ...(asOf && { asOf: "date" }),
+    ...(client && { client: "mongoid" }),
+    ...(companyGroup && { companyGroup: "mongoid" }),
+    ...(supervisingPartner && { supervisingPartner: "mongoid" }),
+  });
+
+  return await getAgingReport({
+    groupBy,
+    asOf: asOf ? moment(asOf).endOf("day").toDate() : new Date(),
+    client,
+    companyGroup,
+    supervisingPartner,
+  });
+};
+
+/**
+ * Get the accounts-receivable aging report
+ *
+ * Outstanding balances are bucketed into current, 1-30, 31-60, 61-90 and 90+
+ * days past due, grouped by client, company group, case or supervising partner.
+ */
+exports.getAgingReport = catchAsync(async (req, res) => {
+  const report = await buildAgingReport(req.query);
+
+  res.json({
+    status: "success",
+    data: report,
+  });
+});
+
+/**
+ * Export the accounts-receivable aging report as CSV or XLSX
+ *
+ * The CSV holds the grouped summary, the XLSX adds a sheet with every bill.
+ */
+exports.exportAgingReport = catchAsync(async (req, res) => {
+  const { format = "csv" } = req.query;
+  await SimpleValidator(
+    { format },
+    {
+      format: "in:csv,xlsx",
+    }
+  );
+
+  const report = await buildAgingReport(req.query);
+  const fileName = `ar-aging-${report.groupBy}-${moment(report.asOf).format(
+    "YYYY-MM-DD"
+  )}`;
+
+  const summaryColumns = [
+    { header: "Name", key: "name", width: 40 },
+    ...AGING_BUCKETS.map((bucket) => ({
+      header: bucket.label,
+      key: bucket.key,
+      numFmt: AMOUNT_FORMAT,
+    })),
+    {
+      header: `Total (${report.baseCurrency})`,
+      key: "total",
+      numFmt: AMOUNT_FORMAT,
+    },
+  ];
+  const summaryRows = [...report.rows, { name: "Total", ...report.totals }];
+
+  if (format === "csv") {
+    return sendCsv(res, fileName, summaryColumns, summaryRows);
+  }
+
+  await sendXlsx(res, fileName, [
+    { name: "Summary", columns: summaryColumns, rows: summaryRows },
+    {
+      name: "Bills",
+      columns: [
+        { header: "Group", key: "group", width: 40 },
+        { header: "Bill No", key: "billNumber" },
+        { header: "Client", key: "client", width: 40 },
+        { header: "Case", key: "case" },
+        {
+          header: "Due Date",
+          value: (bill) => bill.dueDate && moment(bill.dueDate).toDate(),
+          numFmt: "yyyy-mm-dd",
+        },
+        { header: "Days Past Due", key: "daysPastDue" },
+        {
+          header: "Bucket",
+          value: (bill) =>
+            AGING_BUCKETS.find((bucket) => bucket.key === bill.bucket)?.label,
+        },
+        { header: "Currency", key: "currency" },
+        { header: "Bill Total", key: "grandTotal", numFmt: AMOUNT_FORMAT },
+        { header: "Amount Due", key: "dueAmount", numFmt: AMOUNT_FORMAT },
+        {
+          header: `Amount Due (${report.baseCurrency})`,
+          key: "dueAmountInBaseCurrency",
+          numFmt: AMOUNT_FORMAT,
+        },
+      ],
+      rows: report.rows.flatMap((row) =>
+        row.bills.map((bill) => ({ ...bill, group: row.name }))
+      ),
+    },
+  ]);
+});
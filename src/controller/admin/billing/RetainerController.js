@@ -0,0 +1,245 @@
+const moment = require("moment");
+const AppError = require("../../../exception/AppError");
+const catchAsync = require("../../../exception/catchAsync");
+const Case = require("../../../model/Case");
+const Client = require("../../../model/Client");
+const ClientLedger = require("../../../model/ClientLedger");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const {
+  getLedger,
+  withBalance,
+} = require("../../../services/ClientLedgerService");
+const { normalizeCurrency } = require("../../../services/ExchangeRateService");
+const { sendCsv } = require("../../../utils/exportGenerator");
+
+const findClient = async (clientId) => {
+  const client = await Client.findById(clientId)
+    .select("companyName clientNumber")
+    .lean();
+  if (!client) {
+    throw new AppError("Client not found", 404);
+  }
+  return client;
+};
+
+const getPeriod = (fromDate, toDate) => ({
+  from: fromDate ? moment(fromDate).startOf("day").toDate() : null,
+  to: toDate ? moment(toDate).endOf("day").toDate() : null,
+});
+
+/**
+ * Get the retainer balance of every client holding retainer money, per currency
+ */
+exports.getRetainerBalances = catchAsync(async (req, res) => {
+  const balances = await ClientLedger.aggregate([
+    { $match: { account: "retainer" } },
+    {
+      $group: {
+        _id: { client: "$client", currency: "$currency" },
+        totalDeposits: {
+          $sum: { $cond: [{ $eq: ["$type", "deposit"] }, "$amount", 0] },
+        },
+        totalDrawdowns: {
+          $sum: { $cond: [{ $eq: ["$type", "drawdown"] }, "$amount", 0] },
+        },
+        totalRefunds: {
+          $sum: { $cond: [{ $eq: ["$type", "refund"] }, "$amount", 0] },
+        },
+        lastTransactionAt: { $max: "$date" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        client: "$_id.client",
+        currency: "$_id.currency",
+        totalDeposits: 1,
+        totalDrawdowns: 1,
+        totalRefunds: 1,
+        lastTransactionAt: 1,
+        balance: {
+          $subtract: [
+            "$totalDeposits",
+            { $add: ["$totalDrawdowns", "$totalRefunds"] },
+          ],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "clientData",
+        pipeline: [{ $project: { companyName: 1, clientNumber: 1, logo: 1 } }],
+      },
+    },
+    { $unwind: "$clientData" },
+    { $sort: { "clientData.companyName": 1, currency: 1 } },
+  ]);
+
+  res.json({
+    status: "success",
+    data: balances,
+  });
+});
+
+/**
+ * Get the retainer ledger of a client in a currency, with a running balance
+ */
+exports.getRetainerLedger = catchAsync(async (req, res) => {
+  const { fromDate, toDate } = req.query;
+  await SimpleValidator(req.query, {
+    currency: "required|string",
+  });
+  const currency = normalizeCurrency(req.query.currency);
+  const client = await findClient(req.params.clientId);
+
+  const ledger = await getLedger(client._id, {
+    ...getPeriod(fromDate, toDate),
+    currency,
+  });
+
+  res.json({
+    status: "success",
+    data: { client, ...ledger },
+  });
+});
+
+/**
+ * Export the retainer ledger of a client in a currency as CSV for
+ * trust-account reconciliation
+ */
+exports.exportRetainerLedger = catchAsync(async (req, res) => {
+  const { fromDate, toDate } = req.query;
+  await SimpleValidator(req.query, {
+    currency: "required|string",
+  });
+  const currency = normalizeCurrency(req.query.currency);
+  const client = await findClient(req.params.clientId);
+
+  const { openingBalance, entries, closingBalance } = await getLedger(
+    client._id,
+    { ...getPeriod(fromDate, toDate), currency }
+  );
+
+  const rows = [
+    { description: "Opening balance", balance: openingBalance },
+    ...entries.map((entry) => ({
+      date: moment(entry.date).format("YYYY-MM-DD"),
+      type: entry.type,
+      caseNumber: entry.case?.caseNumber,
+      billNumber: entry.billing?.billNumber,
+      reference: entry.reference,
+      description: entry.note,
+      deposit: entry.type === "deposit" ? entry.amount : "",
+      withdrawal: entry.type !== "deposit" ? entry.amount : "",
+      balance: entry.balance,
+      currency: entry.currency,
+    })),
+    { description: "Closing balance", balance: closingBalance },
+  ];
+
+  sendCsv(
+    res,
+    `retainer-ledger-${client.clientNumber || client._id}`,
+    [
+      { header: "Date", key: "date" },
+      { header: "Type", key: "type" },
+      { header: "Case", key: "caseNumber" },
+      { header: "Bill", key: "billNumber" },
+      { header: "Reference", key: "reference" },
+      { header: "Description", key: "description" },
+      { header: "Deposit", key: "deposit" },
+      { header: "Withdrawal", key: "withdrawal" },
+      { header: "Balance", key: "balance" },
+      { header: "Currency", key: "currency" },
+    ],
+    rows
+  );
+});
+
+/**
+ * Record a retainer deposit received from a client
+ */
+exports.createDeposit = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    amount: "required|numeric|min:0.01",
+    currency: "required|string",
+    date: "required",
+    ...(req.body.case && { case: "mongoid" }),
+  });
+  const {
+    amount,
+    date,
+    case: caseId,
+    paymentMethod,
+    reference,
+    note,
+  } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
+
+  const client = await findClient(req.params.clientId);
+  if (caseId) {
+    const caseData = await Case.findOne({ _id: caseId, client: client._id });
+    if (!caseData) {
+      throw new AppError("Case not found for this client", 404);
+    }
+  }
+
+  const entry = await ClientLedger.create({
+    client: client._id,
+    case: caseId || null,
+    type: "deposit",
+    amount,
+    currency,
+    date,
+    paymentMethod,
+    reference,
+    note,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    message: "Retainer deposit recorded successfully",
+    data: entry,
+  });
+});
+
+/**
+ * Refund part of the retainer balance to a client
+ */
+exports.createRefund = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    amount: "required|numeric|min:0.01",
+    currency: "required|string",
+    date: "required",
+  });
+  const { amount, date, paymentMethod, reference, note } = req.body;
+  const currency = normalizeCurrency(req.body.currency);
+
+  const client = await findClient(req.params.clientId);
+  const entry = await withBalance(
+    client._id,
+    Number(amount),
+    "retainer",
+    currency,
+    async () =>
+      await ClientLedger.create({
+        client: client._id,
+        type: "refund",
+        amount,
+        currency,
+        date,
+        paymentMethod,
+        reference,
+        note,
+        createdBy: req.user._id,
+      })
+  );
+
+  res.status(201).json({
+    message: "Retainer refund recorded successfully",
+    data: entry,
+  });
+});
@@ -15,8 +15,10 @@
  * @requires ../../../model/DocumentNode
  * @requires ../../../model/Team
  * @requires ../../../model/User
+ * @requires ../../../services/CaseFeeService
  * @requires ../../../services/CaseService
  * @requires ../../../services/PaperMerge
+ * @requires ../../../services/RateService
  * @requires ../../../validator/simpleValidator
  */
 
@@ -29,8 +31,10 @@ const Client = require("../../../model/Client");
 const DocumentNode = require("../../../model/DocumentNode");
 const Team = require("../../../model/Team");
 const User = require("../../../model/User");
+const { getFeeUtilization } = require("../../../services/CaseFeeService");
 const { getNextCaseNumber } = require("../../../services/CaseService");
 const { getInformation, createNode } = require("../../../services/PaperMerge");
+const { applyRateChange } = require("../../../services/RateService");
 const SimpleValidator = require("../../../validator/simpleValidator");
 
 /**
@@ -92,7 +96,7 @@ exports.createCase = catchAsync(async (req, res) => {
   }
 
   if (!caseNumber) {
-    caseNumber = await getNextCaseNumber();
+    caseNumber = await getNextCaseNumber(defaultWorkspace._id);
   }
   let checkExistingCase = await Case.findOne({ caseNumber });
   if (checkExistingCase) {
@@ -520,8 +524,27 @@ exports.addMember = catchAsync(async (req, res) => {
   if (!foundCase) {
     throw new AppError("Case not found", 404);
   }
+
+  // Members keep their rate history, a changed rate applies from its effectiveFrom
+  const members = users.map((member) => {
+    const existing = foundCase
+      .toObject()
+      .members.find((item) => `${item.user}` === `${member.user}`);
+    const updated = {
+      user: member.user,
+      designation: member.designation ?? existing?.designation ?? null,
+      rate: existing?.rate ?? 0,
+      rateHistory: existing?.rateHistory ?? [],
+    };
+    if (!existing && !member.effectiveFrom) {
+      updated.rate = member.rate ?? 0;
+    } else if (member.rate !== undefined) {
+      applyRateChange(updated, "rate", member.rate ?? 0, member.effectiveFrom);
+    }
+    return updated;
+  });
   await Case.findByIdAndUpdate(req.params.id, {
-    members: users,
+    members,
   });
 
   let userIds = users.map((user) => user.user);
@@ -542,6 +565,84 @@ exports.addMember = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Updates the recurring billing schedule of a case
+ *
+ * @function updateBillingSchedule
+ * @async
+ * @param {Object} req - The HTTP request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Case ID
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.enabled - Whether bills are generated for the case
+ * @param {string} req.body.frequency - monthly, quarterly, semiAnnually or annually
+ * @param {number} [req.body.dayOfMonth] - Day of the month a period starts (1-28)
+ * @param {number} [req.body.dueInDays] - Days from the period start until the bill is due
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>} - Sends a JSON response with the updated case
+ * @throws {AppError} - If the case is not found or has no fixed fee to bill
+ */
+exports.updateBillingSchedule = catchAsync(async (req, res) => {
+  const { enabled, frequency, dayOfMonth, dueInDays } = req.body;
+  await SimpleValidator(req.body, {
+    enabled: "required|boolean",
+    frequency: "required|in:monthly,quarterly,semiAnnually,annually",
+    ...(dayOfMonth !== undefined && { dayOfMonth: "integer|min:1|max:28" }),
+    ...(dueInDays !== undefined && { dueInDays: "integer|min:0" }),
+  });
+
+  const foundCase = await Case.findById(req.params.id);
+  if (!foundCase) {
+    throw new AppError("Case not found", 404);
+  }
+  if (enabled && !(foundCase.fixedFee > 0)) {
+    throw new AppError("A fixed fee is required to schedule billing", 422);
+  }
+
+  foundCase.billingSchedule = {
+    enabled,
+    frequency,
+    dayOfMonth: dayOfMonth ?? foundCase.billingSchedule?.dayOfMonth ?? 1,
+    dueInDays: dueInDays ?? foundCase.billingSchedule?.dueInDays ?? 30,
+  };
+  await foundCase.save();
+
+  res.json({
+    message: "Billing schedule updated successfully",
+    data: foundCase,
+  });
+});
+
+/**
+ * Summarises the fees billed on a case against the fees agreed
+ *
+ * @function getFeeUtilization
+ * @async
+ * @param {Object} req - The HTTP request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Case ID
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>} - Sends a JSON response with the amount billed per fee type and the agreed fees
+ * @throws {AppError} - If the case is not found
+ */
+exports.getFeeUtilization = catchAsync(async (req, res) => {
+  const foundCase = await Case.findById(req.params.id)
+    .select(
+      "caseNumber title currency contractPrice capFee acceptanceFee successFee fixedOpe"
+    )
+    .lean();
+  if (!foundCase) {
+    throw new AppError("Case not found", 404);
+  }
+
+  const utilization = await getFeeUtilization(foundCase);
+
+  res.json({
+    status: "success",
+    data: { case: foundCase, ...utilization },
+  });
+});
+
 /**
  * Soft deletes a case by updating its status to "deleted"
  *
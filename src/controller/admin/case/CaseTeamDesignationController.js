@@ -21,6 +21,8 @@
  * @param {Object} req - The Express request object.
  * @param {Object[]} req.body.data - An array of designation objects to create or update.
  * @param {string} req.body.data[].name - The name of the designation.
+ * @param {number} [req.body.data[].rate] - The default hourly rate of members with the designation.
+ * @param {string} [req.body.data[].effectiveFrom] - The first day of the rate, today by default.
  * @param {string} [req.body.data[].id] - The ID of the designation to update.
  * @param {Object} res - The Express response object.
  * @returns {Promise<void>} - A Promise that resolves when the response is sent.
@@ -37,6 +39,7 @@
 const catchAsync = require("../../../exception/catchAsync");
 const CaseTeamDesignation = require("../../../model/CaseTeamDesignation");
 const SimpleValidator = require("../../../validator/simpleValidator");
+const { applyRateChange } = require("../../../services/RateService");
 
 // Get all designations (only active ones by default)
 exports.getAllCaseTeamDesignations = catchAsync(async (req, res) => {
@@ -68,17 +71,25 @@ exports.bulkCreateOrUpdateDesignations = catchAsync(async (req, res) => {
   for (const record of data) {
     await SimpleValidator(record, {
       name: "required|string",
+      ...(record.rate != null && { rate: "numeric|min:0" }),
+      ...(record.effectiveFrom && { effectiveFrom: "date" }),
     });
 
-    if (record._id) {
-      await CaseTeamDesignation.findByIdAndUpdate(
-        record._id,
-        { name: record.name },
-        { new: true, runValidators: true }
+    const designation =
+      (record._id && (await CaseTeamDesignation.findById(record._id))) ||
+      new CaseTeamDesignation();
+    designation.name = record.name;
+
+    // A rate change applies from its effective date, earlier entries keep the old rate
+    if (record.rate !== undefined) {
+      applyRateChange(
+        designation,
+        "rate",
+        record.rate ?? 0,
+        record.effectiveFrom
       );
-    } else {
-      await new CaseTeamDesignation({ name: record.name }).save();
     }
+    await designation.save();
   }
 
   res.status(200).json({
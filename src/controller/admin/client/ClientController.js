@@ -276,7 +276,7 @@ exports.updateClient = catchAsync(async (req, res) => {
   if (typeof phones === "string") phones = JSON.parse(phones);
 
   if (!clientNumber) {
-    clientNumber = await getNextCounter();
+    clientNumber = await getNextCounter(defaultWorkspace._id);
   }
 
   // Find and update the client
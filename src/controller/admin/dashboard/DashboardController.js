@@ -3,6 +3,8 @@ const Case = require("../../../model/Case");
 const Client = require("../../../model/Client");
 const moment = require("moment");
 const Notification = require("../../../model/Notification");
+const { getRevenueDashboard } = require("../../../services/ReportService");
+const SimpleValidator = require("../../../validator/simpleValidator");
 
 exports.getDashboard = catchAsync(async (req, res) => {
   // Generate the last 12 months as a sequence of months to ensure autofill
@@ -538,3 +540,22 @@ exports.getDashboard = catchAsync(async (req, res) => {
     },
   });
 });
+
+/**
+ * Revenue and collection figures: billed vs. collected per month, outstanding
+ * receivables, top clients by revenue, collection rate per supervising partner
+ * and utilization, filtered by workspace and date range
+ */
+exports.getRevenueDashboard = catchAsync(async (req, res) => {
+  const { workspace, fromDate, toDate } = req.query;
+  await SimpleValidator(req.query, {
+    ...(workspace && { workspace: "mongoid" }),
+    ...(fromDate && { fromDate: "date" }),
+    ...(toDate && { toDate: "date" }),
+  });
+
+  res.json({
+    message: "Fetched successfully",
+    data: await getRevenueDashboard({ workspace, fromDate, toDate }),
+  });
+});
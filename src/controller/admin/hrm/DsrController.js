@@ -7,6 +7,8 @@ const Case = require("../../../model/Case");
 const User = require("../../../model/User");
 const dateQueryGenerator = require("../../../utils/dateQueryGenerator");
 const { Types } = require("mongoose");
+const { resolveHourlyRate } = require("../../../services/RateService");
+const { ensureWeekEditable } = require("../../../services/TimesheetService");
 exports.createDSRTimeTracking = catchAsync(async (req, res) => {
   let user = req.user;
 
@@ -24,17 +26,14 @@ exports.createDSRTimeTracking = catchAsync(async (req, res) => {
   if (!caseInfo) {
     throw new AppError("Invalid case id provided", 422);
   }
-  let hourlyRate = user?.hourlyRate ?? 0;
-  let members = caseInfo?.members ?? [];
-  if (members?.length > 0) {
-    let caseRate =
-      members?.find((item) => {
-        return item.user.toString() == user._id.toString();
-      })?.hourlyRate ?? 0;
-    if (caseRate) {
-      hourlyRate = caseRate;
-    }
-  }
+  let entryUser = req?.body?.user ? req?.body?.user : req.user._id;
+  await ensureWeekEditable(entryUser, date);
+  // The rate in effect on the day of the entry, for the user it is recorded for
+  let { rate: hourlyRate } = await resolveHourlyRate(
+    caseInfo,
+    `${entryUser}` === `${user._id}` ? user : entryUser,
+    moment(date).toDate()
+  );
 
   const newDSRTimeTracking = await DSRTimeTracking.create({
     task,
@@ -42,7 +41,7 @@ exports.createDSRTimeTracking = catchAsync(async (req, res) => {
     hourCount,
     hourlyRate,
     case: caseInfo._id,
-    user: req?.body?.user ? req?.body?.user : req.user._id,
+    user: entryUser,
     date: moment(date).toDate(),
   });
   res.status(201).json({
@@ -133,29 +132,72 @@ exports.updateDSRTimeTracking = catchAsync(async (req, res) => {
     throw new AppError("Invalid case id provided", 422);
   }
 
+  const existingDSRTimeTracking = await DSRTimeTracking.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!existingDSRTimeTracking) {
+    throw new AppError("DSRTimeTracking not found", 404);
+  }
+  if (existingDSRTimeTracking.billing) {
+    throw new AppError("A billed time entry cannot be changed", 422);
+  }
+  // Neither the week the entry is in nor the one it moves to may be locked
+  await ensureWeekEditable(
+    existingDSRTimeTracking.user,
+    existingDSRTimeTracking.date
+  );
+  await ensureWeekEditable(existingDSRTimeTracking.user, date);
+
+  // Moving the entry to another case or day re-resolves its rate
+  const movedEntry =
+    `${existingDSRTimeTracking.case}` !== `${caseInfo._id}` ||
+    !moment(existingDSRTimeTracking.date).isSame(date, "day");
+  const hourlyRate = movedEntry
+    ? (
+        await resolveHourlyRate(
+          caseInfo,
+          existingDSRTimeTracking.user,
+          moment(date).toDate()
+        )
+      ).rate
+    : existingDSRTimeTracking.hourlyRate;
+
   const updatedDSRTimeTracking = await DSRTimeTracking.findByIdAndUpdate(
     req.params.id,
     {
       task,
       case: caseInfo._id,
       hourCount,
+      hourlyRate,
       date: moment(date).toDate(),
     },
     { runValidators: true }
   );
-
-  if (!updatedDSRTimeTracking) {
-    throw new AppError("DSRTimeTracking not found", 404);
-  }
   res.json({
     message: "DSRTimeTracking updated successfully",
     data: updatedDSRTimeTracking,
   });
 });
 exports.deleteDSRTimeTracking = catchAsync(async (req, res) => {
-  const deletedDSRTimeTracking = await DSRTimeTracking.findByIdAndDelete(
-    req.params.id
+  const deletedDSRTimeTracking = await DSRTimeTracking.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!deletedDSRTimeTracking) {
+    throw new AppError("DSRTimeTracking not found", 404);
+  }
+  if (deletedDSRTimeTracking.billing) {
+    throw new AppError("A billed time entry cannot be deleted", 422);
+  }
+  await ensureWeekEditable(
+    deletedDSRTimeTracking.user,
+    deletedDSRTimeTracking.date
   );
+
+  // Entries are kept for the audit trail of submitted timesheets and bills
+  deletedDSRTimeTracking.status = "inactive";
+  await deletedDSRTimeTracking.save();
   res.json({
     message: "DSRTimeTracking deleted successfully",
     data: null,
@@ -169,13 +211,15 @@ exports.getDsrRecordsByCase = catchAsync(async (req, res) => {
   if (!caseId) {
     throw new AppError("Case id is required", 422);
   }
-  const { billingStart, billingEnd, search } = req.query;
+  const { billingStart, billingEnd, search, unbilled } = req.query;
 
   let dateQuery = await dateQueryGenerator(billingStart, billingEnd, "date");
 
   let match = {
     ...(caseId && { case: new Types.ObjectId(caseId) }),
     ...(search && { task: { $regex: search, $options: "i" } }),
+    ...(unbilled === "true" && { billing: null }),
+    status: "active",
     ...dateQuery,
   };
 
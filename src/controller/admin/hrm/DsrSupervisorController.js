@@ -0,0 +1,103 @@
+const catchAsync = require("../../../exception/catchAsync");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const DSRTimeTracking = require("../../../model/DSRTimeTracking");
+const AppError = require("../../../exception/AppError");
+const {
+  GROUP_BY,
+  getDsrPeriod,
+  getDsrSummary,
+  getEntryMatch,
+  getMissingDays,
+  getSupervisedScope,
+} = require("../../../services/DsrReportService");
+
+const validateFilters = async (query) => {
+  const { team, user, fromDate, toDate } = query;
+  await SimpleValidator(query, {
+    ...(team && { team: "mongoid" }),
+    ...(user && { user: "mongoid" }),
+    ...(query.case && { case: "mongoid" }),
+    ...(fromDate && { fromDate: "date" }),
+    ...(toDate && { toDate: "date" }),
+  });
+};
+
+/**
+ * Get the DSR entries of the users the supervisor oversees, filtered by team,
+ * case, user and date range
+ */
+exports.getSupervisedEntries = catchAsync(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  await validateFilters(req.query);
+  const scope = await getSupervisedScope(req.user, req.query);
+
+  const aggregatedQuery = DSRTimeTracking.aggregate([
+    { $match: getEntryMatch(scope, req.query) },
+    {
+      $lookup: {
+        from: "cases",
+        localField: "case",
+        foreignField: "_id",
+        as: "case",
+        pipeline: [{ $project: { caseNumber: 1, title: 1 } }],
+      },
+    },
+    { $unwind: { path: "$case", preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+      },
+    },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+    { $sort: { date: -1, createdAt: -1 } },
+  ]);
+
+  const data = await DSRTimeTracking.aggregatePaginate(aggregatedQuery, {
+    page: parseInt(page),
+    limit: limit == -1 ? 99999999 : parseInt(limit),
+  });
+
+  res.json({
+    message: "Fetched entries successfully",
+    data,
+  });
+});
+
+/**
+ * Get the hours of the users the supervisor oversees, totalled by user, case
+ * or team
+ */
+exports.getSupervisedSummary = catchAsync(async (req, res) => {
+  const { groupBy = "user" } = req.query;
+  await validateFilters(req.query);
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new AppError(`groupBy must be one of ${GROUP_BY.join(", ")}`, 422);
+  }
+  const scope = await getSupervisedScope(req.user, req.query);
+
+  res.json({
+    message: "Fetched summary successfully",
+    data: await getDsrSummary(req.user, scope, req.query, groupBy),
+  });
+});
+
+/**
+ * Get the workdays on which each user the supervisor oversees recorded no
+ * entries
+ */
+exports.getSupervisedMissingDays = catchAsync(async (req, res) => {
+  await validateFilters(req.query);
+  const scope = await getSupervisedScope(req.user, req.query);
+
+  res.json({
+    message: "Fetched missing days successfully",
+    data: {
+      ...getDsrPeriod(req.query),
+      users: await getMissingDays(scope, req.query),
+    },
+  });
+});
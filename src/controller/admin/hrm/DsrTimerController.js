@@ -0,0 +1,232 @@
+const catchAsync = require("../../../exception/catchAsync");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const DSRTimer = require("../../../model/DSRTimer");
+const AppError = require("../../../exception/AppError");
+const Case = require("../../../model/Case");
+const {
+  createEntryFromTimer,
+  getBillingIncrement,
+  getElapsedSeconds,
+  roundToIncrement,
+} = require("../../../services/DsrService");
+
+const OPEN_STATUSES = ["running", "paused"];
+
+const findOpenTimer = async (id, user) => {
+  const timer = await DSRTimer.findOne({
+    _id: id,
+    user: user._id,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (!timer) {
+    throw new AppError("Timer not found", 404);
+  }
+  return timer;
+};
+
+const withElapsed = (timer, incrementMinutes) => {
+  const elapsedSeconds = getElapsedSeconds(timer);
+  return {
+    ...timer.toObject(),
+    elapsedSeconds,
+    hourCount: roundToIncrement(elapsedSeconds, incrementMinutes),
+  };
+};
+
+// A user has a single running timer, starting one pauses the other
+const pauseRunningTimer = async (user) => {
+  const running = await DSRTimer.findOne({ user: user._id, status: "running" });
+  if (running) {
+    await DSRTimer.updateOne(
+      { _id: running._id, status: "running" },
+      {
+        status: "paused",
+        startedAt: null,
+        elapsedSeconds: getElapsedSeconds(running),
+      }
+    );
+  }
+};
+
+const startTimer = async (timer, user) => {
+  await pauseRunningTimer(user);
+  try {
+    timer.status = "running";
+    timer.startedAt = new Date();
+    await timer.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError("Another timer was started at the same time", 409);
+    }
+    throw error;
+  }
+  return timer;
+};
+
+/**
+ * Get the open timers of the user, to pick them up again after a reconnect
+ */
+exports.getTimers = catchAsync(async (req, res) => {
+  const timers = await DSRTimer.find({
+    user: req.user._id,
+    status: { $in: OPEN_STATUSES },
+  })
+    .populate("case", "caseNumber title")
+    .sort({ updatedAt: -1 });
+  const incrementMinutes = await getBillingIncrement();
+
+  res.json({
+    message: "Fetched timers successfully",
+    data: {
+      billingIncrementMinutes: incrementMinutes,
+      timers: timers.map((timer) => withElapsed(timer, incrementMinutes)),
+    },
+  });
+});
+
+/**
+ * Start a timer against a case
+ */
+exports.startTimer = catchAsync(async (req, res) => {
+  const { task } = req.body;
+  await SimpleValidator(req.body, {
+    case: "required|mongoid",
+    ...(task && { task: "string" }),
+  });
+
+  const caseInfo = await Case.findById(req.body.case);
+  if (!caseInfo) {
+    throw new AppError("Invalid case id provided", 422);
+  }
+
+  const timer = await startTimer(
+    new DSRTimer({
+      user: req.user._id,
+      case: caseInfo._id,
+      task: task ?? null,
+    }),
+    req.user
+  );
+
+  res.status(201).json({
+    message: "Timer started successfully",
+    data: withElapsed(timer, await getBillingIncrement()),
+  });
+});
+
+/**
+ * Pause a running timer
+ */
+exports.pauseTimer = catchAsync(async (req, res) => {
+  const timer = await findOpenTimer(req.params.id, req.user);
+  if (timer.status !== "running") {
+    throw new AppError("The timer is not running", 422);
+  }
+
+  timer.elapsedSeconds = getElapsedSeconds(timer);
+  timer.status = "paused";
+  timer.startedAt = null;
+  await timer.save();
+
+  res.json({
+    message: "Timer paused successfully",
+    data: withElapsed(timer, await getBillingIncrement()),
+  });
+});
+
+/**
+ * Resume a paused timer
+ */
+exports.resumeTimer = catchAsync(async (req, res) => {
+  const timer = await findOpenTimer(req.params.id, req.user);
+  if (timer.status === "running") {
+    throw new AppError("The timer is already running", 422);
+  }
+
+  await startTimer(timer, req.user);
+
+  res.json({
+    message: "Timer resumed successfully",
+    data: withElapsed(timer, await getBillingIncrement()),
+  });
+});
+
+/**
+ * Stop a timer and record its time as a DSR entry, rounded up to the billing
+ * increment
+ */
+exports.stopTimer = catchAsync(async (req, res) => {
+  const { task, date } = req.body;
+  await SimpleValidator(req.body, {
+    ...(task && { task: "string" }),
+    ...(date && { date: "date" }),
+  });
+
+  const timer = await findOpenTimer(req.params.id, req.user);
+  if (!task && !timer.task) {
+    throw new AppError("The task is required", 422);
+  }
+  const caseInfo = await Case.findById(timer.case);
+  if (!caseInfo) {
+    throw new AppError("Invalid case id provided", 422);
+  }
+
+  const elapsedSeconds = getElapsedSeconds(timer);
+  if (!elapsedSeconds) {
+    throw new AppError("No time has been recorded on the timer", 422);
+  }
+
+  // Claim the timer first, so a second stop can't record the time twice
+  const stopped = await DSRTimer.findOneAndUpdate(
+    { _id: timer._id, status: timer.status },
+    {
+      status: "stopped",
+      startedAt: null,
+      elapsedSeconds,
+      stoppedAt: new Date(),
+    },
+    { new: true }
+  );
+  if (!stopped) {
+    throw new AppError("The timer was changed meanwhile, try again", 409);
+  }
+
+  let entry;
+  try {
+    entry = await createEntryFromTimer(stopped, caseInfo, req.user, {
+      task,
+      date,
+    });
+  } catch (error) {
+    await DSRTimer.updateOne(
+      { _id: timer._id },
+      {
+        status: timer.status,
+        startedAt: timer.startedAt,
+        elapsedSeconds: timer.elapsedSeconds,
+        stoppedAt: null,
+      }
+    );
+    throw error;
+  }
+  stopped.dsr = entry._id;
+  await stopped.save();
+
+  res.status(201).json({
+    message: "DSR created successfully",
+    data: entry,
+  });
+});
+
+/**
+ * Discard a timer without recording its time
+ */
+exports.discardTimer = catchAsync(async (req, res) => {
+  const timer = await findOpenTimer(req.params.id, req.user);
+  await timer.deleteOne();
+
+  res.json({
+    message: "Timer discarded successfully",
+    data: null,
+  });
+});
@@ -0,0 +1,224 @@
+const moment = require("moment");
+const { Types } = require("mongoose");
+const catchAsync = require("../../../exception/catchAsync");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const AppError = require("../../../exception/AppError");
+const BillableHourTarget = require("../../../model/BillableHourTarget");
+const User = require("../../../model/User");
+const {
+  PRODUCTIVITY_GROUPS,
+  getMonthlyTargets,
+  getProductivityReport,
+} = require("../../../services/ProductivityService");
+const { sendXlsx } = require("../../../utils/exportGenerator");
+
+const HOURS_FORMAT = "#,##0.00";
+
+const buildProductivityReport = async (query) => {
+  const { groupBy, fromDate, toDate, team, designation, user } = query;
+
+  await SimpleValidator(query, {
+    ...(groupBy && { groupBy: `in:${PRODUCTIVITY_GROUPS.join(",")}` }),
+    ...(fromDate && { fromDate: "date" }),
+    ...(toDate && { toDate: "date" }),
+    ...(team && { team: "mongoid" }),
+    ...(designation && { designation: "mongoid" }),
+    ...(user && { user: "mongoid" }),
+  });
+
+  return await getProductivityReport({
+    groupBy,
+    fromDate,
+    toDate,
+    team,
+    designation,
+    user,
+  });
+};
+
+/**
+ * Get the billable-hour targets of a year
+ */
+exports.getTargets = catchAsync(async (req, res) => {
+  const { year = moment().year(), user, page = 1, limit = 10 } = req.query;
+  await SimpleValidator(req.query, {
+    ...(user && { user: "mongoid" }),
+  });
+
+  const aggregatedQuery = BillableHourTarget.aggregate([
+    {
+      $match: {
+        year: parseInt(year),
+        ...(user && { user: new Types.ObjectId(user) }),
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+      },
+    },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+    { $sort: { "user.firstName": 1, "user.lastName": 1 } },
+  ]);
+
+  const data = await BillableHourTarget.aggregatePaginate(aggregatedQuery, {
+    page: parseInt(page),
+    limit: limit == -1 ? 99999999 : parseInt(limit),
+  });
+
+  res.json({
+    message: "Fetched targets successfully",
+    data,
+  });
+});
+
+/**
+ * Set the billable-hour target of a user for a year
+ *
+ * Monthly hours are optional, without them the annual hours are spread
+ * evenly. When given, the annual hours default to their sum.
+ */
+exports.setTarget = catchAsync(async (req, res) => {
+  const { user, year, annualHours, monthlyHours, note } = req.body;
+  await SimpleValidator(req.body, {
+    user: "required|mongoid",
+    year: "required|integer",
+    ...(!monthlyHours && { annualHours: "required|numeric|min:0" }),
+    ...(monthlyHours && { monthlyHours: "array" }),
+  });
+
+  if (monthlyHours) {
+    if (
+      monthlyHours.length !== 12 ||
+      monthlyHours.some((hours) => !(Number(hours) >= 0))
+    ) {
+      throw new AppError(
+        "monthlyHours must list 12 non-negative hours, January to December",
+        422
+      );
+    }
+  }
+
+  const foundUser = await User.exists({
+    _id: user,
+    status: { $ne: "deleted" },
+  });
+  if (!foundUser) {
+    throw new AppError("User not found", 404);
+  }
+
+  const target = await BillableHourTarget.findOneAndUpdate(
+    { user, year: parseInt(year) },
+    {
+      annualHours:
+        annualHours ??
+        monthlyHours.reduce((sum, hours) => sum + Number(hours), 0),
+      monthlyHours: monthlyHours ? monthlyHours.map(Number) : null,
+      note: note ?? null,
+      updatedBy: req.user._id,
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  res.json({
+    message: "Target saved successfully",
+    data: {
+      ...target.toObject(),
+      months: getMonthlyTargets(target),
+    },
+  });
+});
+
+/**
+ * Delete the billable-hour target of a user for a year
+ */
+exports.deleteTarget = catchAsync(async (req, res) => {
+  const target = await BillableHourTarget.findByIdAndDelete(req.params.id);
+  if (!target) {
+    throw new AppError("Target not found", 404);
+  }
+
+  res.json({
+    message: "Target deleted successfully",
+    data: null,
+  });
+});
+
+/**
+ * Get the utilization and realization report, ranked by user, team or
+ * designation, or by month
+ */
+exports.getProductivityReport = catchAsync(async (req, res) => {
+  res.json({
+    message: "Fetched report successfully",
+    data: await buildProductivityReport(req.query),
+  });
+});
+
+/**
+ * Export the utilization and realization report as XLSX
+ */
+exports.exportProductivityReport = catchAsync(async (req, res) => {
+  const report = await buildProductivityReport(req.query);
+  const fileName = `productivity-${report.groupBy}-${moment(
+    report.fromDate
+  ).format("YYYY-MM-DD")}-${moment(report.toDate).format("YYYY-MM-DD")}`;
+
+  const groupColumns = {
+    user: [
+      { header: "Rank", key: "rank", width: 8 },
+      {
+        header: "User",
+        value: (row) => `${row.user.firstName} ${row.user.lastName}`,
+        width: 30,
+      },
+      { header: "Email", value: (row) => row.user.email, width: 30 },
+      { header: "Designation", value: (row) => row.designation?.name },
+    ],
+    team: [
+      { header: "Rank", key: "rank", width: 8 },
+      { header: "Team", value: (row) => row.team.title, width: 30 },
+      { header: "Users", key: "users" },
+    ],
+    designation: [
+      { header: "Rank", key: "rank", width: 8 },
+      {
+        header: "Designation",
+        value: (row) => row.designation.name,
+        width: 30,
+      },
+      { header: "Users", key: "users" },
+    ],
+    period: [
+      { header: "Month", key: "yearMonth" },
+      { header: "Users", key: "users" },
+    ],
+  };
+  const figureColumns = [
+    { header: "Recorded Hours", key: "recordedHours", numFmt: HOURS_FORMAT },
+    { header: "Billable Hours", key: "billableHours", numFmt: HOURS_FORMAT },
+    { header: "Target Hours", key: "targetHours", numFmt: HOURS_FORMAT },
+    { header: "Utilization %", key: "utilization", numFmt: HOURS_FORMAT },
+    { header: "Billed Hours", key: "billedHours", numFmt: HOURS_FORMAT },
+    { header: "Recorded Value", key: "recordedValue", numFmt: HOURS_FORMAT },
+    { header: "Billed Value", key: "billedValue", numFmt: HOURS_FORMAT },
+    { header: "Realization %", key: "realization", numFmt: HOURS_FORMAT },
+  ];
+
+  await sendXlsx(res, fileName, [
+    {
+      name: "Report",
+      columns: [...groupColumns[report.groupBy], ...figureColumns],
+      rows: report.rows,
+    },
+    {
+      name: "Totals",
+      columns: [{ header: "Users", key: "users" }, ...figureColumns],
+      rows: [report.totals],
+    },
+  ]);
+});
@@ -0,0 +1,219 @@
+const catchAsync = require("../../../exception/catchAsync");
+const SimpleValidator = require("../../../validator/simpleValidator");
+const Timesheet = require("../../../model/Timesheet");
+const AppError = require("../../../exception/AppError");
+const dateQueryGenerator = require("../../../utils/dateQueryGenerator");
+const { Types } = require("mongoose");
+const {
+  ensureReviewer,
+  getReviewedUsers,
+  getWeek,
+  getWeekEntries,
+  transition,
+} = require("../../../services/TimesheetService");
+
+// The owner of a timesheet and the leads of their teams can see it
+const ensureCanView = async (user, ownerId) => {
+  if (`${user._id}` !== `${ownerId}`) {
+    await ensureReviewer(user, ownerId);
+  }
+};
+
+const findTimesheet = async (id) => {
+  const timesheet = await Timesheet.findById(id);
+  if (!timesheet) {
+    throw new AppError("Timesheet not found", 404);
+  }
+  return timesheet;
+};
+
+/**
+ * Get the timesheet of a week with its entries, the user's own by default
+ */
+exports.getWeekTimesheet = catchAsync(async (req, res) => {
+  const { date, user } = req.query;
+  await SimpleValidator(req.query, {
+    ...(date && { date: "date" }),
+    ...(user && { user: "mongoid" }),
+  });
+  const userId = user ?? req.user._id;
+  await ensureCanView(req.user, userId);
+
+  const week = getWeek(date ?? new Date());
+  const timesheet = (await Timesheet.findOne({
+    user: userId,
+    weekStart: week.weekStart,
+  })
+    .populate("history.by", "firstName lastName")
+    .lean()) ?? { user: userId, ...week, status: "open", history: [] };
+  const entries = await getWeekEntries(userId, week);
+
+  res.json({
+    message: "Fetched timesheet successfully",
+    data: {
+      timesheet,
+      entries,
+      totalHours: entries.reduce((sum, entry) => sum + entry.hourCount, 0),
+    },
+  });
+});
+
+/**
+ * Get the user's timesheets, or with review=true the timesheets of the users
+ * they lead
+ */
+exports.getAllTimesheets = catchAsync(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    review,
+    status,
+    user,
+    fromDate,
+    toDate,
+  } = req.query;
+
+  await SimpleValidator(req.query, {
+    ...(user && { user: "mongoid" }),
+  });
+
+  let users = [req.user._id];
+  if (review === "true") {
+    users = await getReviewedUsers(req.user);
+  }
+  if (user && users && !users.some((item) => `${item}` === `${user}`)) {
+    throw new AppError("You cannot view the timesheets of this user", 403);
+  }
+
+  const match = {
+    ...(users && { user: { $in: users } }),
+    ...(user && { user: new Types.ObjectId(user) }),
+    ...(status && { status }),
+    ...dateQueryGenerator(fromDate, toDate, "weekStart"),
+  };
+
+  const aggregatedQuery = Timesheet.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+      },
+    },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+    { $project: { history: 0 } },
+    { $sort: { weekStart: -1 } },
+  ]);
+
+  const data = await Timesheet.aggregatePaginate(aggregatedQuery, {
+    page: parseInt(page),
+    limit: limit == -1 ? 99999999 : parseInt(limit),
+  });
+
+  res.json({
+    message: "Fetched timesheets successfully",
+    data,
+  });
+});
+
+/**
+ * Get a timesheet with its entries
+ */
+exports.getTimesheet = catchAsync(async (req, res) => {
+  const timesheet = await Timesheet.findById(req.params.id)
+    .populate("user", "firstName lastName email")
+    .populate("reviewedBy", "firstName lastName")
+    .populate("history.by", "firstName lastName")
+    .lean();
+  if (!timesheet) {
+    throw new AppError("Timesheet not found", 404);
+  }
+  await ensureCanView(req.user, timesheet.user._id);
+
+  res.json({
+    message: "Fetched timesheet successfully",
+    data: {
+      timesheet,
+      entries: await getWeekEntries(timesheet.user._id, timesheet),
+    },
+  });
+});
+
+/**
+ * Submit the user's timesheet of a week, locking its entries
+ */
+exports.submitTimesheet = catchAsync(async (req, res) => {
+  const { date, comment } = req.body;
+  await SimpleValidator(req.body, {
+    date: "required|date",
+  });
+
+  const week = getWeek(date);
+  const timesheet =
+    (await Timesheet.findOne({
+      user: req.user._id,
+      weekStart: week.weekStart,
+    })) ?? new Timesheet({ user: req.user._id, ...week });
+
+  res.json({
+    message: "Timesheet submitted successfully",
+    data: await transition(timesheet, "submitted", {
+      user: req.user,
+      comment,
+    }),
+  });
+});
+
+/**
+ * Approve a submitted timesheet
+ */
+exports.approveTimesheet = catchAsync(async (req, res) => {
+  const timesheet = await findTimesheet(req.params.id);
+
+  res.json({
+    message: "Timesheet approved successfully",
+    data: await transition(timesheet, "approved", {
+      user: req.user,
+      comment: req.body.comment,
+    }),
+  });
+});
+
+/**
+ * Reject a submitted timesheet, the user can then correct and resubmit it
+ */
+exports.rejectTimesheet = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    comment: "required|string",
+  });
+  const timesheet = await findTimesheet(req.params.id);
+
+  res.json({
+    message: "Timesheet rejected successfully",
+    data: await transition(timesheet, "rejected", {
+      user: req.user,
+      comment: req.body.comment,
+    }),
+  });
+});
+
+/**
+ * Reopen a submitted or approved timesheet so its entries can be edited again
+ */
+exports.reopenTimesheet = catchAsync(async (req, res) => {
+  await SimpleValidator(req.body, {
+    comment: "required|string",
+  });
+  const timesheet = await findTimesheet(req.params.id);
+
+  res.json({
+    message: "Timesheet reopened successfully",
+    data: await transition(timesheet, "reopened", {
+      user: req.user,
+      comment: req.body.comment,
+    }),
+  });
+});
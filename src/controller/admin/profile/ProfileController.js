@@ -11,6 +11,7 @@
  * @requires ../../../exception/catchAsync
  * @requires ../../../model/User
  * @requires ../../../model/Workspace
+ * @requires ../../../services/RateService
  * @requires ../../../validator/simpleValidator
  */
 
@@ -19,6 +20,7 @@ const AppError = require("../../../exception/AppError");
 const catchAsync = require("../../../exception/catchAsync");
 const User = require("../../../model/User");
 const Workspace = require("../../../model/Workspace");
+const { applyRateChange } = require("../../../services/RateService");
 const SimpleValidator = require("../../../validator/simpleValidator");
 
 /**
@@ -77,9 +79,10 @@ exports.updateProfile = catchAsync(async (req, res) => {
   // 1. Validate incoming data
   await SimpleValidator(req.body, {
     firstName: "required",
+    ...(req.body.rateEffectiveFrom && { rateEffectiveFrom: "date" }),
   });
 
-  const { firstName, lastName, hourlyRate } = req.body;
+  const { firstName, lastName, hourlyRate, rateEffectiveFrom } = req.body;
 
   // 2. Find the user by ID
   user = await User.findById(user._id);
@@ -95,7 +98,8 @@ exports.updateProfile = catchAsync(async (req, res) => {
     user.lastName = lastName;
   }
   if (hourlyRate) {
-    user.hourlyRate = hourlyRate
+    // Entries recorded before rateEffectiveFrom keep the previous rate
+    applyRateChange(user, "hourlyRate", hourlyRate, rateEffectiveFrom)
   }
 
   if (req.file) {
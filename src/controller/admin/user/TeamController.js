@@ -27,6 +27,7 @@ const TEAM_STATUS = {
  * @param {string} req.body.title - Title of the team
  * @param {string} [req.body.description] - Description of the team
  * @param {Array} req.body.users - Array of user IDs to be added to the team
+ * @param {Array} [req.body.leads] - User IDs of the team leads
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  * @throws {AppError} If validation fails
@@ -152,6 +153,7 @@ exports.getTeam = catchAsync(async (req, res) => {
  * @param {string} req.body.title - Updated title of the team
  * @param {string} req.body.description - Updated description of the team
  * @param {Array} req.body.users - Updated array of user IDs in the team
+ * @param {Array} [req.body.leads] - Updated user IDs of the team leads
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  * @throws {AppError} If team is not found or validation fails
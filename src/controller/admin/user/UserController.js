@@ -14,6 +14,7 @@
  * @requires ../../../utils/dateQueryGenerator
  * @requires ../../../validator/simpleValidator
  * @requires ../../../config/file
+ * @requires ../../../services/RateService
  */
 
 const { Types } = require("mongoose");
@@ -23,6 +24,7 @@ const Role = require("../../../model/Role");
 const User = require("../../../model/User");
 const dateQueryGenerator = require("../../../utils/dateQueryGenerator");
 const SimpleValidator = require("../../../validator/simpleValidator");
+const { applyRateChange } = require("../../../services/RateService");
 const { upload, deleteFileByPath } = require("../../../config/file");
 
 /**
@@ -246,9 +248,10 @@ exports.updateUser = catchAsync(async (req, res) => {
     firstName: "required",
     lastName: "required",
     // role: "required|mongoid",
+    ...(req.body.rateEffectiveFrom && { rateEffectiveFrom: "date" }),
   });
 
-  const { firstName, lastName, email, role, status, phone, password, hourlyRate } =
+  const { firstName, lastName, email, role, status, phone, password, hourlyRate, rateEffectiveFrom } =
     req.body;
   const userId = req.params.id;
 
@@ -285,7 +288,8 @@ exports.updateUser = catchAsync(async (req, res) => {
   }
 
   if (hourlyRate) {
-    user.hourlyRate = hourlyRate
+    // Entries recorded before rateEffectiveFrom keep the previous rate
+    applyRateChange(user, "hourlyRate", hourlyRate, rateEffectiveFrom)
   }
   if (req.file) {
     if (user?.photo) {
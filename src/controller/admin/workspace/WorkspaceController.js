@@ -7,18 +7,25 @@
  * 
  * @module WorkspaceController
  * @requires ../../../config/file
+ * @requires ../../../exception/AppError
  * @requires ../../../exception/catchAsync
  * @requires ../../../model/DocumentNode
  * @requires ../../../model/Workspace
+ * @requires ../../../services/NumberingService
  * @requires ../../../services/PaperMerge
  * @requires ../../../utils/dateQueryGenerator
  * @requires ../../../validator/simpleValidator
  */
 
 const { upload } = require("../../../config/file");
+const AppError = require("../../../exception/AppError");
 const catchAsync = require("../../../exception/catchAsync");
 const DocumentNode = require("../../../model/DocumentNode");
 const Workspace = require("../../../model/Workspace");
+const {
+  SEQUENCES,
+  getSequenceSettings,
+} = require("../../../services/NumberingService");
 const { createNode, getInformation } = require("../../../services/PaperMerge");
 const dateQueryGenerator = require("../../../utils/dateQueryGenerator");
 const SimpleValidator = require("../../../validator/simpleValidator");
@@ -280,3 +287,110 @@ exports.deleteWorkspace = catchAsync(async (req, res) => {
     message: "Workspace deleted successfully",
   });
 });
+
+/**
+ * Retrieves the document numbering of a workspace
+ *
+ * Series the workspace has not configured are returned with their defaults.
+ *
+ * @function getNumbering
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Workspace ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends a JSON response with the prefix, padding and yearly reset of each series
+ * @throws {AppError} If the workspace is not found
+ */
+exports.getNumbering = catchAsync(async (req, res) => {
+  const workspace = await Workspace.exists({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!workspace) {
+    throw new AppError("Workspace not found", 404);
+  }
+
+  const numbering = {};
+  for (const sequence of Object.keys(SEQUENCES)) {
+    numbering[sequence] = await getSequenceSettings(sequence, workspace._id);
+  }
+
+  res.json({
+    message: "Workspace numbering fetched successfully",
+    data: {
+      numbering,
+    },
+  });
+});
+
+/**
+ * Updates the document numbering of a workspace
+ *
+ * Each series (case, client, billing, officialReceipt, creditNote) takes a
+ * prefix, a padding of 1 to 12 digits and whether it restarts every year.
+ * Numbers already issued are kept, changing the prefix or the yearly reset
+ * starts the series over under the new format.
+ *
+ * @function updateNumbering
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Workspace ID
+ * @param {Object} req.body - Series to update, keyed by series name
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends a JSON response with the updated workspace
+ * @throws {AppError} If the workspace is not found or a series is invalid
+ */
+exports.updateNumbering = catchAsync(async (req, res) => {
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+  if (!workspace) {
+    throw new AppError("Workspace not found", 404);
+  }
+
+  for (const [sequence, settings] of Object.entries(req.body)) {
+    if (!SEQUENCES[sequence]) {
+      throw new AppError(`Unknown numbering series ${sequence}`, 422);
+    }
+    const { prefix, padding, yearly } = settings ?? {};
+    if (
+      prefix !== undefined &&
+      prefix !== null &&
+      !/^[A-Za-z0-9\-_/.]{0,20}$/.test(prefix)
+    ) {
+      throw new AppError(
+        `The ${sequence} prefix may only use up to 20 letters, digits and - _ / .`,
+        422
+      );
+    }
+    if (
+      padding !== undefined &&
+      padding !== null &&
+      !(Number.isInteger(Number(padding)) && padding >= 1 && padding <= 12)
+    ) {
+      throw new AppError(`The ${sequence} padding must be 1 to 12 digits`, 422);
+    }
+
+    workspace.set(`numbering.${sequence}`, {
+      prefix: prefix ?? null,
+      padding:
+        padding === undefined || padding === null ? null : Number(padding),
+      yearly:
+        yearly === undefined || yearly === null
+          ? null
+          : yearly === true || yearly === "true",
+    });
+  }
+
+  await workspace.save();
+
+  res.json({
+    message: "Workspace numbering updated successfully",
+    data: {
+      workspace,
+    },
+  });
+});
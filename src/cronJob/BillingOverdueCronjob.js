@@ -0,0 +1,114 @@
+var cron = require("node-cron");
+const moment = require("moment");
+const catchAsync = require("../exception/catchAsync");
+const BillingHistory = require("../model/BillingHistory");
+const { recalculateAllBillings } = require("../services/BillingLedgerService");
+const { getStatementData } = require("../services/BillingService");
+const { sendStatementEmail } = require("../services/BillingMailService");
+const { createNotification } = require("../services/NotificationService");
+const { getNumberListSetting } = require("../services/SettingService");
+
+// Days past the due date at which a reminder goes out, overridable through the
+// "billing_reminder_days" setting
+const DEFAULT_REMINDER_DAYS = [7, 14, 30];
+
+module.exports = cron.schedule(
+  "0 0 8 * * *",
+  catchAsync(async () => {
+    console.log(` Billing overdue cron running at ${new Date().toUTCString()}`);
+    const today = moment().startOf("day");
+
+    try {
+      // Unpaid and partially paid bills become overdue once the due date has passed
+      const marked = await recalculateAllBillings({
+        status: { $in: ["unpaid", "partiallyPaid"] },
+        approvalStatus: { $nin: ["draft", "forReview"] },
+        dueDate: { $lt: today.toDate() },
+      });
+      console.log("Bills marked overdue", marked.changed);
+
+      const reminderDays = await getNumberListSetting(
+        "billing_reminder_days",
+        DEFAULT_REMINDER_DAYS
+      );
+
+      const overdueBills = await BillingHistory.find({
+        status: "overdue",
+        approvalStatus: { $nin: ["draft", "forReview"] },
+        dueDate: { $ne: null },
+      }).populate("client", "companyName supervisingPartner");
+
+      for (const billing of overdueBills) {
+        const daysOverdue = today.diff(
+          moment(billing.dueDate).startOf("day"),
+          "days"
+        );
+        // Only the latest reached stage is sent, earlier ones are not caught up
+        const stage = [...reminderDays]
+          .reverse()
+          .find((days) => days <= daysOverdue);
+        if (!stage) {
+          continue;
+        }
+
+        // Each channel is recorded on its own, so a failed email is retried
+        // without notifying the partner again
+        const sentOn = (channel) =>
+          billing.reminders.some(
+            (reminder) =>
+              reminder.daysOverdue >= stage &&
+              (!reminder.channel || reminder.channel === channel)
+          );
+        const recordReminder = (channel) =>
+          BillingHistory.findByIdAndUpdate(billing._id, {
+            $push: {
+              reminders: { daysOverdue: stage, channel, sentAt: new Date() },
+            },
+          });
+
+        if (billing.client?.supervisingPartner && !sentOn("notification")) {
+          try {
+            const { dueAmount } = await getStatementData(billing._id);
+            await createNotification(
+              billing.client.supervisingPartner,
+              "billing_overdue",
+              {
+                billingId: billing._id,
+                billNumber: billing.billNumber,
+                clientName: billing.client.companyName,
+                currency: billing.currency,
+                dueAmount,
+                daysOverdue,
+              }
+            );
+            await recordReminder("notification");
+          } catch (error) {
+            console.log(
+              "Unable to notify the partner of " + billing.billNumber,
+              error.message
+            );
+          }
+        }
+
+        if (!sentOn("email")) {
+          try {
+            await sendStatementEmail(billing._id, {
+              type: "reminder",
+              subject: `Payment Reminder: ${billing.billNumber}`,
+              view: "billing-overdue",
+              data: { daysOverdue },
+            });
+            await recordReminder("email");
+          } catch (error) {
+            console.log(
+              "Unable to email reminder for " + billing.billNumber,
+              error.message
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error("Error processing overdue bills:", error);
+    }
+  })
+);
@@ -0,0 +1,44 @@
+var cron = require("node-cron");
+const catchAsync = require("../exception/catchAsync");
+const Case = require("../model/Case");
+const {
+  generateScheduledBill,
+} = require("../services/RecurringBillingService");
+
+module.exports = cron.schedule(
+  "0 0 1 * * *",
+  catchAsync(async () => {
+    console.log(
+      ` Recurring billing cron running at ${new Date().toUTCString()}`
+    );
+
+    try {
+      const cases = await Case.find({
+        "billingSchedule.enabled": true,
+        status: "active",
+        fixedFee: { $gt: 0 },
+      }).lean();
+
+      for (const caseData of cases) {
+        try {
+          const billing = await generateScheduledBill(caseData);
+          if (billing) {
+            console.log(
+              "Draft bill " +
+                billing.billNumber +
+                " generated for " +
+                caseData.caseNumber
+            );
+          }
+        } catch (error) {
+          console.log(
+            "Getting Error while generating bill for: " + caseData.caseNumber,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error generating scheduled bills:", error);
+    }
+  })
+);
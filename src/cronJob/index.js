@@ -1,4 +1,8 @@
 const CheckDocumentOcrStatus = require("./CheckDocumentOcrStatus");
 const EventReminderCronjob = require("./EventReminderCronjob");
+const BillingOverdueCronjob = require("./BillingOverdueCronjob");
+const RecurringBillingCronjob = require("./RecurringBillingCronjob");
 EventReminderCronjob.start();
 CheckDocumentOcrStatus.start()
+BillingOverdueCronjob.start();
+RecurringBillingCronjob.start();
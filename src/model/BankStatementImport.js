@@ -0,0 +1,129 @@
+/**
+ * Defines the schema for a BankStatementImport.
+ * An imported bank statement keeps every money-in line of the statement with
+ * the open bills it may pay. A person confirms a suggestion, which records the
+ * payment, or ignores the line. Lines without a suggestion stay unmatched.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const suggestionSchema = new Schema(
+  {
+    billing: {
+      type: Schema.Types.ObjectId,
+      ref: "BillingHistory",
+      required: true,
+    },
+    score: {
+      type: Number,
+      default: 0, // Higher is a better match
+    },
+    reasons: [String], // e.g. billNumber, amount, reference, client
+    dueAmount: {
+      type: Number,
+      default: 0, // Amount due on the bill when suggested
+    },
+  },
+  { _id: false }
+);
+
+const lineSchema = new Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  reference: {
+    type: String,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: "PHP",
+  },
+  status: {
+    type: String,
+    enum: [
+      "unmatched",
+      "suggested",
+      "duplicate",
+      "confirming", // Claimed while its payments are being recorded
+      "confirmed",
+      "ignored",
+    ],
+    default: "unmatched",
+  },
+  suggestions: [suggestionSchema],
+  payments: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Payment", // Payments recorded when the line was confirmed
+    },
+  ],
+  resolvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+});
+
+const bankStatementImportSchema = new Schema(
+  {
+    fileName: {
+      type: String,
+      default: null,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "ofx"],
+      required: true,
+    },
+    bankAccount: {
+      type: String,
+      default: null,
+    },
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+    skippedLines: {
+      type: Number,
+      default: 0, // Money-out lines, not imported
+    },
+    lines: [lineSchema],
+    status: {
+      type: String,
+      enum: ["open", "completed"],
+      default: "open",
+    },
+    importedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bankStatementImportSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model(
+  "BankStatementImport",
+  bankStatementImportSchema
+);
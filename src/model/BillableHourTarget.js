@@ -0,0 +1,46 @@
+/**
+ * Defines the schema for a BillableHourTarget document.
+ * A target sets the billable hours a user is expected to record in a year.
+ * The year is spread evenly over its months unless monthly targets are set,
+ * and utilization reports measure billable hours against it.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const billableHourTargetSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    annualHours: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    monthlyHours: {
+      type: [Number],
+      default: null, // Hours for January to December, null to spread annualHours evenly
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+billableHourTargetSchema.index({ user: 1, year: 1 }, { unique: true });
+billableHourTargetSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("BillableHourTarget", billableHourTargetSchema);
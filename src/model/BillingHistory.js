@@ -15,12 +15,16 @@ const schema = new Schema(
     },
     billingType: {
       type: String,
-      enum: ["oneTime", "progressBased", "timeBased", "taskBased"],
+      enum: ["oneTime", "progressBased", "timeBased", "taskBased", "recurring"],
       default: "oneTime",
     },
     currency: {
       type: String,
-      default: "PH",
+      default: "PHP",
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1, // PHP value of one unit of the currency when the bill was issued
     },
     // title: {
     //   type: String,
@@ -77,6 +81,31 @@ const schema = new Schema(
           type: Number,
           default: 0,
         },
+
+        feeType: {
+          type: String,
+          enum: [
+            "professionalFee",
+            "acceptanceFee",
+            "fixedFee",
+            "successFee",
+            "ope",
+            "other",
+          ],
+          default: "professionalFee", // Agreed fee of the case the item bills
+        },
+
+        timeEntry: {
+          type: Schema.Types.ObjectId,
+          ref: "DSRTimeTracking", // Source entry for time-based items
+          default: null,
+        },
+
+        expense: {
+          type: Schema.Types.ObjectId,
+          ref: "Expense", // Source expense for re-billed disbursements
+          default: null,
+        },
       },
     ],
     subTotal: {
@@ -99,17 +128,163 @@ const schema = new Schema(
       type: Number,
       default: 0,
     },
+    creditedAmount: {
+      type: Number,
+      default: 0, // Issued credit notes, kept by the billing ledger
+    },
+    dueAmount: {
+      type: Number,
+      default: 0, // Grand total less payments and credits, kept by the billing ledger
+    },
+    feeWarnings: [String], // Agreed fees of the case this bill went over
+    feeLimitOverriddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User", // Set when the bill was allowed over an enforced fee of the case
+      default: null,
+    },
+    realization: {
+      // Time-based bills only: what was billed against what was recorded
+      recordedHours: {
+        type: Number,
+        default: 0,
+      },
+      billedHours: {
+        type: Number,
+        default: 0,
+      },
+      recordedValue: {
+        type: Number,
+        default: 0,
+      },
+      billedValue: {
+        type: Number,
+        default: 0,
+      },
+      rate: {
+        type: Number,
+        default: null, // Billed value as a percentage of the recorded value
+      },
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: "User", // Admin or user who created the event
       required: true,
     },
+    emailLogs: [
+      {
+        type: {
+          type: String,
+          enum: ["statement", "receipt", "reminder"],
+          default: "statement",
+        },
+        payment: {
+          type: Schema.Types.ObjectId,
+          ref: "Payment", // Set when a receipt was sent
+          default: null,
+        },
+        recipients: [
+          {
+            type: String,
+          },
+        ],
+        subject: {
+          type: String,
+          default: null,
+        },
+        messageId: {
+          type: String,
+          default: null,
+        },
+        sentBy: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reminders: [
+      {
+        daysOverdue: {
+          type: Number,
+          default: 0,
+        },
+        channel: {
+          type: String,
+          enum: ["email", "notification"],
+          default: null, // Null for reminders sent on both before channels were recorded
+        },
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    approvalStatus: {
+      type: String,
+      enum: ["draft", "forReview", "approved", "sent"],
+      default: "approved", // Bills issued before the approval workflow count as approved
+    },
+    reviewHistory: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "submitted",
+            "approved",
+            "changesRequested",
+            "reopened",
+            "edited",
+            "sent",
+          ],
+          required: true,
+        },
+        from: {
+          type: String,
+          default: null, // Approval status before the action
+        },
+        to: {
+          type: String,
+          default: null, // Approval status after the action
+        },
+        comment: {
+          type: String,
+          default: null,
+        },
+        requiredChanges: [String], // Edits the approver asked for
+        by: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
 
     status: {
       type: String,
-      enum: ["unpaid", "paid", "partiallyPaid", "overdue", "overPaid"],
+      enum: ["unpaid", "paid", "partiallyPaid", "overdue", "overPaid", "void"],
       default: "unpaid",
     },
+    voidReason: {
+      type: String,
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
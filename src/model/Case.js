@@ -95,6 +95,28 @@ const caseSchema = new Schema(
       type: Date,
       default: null,
     },
+    billingSchedule: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      frequency: {
+        type: String,
+        enum: ["monthly", "quarterly", "semiAnnually", "annually"],
+        default: "monthly",
+      },
+      dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 28,
+        default: 1,
+      },
+      dueInDays: {
+        type: Number,
+        min: 0,
+        default: 30,
+      },
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -141,10 +163,21 @@ const caseSchema = new Schema(
           ref: "User", // Referencing the User model
           required: true,
         },
+        designation: {
+          type: Schema.Types.ObjectId,
+          ref: "CaseTeamDesignation",
+          default: null,
+        },
         rate: {
           type: Number,
-          default: 0,
+          default: 0, // Rate in effect today, 0 to fall back to the designation rate
         },
+        rateHistory: [
+          {
+            rate: { type: Number, default: 0 },
+            effectiveFrom: { type: Date, default: null }, // null since always
+          },
+        ],
       },
     ],
     metaData: {
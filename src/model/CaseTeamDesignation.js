@@ -8,6 +8,16 @@ const caseTeamDesignationSchema = new Schema(
       required: true,
       default: null,
     },
+    rate: {
+      type: Number,
+      default: null, // Default hourly rate of members with the designation
+    },
+    rateHistory: [
+      {
+        rate: { type: Number, default: 0 },
+        effectiveFrom: { type: Date, default: null }, // null since always
+      },
+    ],
     status: {
       type: String,
       enum: ["active", "deleted"],
@@ -0,0 +1,95 @@
+/**
+ * Defines the schema for a ClientLedger entry.
+ * The client ledger tracks money held for a client: retainer (trust) money and
+ * credit left over when a client pays more than it owes. Entries are deposits
+ * received, drawdowns applied to a bill and refunds paid back to the client.
+ * The balance of an account is the sum of deposits minus drawdowns and refunds.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const clientLedgerSchema = new Schema(
+  {
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    case: {
+      type: Schema.Types.ObjectId,
+      ref: "Case", // Optional matter the money was received for
+      default: null,
+    },
+    account: {
+      type: String,
+      enum: ["retainer", "credit"],
+      default: "retainer",
+    },
+    type: {
+      type: String,
+      enum: ["deposit", "drawdown", "refund"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+    billing: {
+      type: Schema.Types.ObjectId,
+      ref: "BillingHistory", // Bill settled by a drawdown
+      default: null,
+    },
+    payment: {
+      type: Schema.Types.ObjectId,
+      ref: "Payment", // Payment created by a drawdown, or the overpaid payment of a credit
+      default: null,
+    },
+    remittance: {
+      type: String,
+      default: null, // Remittance a credit was left over from
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    paymentMethod: {
+      type: String,
+      default: null,
+    },
+    reference: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+clientLedgerSchema.index({ client: 1, account: 1, date: 1 });
+// Money from a gateway transaction is credited once
+clientLedgerSchema.index(
+  { paymentMethod: 1, reference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      paymentMethod: "online",
+      reference: { $type: "string" },
+    },
+  }
+);
+clientLedgerSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("ClientLedger", clientLedgerSchema);
@@ -0,0 +1,38 @@
+/**
+ * Defines the schema for a ClientLedgerLock document.
+ * A lock is held on a client ledger account in one currency while money is
+ * drawn from it, so two drawdowns or refunds can't both pass the balance check
+ * and overdraw the account. A lock left behind by a crash expires on its own.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const clientLedgerLockSchema = new Schema(
+  {
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: ["retainer", "credit"],
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null, // Null while the account is free
+    },
+  },
+  { timestamps: true }
+);
+clientLedgerLockSchema.index(
+  { client: 1, account: 1, currency: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("ClientLedgerLock", clientLedgerLockSchema);
@@ -0,0 +1,29 @@
+/**
+ * Defines the schema for a Counter document.
+ * A counter holds the last number issued in a document series, e.g. the
+ * "case" sequence under the stem "CAS-2026-". Numbers are taken by
+ * incrementing the counter atomically, so concurrent creates never share one.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const counterSchema = new Schema(
+  {
+    sequence: {
+      type: String,
+      required: true, // case, client, billing, officialReceipt or creditNote
+    },
+    stem: {
+      type: String,
+      default: "", // Prefix and year the numbers are issued under
+    },
+    value: {
+      type: Number,
+      default: 0, // Last number issued
+    },
+  },
+  { timestamps: true }
+);
+counterSchema.index({ sequence: 1, stem: 1 }, { unique: true });
+
+module.exports = mongoose.model("Counter", counterSchema);
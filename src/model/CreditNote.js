@@ -0,0 +1,78 @@
+/**
+ * Defines the schema for a CreditNote.
+ * A credit note reduces the receivable of an issued bill without changing the
+ * bill itself, e.g. for a disputed item or a goodwill discount. Credit notes
+ * are never deleted, a mistaken one is voided and stays on record.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const creditNoteSchema = new Schema(
+  {
+    creditNoteNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    billing: {
+      type: Schema.Types.ObjectId,
+      ref: "BillingHistory", // Bill the credit is applied to
+      required: true,
+    },
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    case: {
+      type: Schema.Types.ObjectId,
+      ref: "Case",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true, // In the currency of the bill
+    },
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["issued", "void"],
+      default: "issued",
+    },
+    voidReason: {
+      type: String,
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+creditNoteSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("CreditNote", creditNoteSchema);
@@ -38,6 +38,38 @@ const schema = new Schema(
       type: Number,
       default: 0,
     },
+    billing: {
+      type: Schema.Types.ObjectId,
+      ref: "BillingHistory", // Bill this entry was charged on, null while unbilled
+      default: null,
+    },
+    billingAdjustment: {
+      type: {
+        type: String,
+        enum: ["writeDown", "writeUp", "noCharge"],
+      },
+      hourCount: {
+        type: Number,
+        default: null, // Hours to bill, the recorded hours when not changed
+      },
+      hourlyRate: {
+        type: Number,
+        default: null, // Rate to bill, the recorded rate when not changed
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      adjustedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      adjustedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     status: {
       type: String,
       enum: ["active", "inactive"],
@@ -0,0 +1,57 @@
+/**
+ * Defines the schema for a DSRTimer document.
+ * A timer runs on the server for a user against a case, so it keeps counting
+ * when the browser is closed or reconnects. Stopping it records the time as a
+ * DSRTimeTracking entry. A user can have a single running timer, others are
+ * paused.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const dsrTimerSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    case: {
+      type: Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+    task: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["running", "paused", "stopped"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: null, // Start of the current run, null while paused
+    },
+    elapsedSeconds: {
+      type: Number,
+      default: 0, // Time counted before the current run
+    },
+    stoppedAt: {
+      type: Date,
+      default: null,
+    },
+    dsr: {
+      type: Schema.Types.ObjectId,
+      ref: "DSRTimeTracking", // Entry recorded when the timer was stopped
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+dsrTimerSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "running" } }
+);
+
+module.exports = mongoose.model("DSRTimer", dsrTimerSchema);
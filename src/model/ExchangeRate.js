@@ -0,0 +1,52 @@
+/**
+ * Defines the schema for an ExchangeRate document.
+ * A rate states how many PHP one unit of a currency is worth from its
+ * effective date onward. Bills and payments snapshot the rate that was
+ * effective when they were issued or received.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const exchangeRateSchema = new Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "deleted"],
+      default: "active",
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 });
+exchangeRateSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,80 @@
+/**
+ * Defines the schema for an Expense.
+ * An expense is an out-of-pocket disbursement made for a case, such as a
+ * filing fee or a courier, that is re-billed to the client on the next bill
+ * of the case.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const expenseSchema = new Schema(
+  {
+    case: {
+      type: Schema.Types.ObjectId,
+      ref: "Case",
+      required: true,
+    },
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: [
+        "filingFee",
+        "courier",
+        "notarial",
+        "transportation",
+        "photocopy",
+        "other",
+      ],
+      default: "other",
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+    date: {
+      type: Date,
+      default: Date.now, // Date the money was spent
+    },
+    receipt: {
+      type: String,
+      default: null, // Storage key of the receipt
+    },
+    billable: {
+      type: Boolean,
+      default: true, // Non-billable expenses are absorbed by the firm
+    },
+    billing: {
+      type: Schema.Types.ObjectId,
+      ref: "BillingHistory", // Bill this expense was charged on, null while unbilled
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["active", "deleted"],
+      default: "active",
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+expenseSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("Expense", expenseSchema);
@@ -33,6 +33,14 @@ const notificationSchema = new mongoose.Schema(
         "password_change",
         "2fa_activation",
         "2fa_deactivation",
+        "billing_overdue",
+        "billing_review",
+        "billing_approved",
+        "billing_changes_requested",
+        "timesheet_submitted",
+        "timesheet_approved",
+        "timesheet_rejected",
+        "timesheet_reopened",
         // Add more types as needed
       ],
       default: "common",
@@ -15,7 +15,23 @@ const schema = new Schema(
     },
     amount: {
       type: Number,
-      default: 0,
+      default: 0, // Amount applied to the bill, in the bill's currency, including tax withheld
+    },
+    currency: {
+      type: String,
+      default: null, // Currency the payment was received in
+    },
+    receivedAmount: {
+      type: Number,
+      default: null, // Amount received, in the payment's currency
+    },
+    exchangeRate: {
+      type: Number,
+      default: null, // PHP value of one unit of the payment's currency when received
+    },
+    conversionRate: {
+      type: Number,
+      default: 1, // Bill currency units per unit of the payment's currency
     },
     date: {
       type: Date,
@@ -33,6 +49,47 @@ const schema = new Schema(
       type: String,
       default: null,
     },
+    remittance: {
+      type: String,
+      default: null, // Shared by the payments a single remittance was split into
+    },
+    officialReceiptNumber: {
+      type: String,
+      default: null, // BIR official receipt, issued for money collected
+    },
+    withholdingTax: {
+      rate: {
+        type: Number,
+        default: 0, // Percentage of the bill's amount net of VAT
+      },
+      amount: {
+        type: Number,
+        default: 0, // Creditable tax withheld by the client, in the bill's currency
+      },
+      atc: {
+        type: String,
+        default: null, // BIR alphanumeric tax code, e.g. WC010
+      },
+    },
+    form2307: {
+      status: {
+        type: String,
+        enum: ["notApplicable", "pending", "received"],
+        default: "notApplicable",
+      },
+      receivedAt: {
+        type: Date,
+        default: null,
+      },
+      file: {
+        type: String,
+        default: null, // Storage key of the scanned certificate
+      },
+      note: {
+        type: String,
+        default: null,
+      },
+    },
 
     note: {
       type: String,
@@ -41,12 +98,50 @@ const schema = new Schema(
 
     status: {
       type: String,
-      enum: ["collected", "pending"],
-      default: "collected",
+      enum: ["collected", "pending", "cancelled"],
+      default: "collected", // Cancelled payments are kept for their official receipt
+    },
+    reversal: {
+      billing: {
+        type: Schema.Types.ObjectId,
+        ref: "BillingHistory", // Bill the payment was applied to before it was taken off
+        default: null,
+      },
+      reason: {
+        type: String,
+        default: null,
+      },
+      reversedAt: {
+        type: Date,
+        default: null,
+      },
+      reversedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
     },
   },
   { timestamps: true }
 );
+schema.index(
+  { officialReceiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { officialReceiptNumber: { $type: "string" } },
+  }
+);
+// A gateway transaction is recorded once, however often its webhook is delivered
+schema.index(
+  { paymentMethod: 1, transactionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      paymentMethod: "online",
+      transactionId: { $type: "string" },
+    },
+  }
+);
 schema.plugin(aggregatePaginate);
 
 module.exports = mongoose.model("Payment", schema);
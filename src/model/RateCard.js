@@ -0,0 +1,66 @@
+/**
+ * Defines the schema for a RateCard document.
+ * A rate card is an hourly rate agreed with a client, for everyone working on
+ * its cases or only for a designation or a user. It applies from its effective
+ * date until its end date, when the case does not set a member or designation
+ * rate.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const rateCardSchema = new Schema(
+  {
+    client: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    designation: {
+      type: Schema.Types.ObjectId,
+      ref: "CaseTeamDesignation",
+      default: null, // null for every designation
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for every user
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveFrom: {
+      type: Date,
+      default: null, // null since always
+    },
+    effectiveTo: {
+      type: Date,
+      default: null, // null until further notice
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "deleted"],
+      default: "active",
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+rateCardSchema.index({ client: 1, status: 1 });
+rateCardSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("RateCard", rateCardSchema);
@@ -19,6 +19,12 @@ const teamSchema = new Schema(
         required: true,
       },
     ],
+    leads: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User", // Team leads, who approve the timesheets of the team
+      },
+    ],
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: "User", // The user who created the team
@@ -0,0 +1,88 @@
+/**
+ * Defines the schema for a Timesheet document.
+ * A timesheet groups the DSR entries a user recorded in a week, Monday to
+ * Sunday. Submitting it locks the entries until a team lead rejects it, and
+ * once approved they stay read-only unless the timesheet is reopened.
+ */
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const timesheetSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    weekStart: {
+      type: Date,
+      required: true, // Monday of the week
+    },
+    weekEnd: {
+      type: Date,
+      required: true, // End of the Sunday of the week
+    },
+    status: {
+      type: String,
+      enum: ["open", "submitted", "approved", "rejected"],
+      default: "open",
+    },
+    totalHours: {
+      type: Number,
+      default: 0, // Hours recorded in the week when last submitted
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ["submitted", "approved", "rejected", "reopened"],
+          required: true,
+        },
+        from: {
+          type: String,
+          default: null, // Status before the action
+        },
+        to: {
+          type: String,
+          default: null, // Status after the action
+        },
+        comment: {
+          type: String,
+          default: null,
+        },
+        by: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.plugin(aggregatePaginate);
+
+module.exports = mongoose.model("Timesheet", timesheetSchema);
@@ -57,6 +57,12 @@ const schema = new Schema(
       type: Number,
       default: 0,
     },
+    rateHistory: [
+      {
+        rate: { type: Number, default: 0 },
+        effectiveFrom: { type: Date, default: null }, // null since always
+      },
+    ],
 
     status: {
       type: String,
@@ -1,6 +1,17 @@
 const mongoose = require("mongoose");
 var aggregatePaginate = require("mongoose-aggregate-paginate-v2");
 
+// How the numbers of a document series are formatted, unset fields fall back
+// to the defaults of NumberingService
+const numberingSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, default: null }, // e.g. "CAS-"
+    padding: { type: Number, default: null }, // Digits, zero padded
+    yearly: { type: Boolean, default: null }, // Adds the year and restarts at 1 every year
+  },
+  { _id: false }
+);
+
 const workspaceSchema = new mongoose.Schema(
   {
     name: { type: String, unique: true, required: true },
@@ -15,6 +26,13 @@ const workspaceSchema = new mongoose.Schema(
       type: String, // ID from Papermerge to reference the document
       default: null,
     },
+    numbering: {
+      case: { type: numberingSchema, default: null },
+      client: { type: numberingSchema, default: null },
+      billing: { type: numberingSchema, default: null },
+      officialReceipt: { type: numberingSchema, default: null },
+      creditNote: { type: numberingSchema, default: null },
+    },
     status: { type: String, enum: ["active", "deleted"], default: "active" },
   },
   { timestamps: true }
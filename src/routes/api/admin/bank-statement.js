@@ -0,0 +1,31 @@
+/**
+ * Defines the routes for bank statement imports.
+ * Uploaded statements are matched to open bills, each line is then confirmed
+ * as a payment or ignored.
+ */
+
+const multerMiddleware = require("../../../config/multer");
+const BankStatementController = require("../../../controller/admin/billing/BankStatementController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const bankStatementRouter = require("express").Router();
+require("express-group-routes");
+
+bankStatementRouter.group("/bank-statements", (route) => {
+  route.use(Authenticated);
+  route.post(
+    "/",
+    HasPermission("billing.payment.create"),
+    multerMiddleware.single("file"),
+    BankStatementController.importStatement
+  );
+  route.get("/", HasPermission("billing.read"), BankStatementController.getAllStatements);
+  route.get("/:id", HasPermission("billing.read"), BankStatementController.getStatement);
+
+  // Reconcile single lines
+  route.post("/:id/lines/:lineId/confirm", HasPermission("billing.payment.create"), BankStatementController.confirmLine);
+  route.post("/:id/lines/:lineId/ignore", HasPermission("billing.payment.create"), BankStatementController.ignoreLine);
+});
+
+module.exports = bankStatementRouter;
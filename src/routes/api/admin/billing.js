@@ -6,6 +6,9 @@
  */
 
 const BillingController = require("../../../controller/admin/billing/BillingController");
+const PreBillController = require("../../../controller/admin/billing/PreBillController");
+const OnlinePaymentController = require("../../../controller/admin/billing/OnlinePaymentController");
+const ReceivableController = require("../../../controller/admin/billing/ReceivableController");
 const Authenticated = require("../../../middleware/Authenticated");
 const HasPermission = require("../../../middleware/HasPermission");
 
@@ -16,10 +19,19 @@ billingRouter.group("/billing", (route) => {
   route.use(Authenticated);
   // CRUD Operations
   route.post("/", HasPermission("billing.create"), BillingController.createBilling);
+  route.post("/recalculate", HasPermission("billing.recalculate"), BillingController.recalculateBillings);
   route.get("/", HasPermission("billing.read"), BillingController.getAllBillings);
   route.get("/:id", HasPermission("billing.read"), BillingController.getBilling);
+  route.get("/:id/pdf", HasPermission("billing.read"), BillingController.downloadBillingPdf);
+  route.post("/:id/send", HasPermission("billing.update"), BillingController.sendBilling);
+  route.post("/:id/payment-link", HasPermission("billing.update"), OnlinePaymentController.createPaymentLink);
   route.patch("/:id", HasPermission("billing.update"), BillingController.updateBilling);
-  route.delete("/:id", HasPermission("billing.delete"), BillingController.deleteBilling);
+  route.patch("/:id/void", HasPermission("billing.delete"), BillingController.voidBilling);
+  // Approval workflow
+  route.post("/:id/submit", HasPermission("billing.update"), BillingController.submitBilling);
+  route.post("/:id/approve", HasPermission("billing.approve"), BillingController.approveBilling);
+  route.post("/:id/request-changes", HasPermission("billing.approve"), BillingController.requestBillingChanges);
+  route.post("/:id/reopen", HasPermission("billing.approve"), BillingController.reopenBilling);
 
   // Additional Functionalities
   route.patch(
@@ -27,6 +39,14 @@ billingRouter.group("/billing", (route) => {
     HasPermission("billing.read"),
     BillingController.getBillingStats
   );
+  route.get("/stats/get", HasPermission("billing.read"), BillingController.getBillingStats);
+  // Pre-bill review of unbilled time
+  route.get("/pre-bill/:caseId", HasPermission("billing.read"), PreBillController.getPreBillReview);
+  route.patch("/pre-bill/entries/:entryId", HasPermission("billing.update"), PreBillController.adjustTimeEntry);
+  route.delete("/pre-bill/entries/:entryId/adjustment", HasPermission("billing.update"), PreBillController.clearTimeEntryAdjustment);
+  // Accounts-receivable aging
+  route.get("/reports/aging", HasPermission("billing.read"), ReceivableController.getAgingReport);
+  route.get("/reports/aging/export", HasPermission("billing.read"), ReceivableController.exportAgingReport);
   // Get data for billing page
   route.get("/data/get", BillingController.getData);
 });
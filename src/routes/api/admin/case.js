@@ -30,6 +30,16 @@ caseRouter.group("/cases", (route) => {
     multerMiddleware.array("files"),
     CaseController.updateCaseStatus
   );
+  route.patch(
+    "/:id/billing-schedule",
+    HasPermission("case.update"),
+    CaseController.updateBillingSchedule
+  );
+  route.get(
+    "/:id/fee-utilization",
+    HasPermission("case.read"),
+    CaseController.getFeeUtilization
+  );
   route.post("/:id/members",  CaseController.addMember);
   // Get data for case page
   route.get("/data/get", CaseController.getData);
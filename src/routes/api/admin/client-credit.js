@@ -0,0 +1,21 @@
+/**
+ * Defines the routes for client credit, the money left over when a client pays
+ * more than it owes. Credit is added by payments and applied to bills with the
+ * "client_credit" payment method.
+ */
+
+const ClientCreditController = require("../../../controller/admin/billing/ClientCreditController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const clientCreditRouter = require("express").Router();
+require("express-group-routes");
+
+clientCreditRouter.group("/client-credits", (route) => {
+  route.use(Authenticated);
+  route.get("/", HasPermission("billing.read"), ClientCreditController.getCreditBalances);
+  route.get("/:clientId", HasPermission("billing.read"), ClientCreditController.getCreditLedger);
+  route.post("/:clientId/refunds", HasPermission("billing.payment.create"), ClientCreditController.createCreditRefund);
+});
+
+module.exports = clientCreditRouter;
@@ -0,0 +1,21 @@
+/**
+ * Defines the routes for credit notes issued against bills.
+ * Credit notes are never deleted, they are voided with a reason.
+ */
+
+const CreditNoteController = require("../../../controller/admin/billing/CreditNoteController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const creditNoteRouter = require("express").Router();
+require("express-group-routes");
+
+creditNoteRouter.group("/credit-notes", (route) => {
+  route.use(Authenticated);
+  route.post("/", HasPermission("billing.creditNote.create"), CreditNoteController.createCreditNote);
+  route.get("/", HasPermission("billing.read"), CreditNoteController.getAllCreditNotes);
+  route.get("/:id", HasPermission("billing.read"), CreditNoteController.getCreditNote);
+  route.patch("/:id/void", HasPermission("billing.creditNote.delete"), CreditNoteController.voidCreditNote);
+});
+
+module.exports = creditNoteRouter;
@@ -1,6 +1,7 @@
 const multerMiddleware = require("../../../config/multer");
-const { getDashboard } = require("../../../controller/admin/dashboard/DashboardController");
+const { getDashboard, getRevenueDashboard } = require("../../../controller/admin/dashboard/DashboardController");
 const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
 
 const dashboardRouter = require("express").Router();
 require("express-group-routes");
@@ -13,6 +14,13 @@ dashboardRouter.group("/dashboard", (dashboard) => {
     "/",
     getDashboard
   );
+
+  // Revenue and collection figures
+  dashboard.get(
+    "/revenue",
+    HasPermission("billing.read"),
+    getRevenueDashboard
+  );
 });
 
 module.exports = dashboardRouter;
@@ -1,5 +1,7 @@
 const express = require("express");
 const DsrController = require("../../../controller/admin/hrm/DsrController");
+const DsrSupervisorController = require("../../../controller/admin/hrm/DsrSupervisorController");
+const DsrTimerController = require("../../../controller/admin/hrm/DsrTimerController");
 const Authenticated = require("../../../middleware/Authenticated");
 const HasPermission = require("../../../middleware/HasPermission");
 
@@ -12,6 +14,19 @@ dsrRouter.group("/dsr", (dsr) => {
   // Create a new dsr
   dsr.post("/", HasPermission("dsr.create"), DsrController.createDSRTimeTracking);
 
+  // Timers of the user, stopping one records its time as a dsr
+  dsr.get("/timers", HasPermission("dsr.create"), DsrTimerController.getTimers);
+  dsr.post("/timers", HasPermission("dsr.create"), DsrTimerController.startTimer);
+  dsr.post("/timers/:id/pause", HasPermission("dsr.create"), DsrTimerController.pauseTimer);
+  dsr.post("/timers/:id/resume", HasPermission("dsr.create"), DsrTimerController.resumeTimer);
+  dsr.post("/timers/:id/stop", HasPermission("dsr.create"), DsrTimerController.stopTimer);
+  dsr.delete("/timers/:id", HasPermission("dsr.create"), DsrTimerController.discardTimer);
+
+  // Entries of the teams the user leads, or of the firm for a super admin
+  dsr.get("/supervisor/entries", HasPermission("dsr.supervise"), DsrSupervisorController.getSupervisedEntries);
+  dsr.get("/supervisor/summary", HasPermission("dsr.supervise"), DsrSupervisorController.getSupervisedSummary);
+  dsr.get("/supervisor/missing-days", HasPermission("dsr.supervise"), DsrSupervisorController.getSupervisedMissingDays);
+
   // Get all dsr accessible to the user
   dsr.get("/", HasPermission("dsr.read"), DsrController.getAllDSRTimeTrackings);
   // Get all dsr for specific case accessible to the user
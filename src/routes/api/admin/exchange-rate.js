@@ -0,0 +1,55 @@
+/**
+ * Defines the routes for managing the exchange rates used by billing.
+ *
+ * - POST /exchange-rates - Create a rate (requires "exchangeRate.create" permission)
+ * - GET /exchange-rates - List rates, optionally for one currency (requires "exchangeRate.read" permission)
+ * - GET /exchange-rates/current/get - Rate currently in effect per currency
+ * - PATCH /exchange-rates/:id - Update a rate (requires "exchangeRate.update" permission)
+ * - DELETE /exchange-rates/:id - Soft delete a rate (requires "exchangeRate.delete" permission)
+ */
+const ExchangeRateController = require("../../../controller/admin/billing/ExchangeRateController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const exchangeRateRouter = require("express").Router();
+require("express-group-routes");
+
+exchangeRateRouter.group("/exchange-rates", (exchangeRate) => {
+  exchangeRate.use(Authenticated);
+
+  // Create a new exchange rate
+  exchangeRate.post(
+    "/",
+    HasPermission("exchangeRate.create"),
+    ExchangeRateController.createExchangeRate
+  );
+
+  // Get all exchange rates (with filters and pagination)
+  exchangeRate.get(
+    "/",
+    HasPermission("exchangeRate.read"),
+    ExchangeRateController.getAllExchangeRates
+  );
+
+  // Get the rates currently in effect, used by the billing forms
+  exchangeRate.get(
+    "/current/get",
+    ExchangeRateController.getCurrentExchangeRates
+  );
+
+  // Update a specific exchange rate by ID
+  exchangeRate.patch(
+    "/:id",
+    HasPermission("exchangeRate.update"),
+    ExchangeRateController.updateExchangeRate
+  );
+
+  // Soft delete a specific exchange rate by ID
+  exchangeRate.delete(
+    "/:id",
+    HasPermission("exchangeRate.delete"),
+    ExchangeRateController.deleteExchangeRate
+  );
+});
+
+module.exports = exchangeRateRouter;
@@ -0,0 +1,24 @@
+/**
+ * Defines the routes for the out-of-pocket expenses of cases.
+ * Unbilled expenses are re-billed on the next bill of their case, billed
+ * ones can no longer be changed.
+ */
+
+const multerMiddleware = require("../../../config/multer");
+const ExpenseController = require("../../../controller/admin/billing/ExpenseController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const expenseRouter = require("express").Router();
+require("express-group-routes");
+
+expenseRouter.group("/expenses", (route) => {
+  route.use(Authenticated);
+  route.post("/", HasPermission("billing.expense.create"), multerMiddleware.single("receipt"), ExpenseController.createExpense);
+  route.get("/", HasPermission("billing.read"), ExpenseController.getAllExpenses);
+  route.get("/:id", HasPermission("billing.read"), ExpenseController.getExpense);
+  route.patch("/:id", HasPermission("billing.expense.update"), multerMiddleware.single("receipt"), ExpenseController.updateExpense);
+  route.delete("/:id", HasPermission("billing.expense.delete"), ExpenseController.deleteExpense);
+});
+
+module.exports = expenseRouter;
@@ -0,0 +1,22 @@
+/**
+ * Defines the public routes of online payments.
+ * They are opened by clients through a signed payment link and by the payment
+ * gateway, so they don't require authentication.
+ */
+
+const OnlinePaymentController = require("../../../controller/admin/billing/OnlinePaymentController");
+
+const onlinePaymentRouter = require("express").Router();
+require("express-group-routes");
+
+onlinePaymentRouter.group("/pay", (route) => {
+  // Gateway notifications, verified by the gateway adapter
+  route.post("/webhooks/:gateway", OnlinePaymentController.handleWebhook);
+  // Checkout page of the local mock gateway
+  route.get("/mock/checkout", OnlinePaymentController.completeMockCheckout);
+
+  route.get("/:token", OnlinePaymentController.getPaymentLink);
+  route.post("/:token/checkout", OnlinePaymentController.startCheckout);
+});
+
+module.exports = onlinePaymentRouter;
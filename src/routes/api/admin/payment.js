@@ -1,4 +1,5 @@
 const express = require("express");
+const multerMiddleware = require("../../../config/multer");
 const PaymentController = require("../../../controller/admin/billing/PaymentController");
 const Authenticated = require("../../../middleware/Authenticated");
 const HasPermission = require("../../../middleware/HasPermission");
@@ -17,6 +18,13 @@ paymentRouter.group("/payments", (route) => {
     PaymentController.createPayment
   );
 
+  // Route to split one remittance across several bills of a client
+  route.post(
+    "/allocate",
+    HasPermission("billing.payment.create"),
+    PaymentController.allocatePayment
+  );
+
   // Route to get all payments for a specific billing
   route.get(
     "/billing/:billingId",
@@ -24,6 +32,35 @@ paymentRouter.group("/payments", (route) => {
     PaymentController.getPaymentsForBilling
   );
 
+  // Route to list the Form 2307 certificates to collect, per client
+  route.get(
+    "/form-2307",
+    HasPermission("billing.read"),
+    PaymentController.getForm2307List
+  );
+
+  // Route to record the Form 2307 of a payment
+  route.patch(
+    "/:paymentId/form-2307",
+    HasPermission("billing.payment.create"),
+    multerMiddleware.single("file"),
+    PaymentController.updateForm2307
+  );
+
+  // Route to download the receipt of a payment
+  route.get(
+    "/:paymentId/receipt",
+    HasPermission("billing.read"),
+    PaymentController.downloadPaymentReceipt
+  );
+
+  // Route to email the receipt of a payment to the client
+  route.post(
+    "/:paymentId/send-receipt",
+    HasPermission("billing.payment.create"),
+    PaymentController.sendPaymentReceipt
+  );
+
   // Route to update a payment
   route.patch(
     "/:paymentId",
@@ -0,0 +1,57 @@
+/**
+ * Defines the routes for billable-hour targets and the productivity reports
+ * built from the DSR. Mounted under /hrm.
+ *
+ * - GET /productivity/targets - Targets of a year (requires "productivity.read" permission)
+ * - PUT /productivity/targets - Set the target of a user for a year (requires "productivity.target.update" permission)
+ * - DELETE /productivity/targets/:id - Delete a target (requires "productivity.target.update" permission)
+ * - GET /productivity/report - Utilization and realization report (requires "productivity.read" permission)
+ * - GET /productivity/report/export - The report as XLSX (requires "productivity.read" permission)
+ */
+const ProductivityController = require("../../../controller/admin/hrm/ProductivityController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const productivityRouter = require("express").Router();
+require("express-group-routes");
+
+productivityRouter.group("/productivity", (productivity) => {
+  productivity.use(Authenticated);
+
+  // Get the targets of a year
+  productivity.get(
+    "/targets",
+    HasPermission("productivity.read"),
+    ProductivityController.getTargets
+  );
+
+  // Set the target of a user for a year
+  productivity.put(
+    "/targets",
+    HasPermission("productivity.target.update"),
+    ProductivityController.setTarget
+  );
+
+  // Delete a specific target by ID
+  productivity.delete(
+    "/targets/:id",
+    HasPermission("productivity.target.update"),
+    ProductivityController.deleteTarget
+  );
+
+  // Get the utilization and realization report
+  productivity.get(
+    "/report",
+    HasPermission("productivity.read"),
+    ProductivityController.getProductivityReport
+  );
+
+  // Export the report as XLSX
+  productivity.get(
+    "/report/export",
+    HasPermission("productivity.read"),
+    ProductivityController.exportProductivityReport
+  );
+});
+
+module.exports = productivityRouter;
@@ -0,0 +1,56 @@
+/**
+ * Defines the routes for managing the hourly rates agreed with clients.
+ *
+ * - POST /rate-cards - Create a rate card (requires "rateCard.create" permission)
+ * - GET /rate-cards - List rate cards, optionally for one client (requires "rateCard.read" permission)
+ * - GET /rate-cards/resolve - Rate a user records time at on a case (requires "rateCard.read" permission)
+ * - PATCH /rate-cards/:id - Update a rate card (requires "rateCard.update" permission)
+ * - DELETE /rate-cards/:id - Soft delete a rate card (requires "rateCard.delete" permission)
+ */
+const RateCardController = require("../../../controller/admin/billing/RateCardController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const rateCardRouter = require("express").Router();
+require("express-group-routes");
+
+rateCardRouter.group("/rate-cards", (rateCard) => {
+  rateCard.use(Authenticated);
+
+  // Create a new rate card
+  rateCard.post(
+    "/",
+    HasPermission("rateCard.create"),
+    RateCardController.createRateCard
+  );
+
+  // Get all rate cards (with filters and pagination)
+  rateCard.get(
+    "/",
+    HasPermission("rateCard.read"),
+    RateCardController.getAllRateCards
+  );
+
+  // Get the rate a user records time at on a case, and where it comes from
+  rateCard.get(
+    "/resolve",
+    HasPermission("rateCard.read"),
+    RateCardController.resolveRate
+  );
+
+  // Update a specific rate card by ID
+  rateCard.patch(
+    "/:id",
+    HasPermission("rateCard.update"),
+    RateCardController.updateRateCard
+  );
+
+  // Soft delete a specific rate card by ID
+  rateCard.delete(
+    "/:id",
+    HasPermission("rateCard.delete"),
+    RateCardController.deleteRateCard
+  );
+});
+
+module.exports = rateCardRouter;
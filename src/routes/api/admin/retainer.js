@@ -0,0 +1,29 @@
+/**
+ * Defines the routes for the client retainer (trust-account) ledger.
+ * Drawdowns are not created here, they are recorded when a payment is made
+ * with the "retainer" payment method.
+ */
+
+const RetainerController = require("../../../controller/admin/billing/RetainerController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const retainerRouter = require("express").Router();
+require("express-group-routes");
+
+retainerRouter.group("/retainers", (route) => {
+  route.use(Authenticated);
+
+  // Balances of all clients holding retainer money
+  route.get("/", HasPermission("billing.retainer.read"), RetainerController.getRetainerBalances);
+
+  // Ledger of a single client
+  route.get("/:clientId", HasPermission("billing.retainer.read"), RetainerController.getRetainerLedger);
+  route.get("/:clientId/export", HasPermission("billing.retainer.read"), RetainerController.exportRetainerLedger);
+
+  // Deposits and refunds
+  route.post("/:clientId/deposits", HasPermission("billing.retainer.create"), RetainerController.createDeposit);
+  route.post("/:clientId/refunds", HasPermission("billing.retainer.create"), RetainerController.createRefund);
+});
+
+module.exports = retainerRouter;
@@ -0,0 +1,28 @@
+const express = require("express");
+const TimesheetController = require("../../../controller/admin/hrm/TimesheetController");
+const Authenticated = require("../../../middleware/Authenticated");
+const HasPermission = require("../../../middleware/HasPermission");
+
+const timesheetRouter = express.Router();
+require("express-group-routes");
+
+timesheetRouter.group("/timesheets", (timesheet) => {
+  timesheet.use(Authenticated);
+
+  // Get the timesheets of the user, or of the users they lead
+  timesheet.get("/", HasPermission("dsr.read"), TimesheetController.getAllTimesheets);
+  // Get the timesheet of a week with its entries
+  timesheet.get("/week", HasPermission("dsr.read"), TimesheetController.getWeekTimesheet);
+  // Get a specific timesheet by ID
+  timesheet.get("/:id", HasPermission("dsr.read"), TimesheetController.getTimesheet);
+
+  // Submit the timesheet of a week, locking its entries
+  timesheet.post("/submit", HasPermission("dsr.create"), TimesheetController.submitTimesheet);
+
+  // Review by a team lead
+  timesheet.post("/:id/approve", HasPermission("dsr.approve"), TimesheetController.approveTimesheet);
+  timesheet.post("/:id/reject", HasPermission("dsr.approve"), TimesheetController.rejectTimesheet);
+  timesheet.post("/:id/reopen", HasPermission("dsr.approve"), TimesheetController.reopenTimesheet);
+});
+
+module.exports = timesheetRouter;
@@ -39,6 +39,20 @@ workspaceRouter.group("/workspaces", (workspace) => {
     WorkspaceController.updateWorkspace
   );
 
+  // Get the document numbering of a workspace
+  workspace.get(
+    "/:id/numbering",
+    HasPermission("workspace.read"),
+    WorkspaceController.getNumbering
+  );
+
+  // Update the document numbering of a workspace
+  workspace.patch(
+    "/:id/numbering",
+    HasPermission("workspace.update"),
+    WorkspaceController.updateNumbering
+  );
+
   // Soft delete a specific workspace by ID
   workspace.delete(
     "/:id",
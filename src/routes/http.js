@@ -24,8 +24,18 @@ const notificationRouter = require("./api/admin/notification");
 const dumpRouter = require("./api/admin/dump");
 const dashboardRouter = require("./api/admin/dashboard");
 const dsrRouter = require("./api/admin/dsr");
+const timesheetRouter = require("./api/admin/timesheet");
+const productivityRouter = require("./api/admin/productivity");
 const billingRouter = require("./api/admin/billing");
 const paymentRouter = require("./api/admin/payment");
+const retainerRouter = require("./api/admin/retainer");
+const exchangeRateRouter = require("./api/admin/exchange-rate");
+const rateCardRouter = require("./api/admin/rate-card");
+const creditNoteRouter = require("./api/admin/credit-note");
+const clientCreditRouter = require("./api/admin/client-credit");
+const bankStatementRouter = require("./api/admin/bank-statement");
+const expenseRouter = require("./api/admin/expense");
+const onlinePaymentRouter = require("./api/admin/online-payment");
 
 const router = require("express").Router();
 require("express-group-routes");
@@ -52,8 +62,18 @@ router.group("/api", (api) => {
   api.use(notificationRouter);
   api.use(billingRouter)
   api.use(paymentRouter)
+  api.use(retainerRouter)
+  api.use(exchangeRateRouter)
+  api.use(rateCardRouter)
+  api.use(creditNoteRouter)
+  api.use(clientCreditRouter)
+  api.use(bankStatementRouter)
+  api.use(expenseRouter)
+  api.use(onlinePaymentRouter)
 
   api.use("/hrm", dsrRouter)
+  api.use("/hrm", timesheetRouter)
+  api.use("/hrm", productivityRouter)
   api.use(temporaryRouter);
   api.use(dumpRouter);
   api.get(
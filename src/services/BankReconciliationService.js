@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Bank Reconciliation Service
+ *
+ * Imports bank statements and matches the money received to open bills. Every
+ * statement line gets suggestions scored on the bill number, the amount due
+ * and the client name. Nothing is paid until a person confirms a line.
+ *
+ * @module BankReconciliationService
+ * @requires ../model/BankStatementImport
+ * @requires ./ReceivableService
+ * @requires ./PaymentService
+ */
+
+const AppError = require("../exception/AppError");
+const BankStatementImport = require("../model/BankStatementImport");
+const BillingHistory = require("../model/BillingHistory");
+const Client = require("../model/Client");
+const Payment = require("../model/Payment");
+const { normalizeCurrency } = require("./ExchangeRateService");
+const {
+  applyPayment,
+  allocateRemittance,
+  recordCredit,
+} = require("./PaymentService");
+const { getOutstandingBills } = require("./ReceivableService");
+const { parseBankStatement } = require("../utils/bankStatementParser");
+
+// Points per matching signal, a line needs MIN_SCORE to get a suggestion
+const MATCH_SCORES = {
+  billNumber: 60,
+  amount: 30,
+  client: 20,
+};
+const MIN_SCORE = 30;
+const MAX_SUGGESTIONS = 5;
+
+const normalizeText = (value) =>
+  `${value ?? ""}`.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Scores how well an open bill matches a statement line
+ *
+ * @function scoreMatch
+ * @param {Object} line - Statement line
+ * @param {Object} bill - Open bill from getOutstandingBills
+ * @returns {Object} The score and the signals that matched
+ */
+exports.scoreMatch = (line, bill) => {
+  const text = normalizeText(`${line.description} ${line.reference}`);
+  const reasons = [];
+
+  if (bill.billNumber && text.includes(normalizeText(bill.billNumber))) {
+    reasons.push("billNumber");
+  }
+  if (
+    normalizeCurrency(line.currency) === bill.currency &&
+    Math.abs(line.amount - bill.dueAmount) < 0.01
+  ) {
+    reasons.push("amount");
+  }
+  const companyName = normalizeText(bill.clientData?.companyName);
+  const clientNumber = normalizeText(bill.clientData?.clientNumber);
+  if (
+    (companyName && text.includes(companyName)) ||
+    (clientNumber && text.includes(clientNumber))
+  ) {
+    reasons.push("client");
+  }
+
+  return {
+    score: reasons.reduce((sum, reason) => sum + MATCH_SCORES[reason], 0),
+    reasons,
+  };
+};
+
+/**
+ * Lists the open bills a statement line may pay, best match first
+ *
+ * @function suggestMatches
+ * @param {Object} line - Statement line
+ * @param {Array} openBills - Open bills from getOutstandingBills
+ * @returns {Array<Object>} Suggestions with the bill, score and reasons
+ */
+exports.suggestMatches = (line, openBills) => {
+  return openBills
+    .map((bill) => ({
+      billing: bill._id,
+      dueAmount: bill.dueAmount,
+      ...this.scoreMatch(line, bill),
+    }))
+    .filter((suggestion) => suggestion.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Imports a bank statement and suggests a bill for every money-in line
+ *
+ * Lines whose reference was already recorded on a payment are flagged as
+ * duplicates so the same money is not entered twice.
+ *
+ * @async
+ * @function importStatement
+ * @param {Object} file - Uploaded CSV or OFX file
+ * @param {Object} options
+ * @param {string} [options.bankAccount] - Account the statement belongs to
+ * @param {string} [options.currency="PHP"] - Currency of lines that don't state one
+ * @param {Types.ObjectId} options.importedBy - User importing the statement
+ * @returns {Promise<Object>} The saved import with its lines
+ */
+exports.importStatement = async (
+  file,
+  { bankAccount = null, currency = "PHP", importedBy }
+) => {
+  currency = normalizeCurrency(currency);
+  const { format, lines } = parseBankStatement(file, currency);
+  const moneyIn = lines.filter((line) => line.amount > 0);
+
+  const references = moneyIn.map((line) => line.reference).filter(Boolean);
+  const recordedReferences = new Set(
+    await Payment.distinct("transactionId", {
+      transactionId: { $in: references },
+    })
+  );
+
+  const openBills = await getOutstandingBills();
+
+  return await BankStatementImport.create({
+    fileName: file.originalname ?? null,
+    format,
+    bankAccount,
+    currency,
+    skippedLines: lines.length - moneyIn.length,
+    lines: moneyIn.map((line) => {
+      const suggestions = this.suggestMatches(line, openBills);
+      return {
+        ...line,
+        currency: normalizeCurrency(line.currency),
+        suggestions,
+        status: recordedReferences.has(line.reference)
+          ? "duplicate"
+          : suggestions.length
+          ? "suggested"
+          : "unmatched",
+      };
+    }),
+    importedBy,
+  });
+};
+
+const findLine = async (importId, lineId, { allowDuplicate = false } = {}) => {
+  const statement = await BankStatementImport.findById(importId);
+  if (!statement) {
+    throw new AppError("Bank statement import not found", 404);
+  }
+  const line = statement.lines.id(lineId);
+  if (!line) {
+    throw new AppError("Statement line not found", 404);
+  }
+  if (line.status === "confirming") {
+    throw new AppError("Statement line is already being confirmed", 422);
+  }
+  if (["confirmed", "ignored"].includes(line.status)) {
+    throw new AppError(`Statement line is already ${line.status}`, 422);
+  }
+  if (line.status === "duplicate" && !allowDuplicate) {
+    throw new AppError(
+      "Statement line matches a payment already recorded, confirm it as a duplicate to record it again",
+      422
+    );
+  }
+  return { statement, line };
+};
+
+// Marks a line as being resolved so a second submit can't record it again.
+// Lines matching a recorded payment are only claimed when allowed.
+const claimLine = async (importId, lineId, { allowDuplicate = false } = {}) => {
+  const statement = await BankStatementImport.findOneAndUpdate(
+    {
+      _id: importId,
+      lines: {
+        $elemMatch: {
+          _id: lineId,
+          status: {
+            $nin: [
+              "confirming",
+              "confirmed",
+              "ignored",
+              ...(allowDuplicate ? [] : ["duplicate"]),
+            ],
+          },
+        },
+      },
+    },
+    { $set: { "lines.$.status": "confirming" } }
+  );
+  if (!statement) {
+    // Throws why the line can't be claimed
+    await findLine(importId, lineId, { allowDuplicate });
+  }
+  const line = statement.lines.id(lineId);
+  return { statement, line, previousStatus: line.status };
+};
+
+const releaseLine = async (importId, lineId, status) => {
+  await BankStatementImport.updateOne(
+    {
+      _id: importId,
+      lines: { $elemMatch: { _id: lineId, status: "confirming" } },
+    },
+    { $set: { "lines.$.status": status } }
+  );
+};
+
+const resolveLine = async (statement, line, status, userId, note) => {
+  line.status = status;
+  line.resolvedBy = userId;
+  line.resolvedAt = new Date();
+  line.note = note ?? line.note;
+
+  const isOpen = statement.lines.some(
+    (item) => !["confirmed", "ignored"].includes(item.status)
+  );
+  statement.status = isOpen ? "open" : "completed";
+  await statement.save();
+};
+
+// Records the payments of a line, returning them
+const recordLine = async (
+  line,
+  { billingId, clientId, allocations, userId }
+) => {
+  const payment = {
+    amount: line.amount,
+    currency: line.currency,
+    date: line.date,
+    paymentMethod: "bank_transfer",
+    receivedBy: userId,
+    transactionId: line.reference,
+    note: line.description,
+  };
+
+  let payments;
+  if (allocations?.length) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new AppError("Client not found", 404);
+    }
+    ({ payments } = await allocateRemittance(client, {
+      ...payment,
+      allocations,
+    }));
+  } else {
+    const billing = await BillingHistory.findById(
+      billingId ?? line.suggestions[0]?.billing
+    );
+    if (!billing) {
+      throw new AppError("Select the billing this line pays", 422);
+    }
+    const applied = await applyPayment(billing, payment);
+    await recordCredit({
+      client: billing.client,
+      amount: applied.excess,
+      currency: applied.payment.currency,
+      date: line.date,
+      createdBy: userId,
+      payment: applied.payment,
+      paymentMethod: "bank_transfer",
+      reference: line.reference,
+    });
+    payments = [applied.payment];
+  }
+
+  return payments;
+};
+
+/**
+ * Confirms a statement line, recording it as a bank transfer payment
+ *
+ * The line pays the given bill, or its best suggestion, and any excess is kept
+ * as client credit. With allocations it is split across bills of one client.
+ * The line is claimed first, so submitting it twice records it once. A line
+ * matching a payment already recorded is only confirmed when allowed.
+ *
+ * @async
+ * @function confirmLine
+ * @param {string} importId - Bank statement import
+ * @param {string} lineId - Line to confirm
+ * @param {Object} options
+ * @param {string} [options.billingId] - Bill the line pays
+ * @param {string} [options.clientId] - Client of the allocations
+ * @param {Array<Object>} [options.allocations] - `{ billingId, amount }` split
+ * @param {string} [options.note] - Note kept on the line
+ * @param {boolean} [options.allowDuplicate=false] - Record a line flagged as a duplicate
+ * @param {Types.ObjectId} options.userId - User confirming the line
+ * @returns {Promise<Object>} The import and the payments recorded
+ */
+exports.confirmLine = async (
+  importId,
+  lineId,
+  { billingId, clientId, allocations, note, allowDuplicate = false, userId }
+) => {
+  const { statement, line, previousStatus } = await claimLine(
+    importId,
+    lineId,
+    { allowDuplicate }
+  );
+
+  let payments;
+  try {
+    payments = await recordLine(line, {
+      billingId,
+      clientId,
+      allocations,
+      userId,
+    });
+  } catch (error) {
+    await releaseLine(importId, lineId, previousStatus);
+    throw error;
+  }
+
+  line.payments = payments.map((item) => item._id);
+  await resolveLine(statement, line, "confirmed", userId, note);
+
+  return { statement, payments };
+};
+
+/**
+ * Ignores a statement line that is not a client payment
+ *
+ * @async
+ * @function ignoreLine
+ * @param {string} importId - Bank statement import
+ * @param {string} lineId - Line to ignore
+ * @param {Object} options
+ * @param {string} [options.note] - Why the line was ignored
+ * @param {Types.ObjectId} options.userId - User ignoring the line
+ * @returns {Promise<Object>} The import
+ */
+exports.ignoreLine = async (importId, lineId, { note, userId }) => {
+  const { statement, line } = await claimLine(importId, lineId, {
+    allowDuplicate: true,
+  });
+  await resolveLine(statement, line, "ignored", userId, note);
+  return statement;
+};
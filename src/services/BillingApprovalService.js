@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Billing Approval Service
+ *
+ * Bills go through draft → for review → approved → sent before the client
+ * sees them. The supervising partner of the client approves a bill or sends
+ * it back to draft with the changes required. Only approved or sent bills
+ * can be paid or emailed.
+ *
+ * @module BillingApprovalService
+ * @requires ../model/BillingHistory
+ * @requires ./NotificationService
+ */
+
+const AppError = require("../exception/AppError");
+const BillingHistory = require("../model/BillingHistory");
+const CreditNote = require("../model/CreditNote");
+const Payment = require("../model/Payment");
+const { createNotification } = require("./NotificationService");
+
+exports.RELEASED_STATUSES = ["approved", "sent"];
+
+// Approval status a bill must be in for each action, and the status it moves to
+const TRANSITIONS = {
+  submitted: { from: ["draft"], to: "forReview" },
+  approved: { from: ["forReview"], to: "approved" },
+  changesRequested: { from: ["forReview"], to: "draft" },
+  reopened: { from: ["approved"], to: "draft" },
+  sent: { from: ["approved"], to: "sent" },
+};
+
+// Actions only the supervising partner of the client may take
+const APPROVER_ACTIONS = ["approved", "changesRequested", "reopened"];
+
+/**
+ * Ensures a bill has been approved for release to the client
+ *
+ * @function ensureReleased
+ * @param {Object} billing - Billing document
+ * @param {string} action - What is being done, used in the error message
+ * @throws {AppError} If the bill is still a draft or under review
+ */
+exports.ensureReleased = (billing, action) => {
+  if (!this.RELEASED_STATUSES.includes(billing.approvalStatus ?? "approved")) {
+    throw new AppError(`Only approved bills can ${action}`, 422);
+  }
+};
+
+/**
+ * Ensures a bill can still be edited
+ *
+ * @function ensureEditable
+ * @param {Object} billing - Billing document
+ * @throws {AppError} If the bill has been approved or sent
+ */
+exports.ensureEditable = (billing) => {
+  if (this.RELEASED_STATUSES.includes(billing.approvalStatus ?? "approved")) {
+    throw new AppError(
+      "Approved bills cannot be edited, reopen the billing first",
+      422
+    );
+  }
+};
+
+/**
+ * Records an action on the review history of a bill
+ *
+ * @function recordReview
+ * @param {Object} billing - Billing document, saved by the caller
+ * @param {string} action - Review action
+ * @param {Object} [details]
+ * @param {Types.ObjectId} [details.userId] - User taking the action
+ * @param {string} [details.comment] - Comment of the user
+ * @param {Array<string>} [details.requiredChanges] - Edits asked for
+ * @param {string} [details.from] - Status before the action
+ */
+exports.recordReview = (
+  billing,
+  action,
+  { userId = null, comment = null, requiredChanges = [], from } = {}
+) => {
+  billing.reviewHistory.push({
+    action,
+    from: from ?? billing.approvalStatus,
+    to: billing.approvalStatus,
+    comment,
+    requiredChanges,
+    by: userId,
+    at: new Date(),
+  });
+};
+
+/**
+ * Moves a bill to the next approval status
+ *
+ * The supervising partner is notified when a bill is submitted, the creator
+ * of the bill when it is approved or sent back.
+ *
+ * @async
+ * @function transition
+ * @param {string} billingId - Billing to move
+ * @param {string} action - submitted, approved, changesRequested, reopened or sent
+ * @param {Object} [details]
+ * @param {Types.ObjectId} [details.userId] - User taking the action
+ * @param {string} [details.comment] - Comment of the user
+ * @param {Array<string>} [details.requiredChanges] - Edits asked for
+ * @returns {Promise<Object>} The updated billing
+ * @throws {AppError} If the action is not allowed from the bill's status or by the user
+ *
+ * @example
+ * await transition(billingId, "changesRequested", {
+ *   userId, comment: "Fix the period", requiredChanges: ["Bill September only"],
+ * });
+ */
+exports.transition = async (billingId, action, details = {}) => {
+  const billing = await BillingHistory.findById(billingId).populate(
+    "client",
+    "companyName supervisingPartner"
+  );
+  if (!billing) {
+    throw new AppError("Billing not found", 404);
+  }
+  if (billing.status === "void") {
+    throw new AppError("A void billing cannot be reviewed", 422);
+  }
+
+  const transition = TRANSITIONS[action];
+  const from = billing.approvalStatus ?? "approved";
+  if (!transition.from.includes(from)) {
+    throw new AppError(`A billing that is ${from} cannot be ${action}`, 422);
+  }
+
+  if (APPROVER_ACTIONS.includes(action)) {
+    const approver = billing.client?.supervisingPartner;
+    if (!approver) {
+      throw new AppError(
+        "Assign a supervising partner to the client to approve its bills",
+        422
+      );
+    }
+    if (`${approver}` !== `${details.userId}`) {
+      throw new AppError(
+        "Only the supervising partner of the client can review this billing",
+        403
+      );
+    }
+  }
+
+  if (action === "reopened") {
+    const hasPayments = await Payment.exists({ billing: billing._id });
+    const hasCreditNotes = await CreditNote.exists({
+      billing: billing._id,
+      status: "issued",
+    });
+    if (hasPayments || hasCreditNotes) {
+      throw new AppError(
+        "A billing with payments or credit notes cannot be reopened",
+        422
+      );
+    }
+  }
+
+  billing.approvalStatus = transition.to;
+  this.recordReview(billing, action, { ...details, from });
+  await billing.save();
+
+  const notification = {
+    billingId: billing._id,
+    billNumber: billing.billNumber,
+    clientName: billing.client?.companyName,
+    currency: billing.currency,
+    grandTotal: billing.grandTotal,
+    comment: details.comment ?? null,
+  };
+  if (action === "submitted" && billing.client?.supervisingPartner) {
+    await createNotification(
+      billing.client.supervisingPartner,
+      "billing_review",
+      notification
+    );
+  }
+  if (["approved", "changesRequested"].includes(action) && billing.createdBy) {
+    await createNotification(
+      billing.createdBy,
+      action === "approved" ? "billing_approved" : "billing_changes_requested",
+      notification
+    );
+  }
+
+  return billing;
+};
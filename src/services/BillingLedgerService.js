@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Billing Ledger Service
+ *
+ * The single place where the amounts and status of a bill are worked out from
+ * its payments, issued credit notes and voiding. Anything that changes one of
+ * those recalculates the bill through this service, so the stored paidAmount,
+ * creditedAmount, dueAmount and status always follow the same rules.
+ *
+ * @module BillingLedgerService
+ * @requires ../model/BillingHistory
+ * @requires ../model/Payment
+ * @requires ./BillingService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const BillingHistory = require("../model/BillingHistory");
+const Payment = require("../model/Payment");
+const { getCreditedAmount } = require("./BillingService");
+const { roundAmount } = require("../utils/utils");
+
+// Bills still with the firm are never overdue
+const UNRELEASED_STATUSES = ["draft", "forReview"];
+
+/**
+ * Sums the payments and issued credit notes of a billing
+ *
+ * @async
+ * @function getBillingTotals
+ * @param {Object} billing - Billing document
+ * @returns {Promise<Object>} paidAmount, creditedAmount and dueAmount, in the bill's currency
+ */
+exports.getBillingTotals = async (billing) => {
+  const totalPaidData = await Payment.aggregate([
+    { $match: { billing: new Types.ObjectId(billing._id) } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  const paidAmount = roundAmount(totalPaidData[0]?.total || 0);
+  const creditedAmount = roundAmount(await getCreditedAmount(billing._id));
+
+  return {
+    paidAmount,
+    creditedAmount,
+    dueAmount: roundAmount(billing.grandTotal - paidAmount - creditedAmount),
+  };
+};
+
+/**
+ * Returns the amount still due on a billing
+ *
+ * @async
+ * @function getDueAmount
+ * @param {Object} billing - Billing document
+ * @returns {Promise<number>} Grand total less payments and credits
+ */
+exports.getDueAmount = async (billing) => {
+  return (await this.getBillingTotals(billing)).dueAmount;
+};
+
+/**
+ * Works out the status of a billing
+ *
+ * - void bills stay void
+ * - settled above the grand total is overPaid, settled in full is paid
+ * - an approved bill past its due date is overdue
+ * - otherwise partiallyPaid once anything is settled, unpaid before that
+ *
+ * @function getBillingStatus
+ * @param {Object} billing - Billing document
+ * @param {Object} totals - From getBillingTotals
+ * @param {Date} [asOf=new Date()] - Day the status is worked out for
+ * @returns {string} The billing status
+ */
+exports.getBillingStatus = (billing, totals, asOf = new Date()) => {
+  if (billing.status === "void") {
+    return "void";
+  }
+  if (totals.dueAmount < 0) {
+    return "overPaid";
+  }
+  if (totals.dueAmount === 0) {
+    return "paid";
+  }
+  if (
+    !UNRELEASED_STATUSES.includes(billing.approvalStatus) &&
+    billing.dueDate &&
+    moment(billing.dueDate).isBefore(moment(asOf).startOf("day"))
+  ) {
+    return "overdue";
+  }
+  return totals.paidAmount + totals.creditedAmount > 0
+    ? "partiallyPaid"
+    : "unpaid";
+};
+
+/**
+ * Recalculates and stores the amounts and status of a billing
+ *
+ * A billing document passed in is updated in place as well.
+ *
+ * @async
+ * @function recalculateBilling
+ * @param {Object|string} billing - Billing document or id
+ * @returns {Promise<Object|null>} Stored totals and status, with whether the status changed
+ *
+ * @example
+ * await Payment.create({ billing: billing._id, amount: 500, ... });
+ * await recalculateBilling(billing);
+ * // { paidAmount: 500, creditedAmount: 0, dueAmount: 700, status: "partiallyPaid", changed: true }
+ */
+exports.recalculateBilling = async (billing) => {
+  if (typeof billing === "string" || billing instanceof Types.ObjectId) {
+    billing = await BillingHistory.findById(billing);
+    if (!billing) {
+      return null;
+    }
+  }
+
+  const totals = await this.getBillingTotals(billing);
+  const status = this.getBillingStatus(billing, totals);
+  const values = {
+    ...totals,
+    // Nothing is owed on a void bill
+    dueAmount: status === "void" ? 0 : totals.dueAmount,
+    status,
+  };
+
+  await BillingHistory.updateOne({ _id: billing._id }, { $set: values });
+  const changed = status !== billing.status;
+  Object.assign(billing, values);
+
+  return { ...values, changed };
+};
+
+/**
+ * Recalculates every billing, e.g. after a data fix or a change of the rules
+ *
+ * @async
+ * @function recalculateAllBillings
+ * @param {Object} [filter={}] - Limits the bills recalculated
+ * @returns {Promise<Object>} Number of bills processed and of statuses changed
+ */
+exports.recalculateAllBillings = async (filter = {}) => {
+  let processed = 0;
+  let changed = 0;
+
+  const cursor = BillingHistory.find(filter)
+    .select("grandTotal status approvalStatus dueDate")
+    .lean()
+    .cursor();
+  for await (const billing of cursor) {
+    const result = await this.recalculateBilling(billing);
+    processed += 1;
+    if (result.changed) {
+      changed += 1;
+    }
+  }
+
+  return { processed, changed };
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Billing Mail Service
+ *
+ * Sends billing statements and payment receipts to clients with the PDF
+ * attached, and records every send on the billing record so there is proof
+ * of when, by whom and to whom a client was invoiced.
+ *
+ * @module BillingMailService
+ * @requires ../config/email
+ * @requires ./BillingService
+ * @requires ./PdfService
+ */
+
+const Email = require("../config/email");
+const AppError = require("../exception/AppError");
+const BillingHistory = require("../model/BillingHistory");
+const { ensureReleased, transition } = require("./BillingApprovalService");
+const { getStatementData, getReceiptData } = require("./BillingService");
+const { renderPdf } = require("./PdfService");
+
+/**
+ * Picks the recipients of a billing mail, defaulting to the client's emails
+ *
+ * @function resolveRecipients
+ * @param {Object} client - Client of the billing
+ * @param {Array<string>} [emails] - Explicit recipients
+ * @returns {Array<string>} Unique, non-empty recipients
+ * @throws {AppError} If there is nobody to send to
+ */
+const resolveRecipients = (client, emails) => {
+  const recipients = [
+    ...new Set(
+      (emails?.length ? emails : client?.emails ?? [])
+        .map((email) => `${email}`.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!recipients.length) {
+    throw new AppError("Client does not have any email address", 422);
+  }
+  return recipients;
+};
+
+/**
+ * Appends a send record to the billing's email log
+ *
+ * @async
+ * @function logEmail
+ * @param {Types.ObjectId} billingId - Billing the mail was about
+ * @param {Object} log - Log entry
+ */
+const logEmail = async (billingId, log) => {
+  await BillingHistory.findByIdAndUpdate(billingId, {
+    $push: { emailLogs: { ...log, sentAt: new Date() } },
+  });
+};
+
+/**
+ * Emails a billing statement with its PDF to the client
+ *
+ * @async
+ * @function sendStatementEmail
+ * @param {string} billingId - Billing to send
+ * @param {Object} options
+ * @param {Array<string>} [options.emails] - Recipients, defaults to the client's emails
+ * @param {Types.ObjectId} [options.sentBy] - User who triggered the send
+ * @param {string} [options.type="statement"] - Log type, "reminder" for dunning mails
+ * @param {string} [options.subject] - Overrides the default subject
+ * @param {string} [options.view="billing-statement"] - Email template
+ * @param {Object} [options.data={}] - Extra data for the email template
+ * @returns {Promise<Array<string>>} The recipients the statement was sent to
+ */
+exports.sendStatementEmail = async (
+  billingId,
+  {
+    emails,
+    sentBy = null,
+    type = "statement",
+    subject,
+    view = "billing-statement",
+    data = {},
+  } = {}
+) => {
+  const statement = await getStatementData(billingId);
+  if (statement.billing.status === "void") {
+    throw new AppError("A void billing cannot be sent", 422);
+  }
+  ensureReleased(statement.billing, "be sent");
+  const recipients = resolveRecipients(statement.client, emails);
+  const pdf = await renderPdf("billing-statement", statement);
+  subject = subject || `Statement of Account ${statement.billing.billNumber}`;
+
+  const info = await new Email(recipients)
+    .subject(subject)
+    .file(view)
+    .data({ ...statement, ...data })
+    .attach(`${statement.billing.billNumber}.pdf`, pdf)
+    .deliver();
+
+  await logEmail(statement.billing._id, {
+    type,
+    recipients,
+    subject,
+    messageId: info?.messageId ?? null,
+    sentBy,
+  });
+
+  // The first statement sent releases the bill to the client
+  if (type === "statement" && statement.billing.approvalStatus === "approved") {
+    await transition(statement.billing._id, "sent", { userId: sentBy });
+  }
+
+  return recipients;
+};
+
+/**
+ * Emails a payment receipt with its PDF to the client
+ *
+ * @async
+ * @function sendReceiptEmail
+ * @param {string} paymentId - Payment to acknowledge
+ * @param {Object} options
+ * @param {Array<string>} [options.emails] - Recipients, defaults to the client's emails
+ * @param {Types.ObjectId} [options.sentBy] - User who triggered the send
+ * @returns {Promise<Array<string>>} The recipients the receipt was sent to
+ */
+exports.sendReceiptEmail = async (
+  paymentId,
+  { emails, sentBy = null } = {}
+) => {
+  const receipt = await getReceiptData(paymentId);
+  const recipients = resolveRecipients(receipt.client, emails);
+  const pdf = await renderPdf("payment-receipt", receipt);
+  const subject = `Payment Receipt for ${receipt.billing.billNumber}`;
+
+  const info = await new Email(recipients)
+    .subject(subject)
+    .file("payment-receipt")
+    .data(receipt)
+    .attach(`receipt-${receipt.billing.billNumber}.pdf`, pdf)
+    .deliver();
+
+  await logEmail(receipt.billing._id, {
+    type: "receipt",
+    payment: receipt.payment._id,
+    recipients,
+    subject,
+    messageId: info?.messageId ?? null,
+    sentBy,
+  });
+
+  return recipients;
+};
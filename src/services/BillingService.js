@@ -1,46 +1,330 @@
+const moment = require("moment");
+const { Types } = require("mongoose");
+const { getFileUrl } = require("../config/file");
+const AppError = require("../exception/AppError");
 const BillingHistory = require("../model/BillingHistory");
+const Case = require("../model/Case");
+const CreditNote = require("../model/CreditNote");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const Payment = require("../model/Payment");
+const Workspace = require("../model/Workspace");
+const dateQueryGenerator = require("../utils/dateQueryGenerator");
+const { formatAmount, formatAddress, roundAmount } = require("../utils/utils");
+const { getNextNumber } = require("./NumberingService");
 
-exports.getNextBillingNumber = async () => {
-  const result = await BillingHistory.aggregate([
-    {
-      $project: {
-        numericPart: {
-          $regexFind: {
-            input: "$billNumber",
-            regex: "\\d+", // This regex will find the first occurrence of a numeric sequence
-          },
-        },
-      },
-    },
-    {
-      $project: {
-        numericPart: {
-          $convert: {
-            input: { $ifNull: ["$numericPart.match", "0"] }, // Use the matched numeric part or default to 0
-            to: "int",
-            onError: 0,
-            onNull: 0,
-          },
-        },
-      },
+/**
+ * Returns the workspace a billing was issued in, through its case
+ *
+ * @async
+ * @function getBillingWorkspace
+ * @param {Object} billing - Billing document
+ * @returns {Promise<Object|null>} Workspace id, null for a bill without a case
+ */
+exports.getBillingWorkspace = async (billing) => {
+  if (!billing?.case) {
+    return null;
+  }
+  const caseData = await Case.findById(billing.case?._id ?? billing.case)
+    .select("workspace")
+    .lean();
+  return caseData?.workspace ?? null;
+};
+
+exports.getNextBillingNumber = async (workspace = null) => {
+  return await getNextNumber("billing", workspace);
+};
+
+exports.getNextCreditNoteNumber = async (workspace = null) => {
+  return await getNextNumber("creditNote", workspace);
+};
+
+exports.getNextOfficialReceiptNumber = async (workspace = null) => {
+  return await getNextNumber("officialReceipt", workspace);
+};
+
+/**
+ * Sums the issued credit notes of a billing
+ *
+ * @async
+ * @function getCreditedAmount
+ * @param {string} billingId - Billing the credit notes belong to
+ * @returns {Promise<number>} Total credited, in the bill's currency
+ */
+exports.getCreditedAmount = async (billingId) => {
+  const result = await CreditNote.aggregate([
+    { $match: { billing: new Types.ObjectId(billingId), status: "issued" } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return result[0]?.total || 0;
+};
+
+/**
+ * Fetches the active time entries of a case that have not been billed yet
+ *
+ * @async
+ * @function getUnbilledTimeEntries
+ * @param {string} caseId - Case the entries belong to
+ * @param {Date|string} billingStart - Start of the billing window
+ * @param {Date|string} billingEnd - End of the billing window
+ * @returns {Promise<Array>} Unbilled DSR entries ordered by date
+ */
+exports.getUnbilledTimeEntries = async (caseId, billingStart, billingEnd) => {
+  const dateQuery = dateQueryGenerator(billingStart, billingEnd, "date");
+
+  return await DSRTimeTracking.find({
+    case: caseId,
+    status: "active",
+    billing: null,
+    ...dateQuery,
+  })
+    .populate("user", "firstName lastName")
+    .sort({ date: 1 })
+    .lean();
+};
+
+/**
+ * Works out the hours and rate to bill for a DSR entry after review
+ *
+ * Written down or up entries bill the adjusted hours and rate, no-charge
+ * entries are shown on the bill at a rate of zero.
+ *
+ * @function getBilledTime
+ * @param {Object} entry - DSR entry
+ * @returns {Object} hourCount, hourlyRate, the recorded and billed values
+ */
+exports.getBilledTime = (entry) => {
+  const adjustment = entry.billingAdjustment?.type
+    ? entry.billingAdjustment
+    : null;
+  const hourCount = adjustment?.hourCount ?? entry.hourCount;
+  const hourlyRate =
+    adjustment?.type === "noCharge"
+      ? 0
+      : adjustment?.hourlyRate ?? entry.hourlyRate;
+
+  return {
+    hourCount,
+    hourlyRate,
+    recordedValue: roundAmount(entry.hourCount * entry.hourlyRate),
+    billedValue: roundAmount(hourCount * hourlyRate),
+  };
+};
+
+/**
+ * Measures how much of the recorded time value is billed
+ *
+ * @function calculateRealization
+ * @param {Array} entries - DSR entries being billed
+ * @returns {Object} Recorded and billed hours and values, and the realization rate in percent
+ */
+exports.calculateRealization = (entries = []) => {
+  const totals = entries.reduce(
+    (acc, entry) => {
+      const billed = this.getBilledTime(entry);
+      return {
+        recordedHours: acc.recordedHours + entry.hourCount,
+        billedHours:
+          acc.billedHours + (billed.hourlyRate ? billed.hourCount : 0),
+        recordedValue: acc.recordedValue + billed.recordedValue,
+        billedValue: acc.billedValue + billed.billedValue,
+      };
     },
-    {
-      $group: {
-        _id: null,
-        maxBillingNumber: { $max: "$numericPart" }, // Find the highest numeric part
-      },
+    { recordedHours: 0, billedHours: 0, recordedValue: 0, billedValue: 0 }
+  );
+
+  return {
+    ...totals,
+    recordedValue: roundAmount(totals.recordedValue),
+    billedValue: roundAmount(totals.billedValue),
+    rate: totals.recordedValue
+      ? roundAmount((totals.billedValue / totals.recordedValue) * 100)
+      : null,
+  };
+};
+
+/**
+ * Converts DSR entries into billing items priced at the hours and rate to bill
+ *
+ * @function buildTimeBasedItems
+ * @param {Array} entries - DSR entries, with the user populated
+ * @param {Object} [vat={}] - VAT rule applied to every item
+ * @returns {Array} Billing items referencing their source entry
+ */
+exports.buildTimeBasedItems = (entries, vat = {}) => {
+  return entries.map((entry) => {
+    const userName = [entry.user?.firstName, entry.user?.lastName]
+      .filter(Boolean)
+      .join(" ");
+    const { hourCount, hourlyRate, billedValue } = this.getBilledTime(entry);
+
+    return {
+      particulars: `${moment(entry.date).format("YYYY-MM-DD")} ${
+        userName ? `- ${userName} ` : ""
+      }- ${entry.task}${
+        entry.billingAdjustment?.type === "noCharge" ? " (no charge)" : ""
+      }`,
+      quantity: hourCount,
+      price: hourlyRate,
+      discount: 0,
+      vat,
+      amount: billedValue,
+      feeType: "professionalFee",
+      timeEntry: entry._id,
+    };
+  });
+};
+
+/**
+ * Marks time entries as billed against a billing record
+ *
+ * Only entries that are still unbilled are claimed, so two bills created at
+ * the same time cannot charge the same entry. If any entry was taken in the
+ * meantime, the claimed ones are released again and an error is thrown.
+ *
+ * @async
+ * @function claimTimeEntries
+ * @param {Array} entryIds - DSR entry ids to claim
+ * @param {Types.ObjectId} billingId - Billing the entries are charged on
+ * @throws {AppError} If an entry has already been billed
+ */
+exports.claimTimeEntries = async (entryIds, billingId) => {
+  const result = await DSRTimeTracking.updateMany(
+    { _id: { $in: entryIds }, billing: null },
+    { billing: billingId }
+  );
+
+  if (result.modifiedCount !== entryIds.length) {
+    await this.releaseTimeEntries(billingId);
+    throw new AppError(
+      "Some time entries have already been billed, please try again",
+      409
+    );
+  }
+};
+
+/**
+ * Releases every time entry billed against a billing record
+ *
+ * @async
+ * @function releaseTimeEntries
+ * @param {Types.ObjectId} billingId - Billing the entries were charged on
+ */
+exports.releaseTimeEntries = async (billingId) => {
+  await DSRTimeTracking.updateMany({ billing: billingId }, { billing: null });
+};
+
+/**
+ * Collects everything needed to print a billing statement
+ *
+ * @async
+ * @function getStatementData
+ * @param {string} billingId - Billing to print
+ * @returns {Promise<Object>} Billing, workspace, client, payments, credits and totals
+ * @throws {AppError} If the billing does not exist
+ */
+exports.getStatementData = async (billingId) => {
+  const billing = await BillingHistory.findById(billingId)
+    .populate("case", "title caseNumber workspace")
+    .populate(
+      "client",
+      "companyName clientNumber tin businessStyle addresses emails"
+    )
+    .lean();
+
+  if (!billing) {
+    throw new AppError("Billing not found", 404);
+  }
+
+  const workspace = billing.case?.workspace
+    ? await Workspace.findById(billing.case.workspace).lean()
+    : null;
+
+  const payments = await Payment.find({ billing: billing._id })
+    .sort({ date: 1 })
+    .lean();
+
+  const creditNotes = await CreditNote.find({
+    billing: billing._id,
+    status: "issued",
+  })
+    .sort({ date: 1 })
+    .lean();
+
+  const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const totalCredited = creditNotes.reduce((sum, note) => sum + note.amount, 0);
+
+  return {
+    billing,
+    workspace: workspace && {
+      ...workspace,
+      logoUrl: getFileUrl(workspace.logo),
     },
-  ]);
+    client: billing.client,
+    payments,
+    creditNotes,
+    totalPaid,
+    totalCredited,
+    dueAmount: billing.grandTotal - totalPaid - totalCredited,
+    formatAmount,
+    formatAddress,
+    moment,
+  };
+};
+
+/**
+ * Collects everything needed to print a payment receipt
+ *
+ * @async
+ * @function getReceiptData
+ * @param {string} paymentId - Payment to print
+ * @returns {Promise<Object>} Statement data of the paid billing plus the payment
+ * @throws {AppError} If the payment does not exist
+ */
+exports.getReceiptData = async (paymentId) => {
+  const payment = await Payment.findById(paymentId)
+    .populate("receivedBy", "firstName lastName")
+    .lean();
 
-  // If there are no case numbers or maxCaseNumber is null, default to 0
-  let maxBillingNumber =
-    result.length > 0 && result[0].maxBillingNumber != null
-      ? result[0].maxBillingNumber
-      : 0;
+  if (!payment) {
+    throw new AppError("Payment not found", 404);
+  }
 
-  const nextBillingNumber = maxBillingNumber + 1;
+  const statement = await this.getStatementData(payment.billing);
 
-  // Return the next case number with leading zeros (you can customize the prefix)
-  const prefix = "BILL-";
-  return `${prefix}${nextBillingNumber.toString().padStart(6, "0")}`;
+  return { ...statement, payment };
+};
+
+/**
+ * Calculates the totals of a list of billing items
+ *
+ * Item discounts are percentages of quantity × price. VAT is either a
+ * percentage of the discounted amount or a flat amount per item.
+ *
+ * @function calculateBillingTotals
+ * @param {Array} items - Billing items
+ * @returns {Object} subTotal, tax, discount and grandTotal
+ */
+exports.calculateBillingTotals = (items = []) => {
+  return items.reduce(
+    (acc, item) => {
+      const itemTotal = item.quantity * item.price;
+      const itemDiscount = (itemTotal * (item.discount ?? 0)) / 100;
+
+      const itemVat =
+        item.vat?.type == "percentage"
+          ? ((itemTotal - itemDiscount) * item?.vat?.rate) / 100
+          : item?.vat?.type == "flat"
+          ? item?.vat?.rate
+          : 0;
+
+      return {
+        subTotal: acc.subTotal + itemTotal,
+        tax: acc.tax + itemVat,
+        discount: acc.discount + itemDiscount,
+        grandTotal: acc.grandTotal + (itemTotal - itemDiscount + itemVat),
+      };
+    },
+    { subTotal: 0, tax: 0, discount: 0, grandTotal: 0 }
+  );
 };
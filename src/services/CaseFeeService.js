@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Case Fee Service
+ *
+ * Tracks how much of the fees agreed on a case has been billed so far, and
+ * checks new bills against the cap fee, the contract price and the fixed OPE
+ * allowance of the case.
+ *
+ * @module CaseFeeService
+ * @requires ../model/BillingHistory
+ * @requires ./ExchangeRateService
+ */
+
+const BillingHistory = require("../model/BillingHistory");
+const { getRate, normalizeCurrency } = require("./ExchangeRateService");
+const { formatAmount, roundAmount } = require("../utils/utils");
+
+exports.FEE_TYPES = [
+  "professionalFee",
+  "acceptanceFee",
+  "fixedFee",
+  "successFee",
+  "ope",
+  "other",
+];
+
+// Agreed fees of a case, the fee types billed against them and whether a bill
+// may go over them without an override
+const FEE_LIMITS = [
+  {
+    fee: "capFee",
+    label: "cap fee",
+    feeTypes: ["professionalFee", "fixedFee"],
+    enforced: true,
+  },
+  {
+    fee: "contractPrice",
+    label: "contract price",
+    feeTypes: [
+      "professionalFee",
+      "acceptanceFee",
+      "fixedFee",
+      "successFee",
+      "other",
+    ],
+    enforced: true,
+  },
+  {
+    fee: "fixedOpe",
+    label: "fixed OPE allowance",
+    feeTypes: ["ope"],
+    enforced: true,
+  },
+  {
+    fee: "acceptanceFee",
+    label: "acceptance fee",
+    feeTypes: ["acceptanceFee"],
+    enforced: false,
+  },
+  {
+    fee: "successFee",
+    label: "success fee",
+    feeTypes: ["successFee"],
+    enforced: false,
+  },
+];
+
+/**
+ * Sums billing items per fee type, after discounts and before VAT
+ *
+ * Items without a fee type are counted as professional fees.
+ *
+ * @function sumFeeTypes
+ * @param {Array} items - Billing items
+ * @param {number} [factor=1] - Converts the amounts to the case currency
+ * @returns {Object} Amount billed per fee type
+ */
+exports.sumFeeTypes = (items = [], factor = 1) => {
+  const totals = Object.fromEntries(this.FEE_TYPES.map((type) => [type, 0]));
+  for (const item of items) {
+    const itemTotal = item.quantity * item.price;
+    const itemDiscount = (itemTotal * (item.discount ?? 0)) / 100;
+    const type = this.FEE_TYPES.includes(item.feeType)
+      ? item.feeType
+      : "professionalFee";
+    totals[type] += (itemTotal - itemDiscount) * factor;
+  }
+  return totals;
+};
+
+/**
+ * Works out the factor converting a bill's amounts to the case currency
+ *
+ * Bills in another currency are converted at the rate they were issued at.
+ *
+ * @async
+ * @function getCurrencyFactor
+ * @param {Object} caseData - Case the bill belongs to
+ * @param {Object} billing - Bill, or its currency and exchangeRate
+ * @returns {Promise<number>} Multiplier from the bill currency to the case currency
+ */
+const getCurrencyFactor = async (caseData, billing) => {
+  const caseCurrency = normalizeCurrency(caseData.currency);
+  if (normalizeCurrency(billing.currency) === caseCurrency) {
+    return 1;
+  }
+  return (billing.exchangeRate || 1) / (await getRate(caseCurrency));
+};
+
+/**
+ * Compares the billed amounts with the fees agreed on a case
+ *
+ * @function getFeeLimits
+ * @param {Object} caseData - Case with its agreed fees
+ * @param {Object} billed - Amount billed per fee type, from sumFeeTypes
+ * @returns {Array} Agreed, billed and remaining amount of every agreed fee
+ */
+exports.getFeeLimits = (caseData, billed) => {
+  return FEE_LIMITS.filter(({ fee }) => caseData[fee] > 0).map(
+    ({ fee, label, feeTypes, enforced }) => {
+      const agreed = caseData[fee];
+      const billedAmount = roundAmount(
+        feeTypes.reduce((sum, type) => sum + billed[type], 0)
+      );
+      return {
+        fee,
+        label,
+        enforced,
+        agreed,
+        billed: billedAmount,
+        remaining: roundAmount(agreed - billedAmount),
+        utilization: roundAmount((billedAmount / agreed) * 100),
+      };
+    }
+  );
+};
+
+/**
+ * Summarises the fees billed on a case against the fees agreed
+ *
+ * Void bills are not counted. Amounts are in the case currency.
+ *
+ * @async
+ * @function getFeeUtilization
+ * @param {Object} caseData - Case with its agreed fees
+ * @param {Object} [options]
+ * @param {string} [options.excludeBilling] - Bill to leave out, e.g. the one being edited
+ * @returns {Promise<Object>} Currency, amount billed per fee type and the agreed fees
+ */
+exports.getFeeUtilization = async (
+  caseData,
+  { excludeBilling = null } = {}
+) => {
+  const bills = await BillingHistory.find({
+    case: caseData._id,
+    status: { $ne: "void" },
+    ...(excludeBilling && { _id: { $ne: excludeBilling } }),
+  })
+    .select("items currency exchangeRate")
+    .lean();
+
+  const billed = this.sumFeeTypes();
+  for (const bill of bills) {
+    const factor = await getCurrencyFactor(caseData, bill);
+    const amounts = this.sumFeeTypes(bill.items, factor);
+    for (const type of this.FEE_TYPES) {
+      billed[type] += amounts[type];
+    }
+  }
+  for (const type of this.FEE_TYPES) {
+    billed[type] = roundAmount(billed[type]);
+  }
+
+  return {
+    currency: normalizeCurrency(caseData.currency),
+    billed,
+    limits: this.getFeeLimits(caseData, billed),
+  };
+};
+
+/**
+ * Checks whether new bill items would take a case over its agreed fees
+ *
+ * Going over the cap fee, the contract price or the fixed OPE allowance needs
+ * an override, going over the acceptance or success fee only warns.
+ *
+ * @async
+ * @function checkFeeLimits
+ * @param {Object} caseData - Case with its agreed fees
+ * @param {Array} items - Items of the new or edited bill
+ * @param {Object} billing - Currency and exchangeRate of the bill
+ * @param {Object} [options]
+ * @param {string} [options.excludeBilling] - Bill being edited
+ * @returns {Promise<Array>} Every agreed fee exceeded, with a message
+ *
+ * @example
+ * const exceeded = await checkFeeLimits(caseData, items, { currency, exchangeRate });
+ * // [{ fee: "capFee", enforced: true, message: "This billing takes the cap fee to 120,000.00 of 100,000.00 PHP", ... }]
+ */
+exports.checkFeeLimits = async (
+  caseData,
+  items,
+  billing,
+  { excludeBilling = null } = {}
+) => {
+  const { currency, billed } = await this.getFeeUtilization(caseData, {
+    excludeBilling,
+  });
+  const factor = await getCurrencyFactor(caseData, billing);
+  const added = this.sumFeeTypes(items, factor);
+
+  const total = {};
+  for (const type of this.FEE_TYPES) {
+    total[type] = billed[type] + added[type];
+  }
+
+  return this.getFeeLimits(caseData, total)
+    .filter(
+      (limit) =>
+        limit.remaining < 0 &&
+        FEE_LIMITS.find(({ fee }) => fee === limit.fee).feeTypes.some(
+          (type) => added[type] > 0
+        )
+    )
+    .map((limit) => ({
+      ...limit,
+      message: `This billing takes the ${limit.label} to ${formatAmount(
+        limit.billed
+      )} of ${formatAmount(limit.agreed)} ${currency}`,
+    }));
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Client Ledger Service
+ *
+ * This module keeps the ledger accounts of clients, the retainer (trust) money
+ * and the credit left over from overpayments: it computes balances, builds
+ * statements with a running balance and records drawdowns when a bill is
+ * settled from an account.
+ *
+ * Money is drawn from an account through withBalance, which locks the account
+ * while its balance is checked, so concurrent drawdowns can't overdraw it.
+ *
+ * @module ClientLedgerService
+ * @requires ../model/ClientLedger
+ * @requires ../model/ClientLedgerLock
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const AppError = require("../exception/AppError");
+const ClientLedger = require("../model/ClientLedger");
+const ClientLedgerLock = require("../model/ClientLedgerLock");
+const { normalizeCurrency } = require("./ExchangeRateService");
+
+// Signed effect of each entry type on the balance
+const BALANCE_EFFECT = {
+  deposit: 1,
+  drawdown: -1,
+  refund: -1,
+};
+
+const signedAmount = (entry) => BALANCE_EFFECT[entry.type] * entry.amount;
+
+// Longest an account stays locked should its holder never release it
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Returns the current balance of a client ledger account
+ *
+ * @async
+ * @function getBalance
+ * @param {string} clientId - Client owning the account
+ * @param {string} [account="retainer"] - Ledger account
+ * @param {Date} [until] - Only count entries dated before this date
+ * @param {string} [currency] - Only count entries in this currency
+ * @returns {Promise<number>} Deposits minus drawdowns and refunds
+ */
+exports.getBalance = async (
+  clientId,
+  account = "retainer",
+  until = null,
+  currency = null
+) => {
+  const result = await ClientLedger.aggregate([
+    {
+      $match: {
+        client: new Types.ObjectId(clientId),
+        account,
+        ...(until && { date: { $lt: until } }),
+        ...(currency && { currency }),
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$type", "deposit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return result[0]?.balance ?? 0;
+};
+
+/**
+ * Builds the ledger of a client with a running balance per entry
+ *
+ * @async
+ * @function getLedger
+ * @param {string} clientId - Client owning the account
+ * @param {Object} [options]
+ * @param {string} [options.account="retainer"] - Ledger account
+ * @param {Date} [options.from] - Start of the statement period
+ * @param {Date} [options.to] - End of the statement period
+ * @param {string} [options.currency] - Only entries in this currency
+ * @returns {Promise<Object>} Opening balance, entries and closing balance
+ */
+exports.getLedger = async (
+  clientId,
+  { account = "retainer", from = null, to = null, currency = null } = {}
+) => {
+  const openingBalance = from
+    ? await this.getBalance(clientId, account, from, currency)
+    : 0;
+
+  const entries = await ClientLedger.find({
+    client: clientId,
+    account,
+    ...(currency && { currency }),
+    ...((from || to) && {
+      date: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+    }),
+  })
+    .populate("case", "caseNumber title")
+    .populate("billing", "billNumber")
+    .populate("createdBy", "firstName lastName")
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  let balance = openingBalance;
+  const ledger = entries.map((entry) => {
+    balance += signedAmount(entry);
+    return { ...entry, balance };
+  });
+
+  return {
+    openingBalance,
+    entries: ledger,
+    closingBalance: balance,
+  };
+};
+
+/**
+ * Ensures a client ledger account can cover an amount
+ *
+ * @async
+ * @function ensureBalance
+ * @param {string} clientId - Client owning the account
+ * @param {number} amount - Amount about to be drawn
+ * @param {string} [account="retainer"] - Ledger account
+ * @param {string} [currency] - Only count money held in this currency
+ * @throws {AppError} If the balance does not cover the amount
+ */
+exports.ensureBalance = async (
+  clientId,
+  amount,
+  account = "retainer",
+  currency = null
+) => {
+  const balance = await this.getBalance(clientId, account, null, currency);
+  if (balance < amount) {
+    throw new AppError(
+      `Insufficient ${account} balance, available balance is ${balance}${
+        currency ? ` ${currency}` : ""
+      }`,
+      422
+    );
+  }
+};
+
+/**
+ * Draws money from a client ledger account once its balance covers the amount
+ *
+ * The account is locked in the currency while the balance is checked and the
+ * money drawn, so concurrent drawdowns and refunds are applied one at a time.
+ *
+ * @async
+ * @function withBalance
+ * @param {string} clientId - Client owning the account
+ * @param {number} amount - Amount about to be drawn
+ * @param {string} account - Ledger account
+ * @param {string} currency - Currency the money is held in
+ * @param {Function} draw - Records the money drawn, called while the account is locked
+ * @returns {Promise<*>} What draw returns
+ * @throws {AppError} If the account is locked by another request, or the balance does not cover the amount
+ *
+ * @example
+ * const entry = await withBalance(clientId, 5000, "retainer", "PHP", () =>
+ *   ClientLedger.create({ client: clientId, type: "refund", amount: 5000 })
+ * );
+ */
+exports.withBalance = async (clientId, amount, account, currency, draw) => {
+  const key = {
+    client: clientId,
+    account,
+    currency: normalizeCurrency(currency),
+  };
+  const now = new Date();
+
+  let lock;
+  try {
+    lock = await ClientLedgerLock.findOneAndUpdate(
+      { ...key, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+      {
+        lockedUntil: moment(now).add(LOCK_TIMEOUT_SECONDS, "seconds").toDate(),
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The account is locked, so the upsert collided with its lock
+    if (error.code !== 11000) {
+      throw error;
+    }
+    throw new AppError(
+      `The ${account} balance is being updated, please try again`,
+      409
+    );
+  }
+
+  try {
+    await this.ensureBalance(clientId, amount, account, key.currency);
+    return await draw();
+  } finally {
+    await ClientLedgerLock.updateOne(
+      { _id: lock._id, lockedUntil: lock.lockedUntil },
+      { lockedUntil: null }
+    );
+  }
+};
+
+/**
+ * Records a drawdown of a client ledger account for a payment of a bill
+ *
+ * The payment and the drawdown must be recorded through withBalance.
+ *
+ * @async
+ * @function drawdown
+ * @param {Object} billing - Bill being settled
+ * @param {Object} payment - Payment created for the drawdown
+ * @param {Types.ObjectId} userId - User applying the balance
+ * @param {string} [account="retainer"] - Ledger account to draw from
+ * @returns {Promise<Object>} The created ledger entry
+ */
+exports.drawdown = async (billing, payment, userId, account = "retainer") => {
+  return await ClientLedger.create({
+    client: billing.client,
+    case: billing.case,
+    account,
+    type: "drawdown",
+    amount: payment.amount,
+    currency: normalizeCurrency(billing.currency),
+    billing: billing._id,
+    payment: payment._id,
+    date: payment.date,
+    note: `Applied to ${billing.billNumber}`,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Removes the drawdowns of payments that no longer exist, returning the money
+ * to the client's balance
+ *
+ * @async
+ * @function releaseDrawdowns
+ * @param {Object} filter - Matches the drawdowns to remove, e.g. { payment } or { billing }
+ */
+exports.releaseDrawdowns = async (filter) => {
+  await ClientLedger.deleteMany({ ...filter, type: "drawdown" });
+};
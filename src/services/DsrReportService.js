@@ -0,0 +1,321 @@
+/**
+ * @fileoverview DSR Report Service
+ *
+ * Lets supervisors follow the time their people record. A team lead sees the
+ * DSR entries of the users in the teams they lead, a super admin those of the
+ * whole firm. Entries can be listed, totalled by user, case or team, and
+ * checked for missing days, workdays on which a user recorded nothing.
+ *
+ * Workdays are Monday to Friday. Days before a user's account was created and
+ * days still to come are never missing.
+ *
+ * @module DsrReportService
+ * @requires ../model/DSRTimeTracking
+ * @requires ../model/Team
+ * @requires ../model/User
+ * @requires ./TimesheetService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const AppError = require("../exception/AppError");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const Team = require("../model/Team");
+const User = require("../model/User");
+const { getReviewedUsers } = require("./TimesheetService");
+const dateQueryGenerator = require("../utils/dateQueryGenerator");
+const { roundAmount } = require("../utils/utils");
+
+exports.GROUP_BY = ["user", "case", "team"];
+
+// isoWeekday of Monday to Friday
+const WORKDAYS = [1, 2, 3, 4, 5];
+
+// Longest range checked for missing days, in years
+const MAX_MISSING_DAYS_RANGE = 1;
+
+const toObjectIds = (ids) => ids.map((id) => new Types.ObjectId(`${id}`));
+
+const includesId = (ids, id) => ids.some((item) => `${item}` === `${id}`);
+
+/**
+ * Resolves the date range of a supervisor view, the current month by default
+ *
+ * @function getDsrPeriod
+ * @param {Object} filters
+ * @param {string} [filters.fromDate] - First day of the range
+ * @param {string} [filters.toDate] - Last day of the range
+ * @returns {Object} fromDate and toDate, as dates
+ */
+exports.getDsrPeriod = ({ fromDate, toDate } = {}) => {
+  return {
+    fromDate: fromDate
+      ? moment(fromDate).startOf("day").toDate()
+      : moment().startOf("month").toDate(),
+    toDate: toDate
+      ? moment(toDate).endOf("day").toDate()
+      : moment().endOf("day").toDate(),
+  };
+};
+
+/**
+ * Returns the users a supervisor may see the entries of
+ *
+ * @async
+ * @function getSupervisedScope
+ * @param {Object} supervisor - Authenticated user
+ * @param {Object} [filters={}]
+ * @param {string} [filters.team] - Narrows the scope to a team
+ * @param {string} [filters.user] - Narrows the scope to a user
+ * @returns {Promise<Array|null>} User ids, null when every user is in scope
+ * @throws {AppError} If the supervisor leads no team, or the team or user is outside their scope
+ */
+exports.getSupervisedScope = async (supervisor, { team, user } = {}) => {
+  const supervised = await getReviewedUsers(supervisor);
+  if (supervised && !supervised.length) {
+    throw new AppError("You do not lead any team", 403);
+  }
+
+  let scope = supervised;
+  if (team) {
+    const foundTeam = await Team.findOne({ _id: team, status: "active" });
+    if (!foundTeam) {
+      throw new AppError("Team not found", 404);
+    }
+    if (supervised && !includesId(foundTeam.leads, supervisor._id)) {
+      throw new AppError("You do not lead this team", 403);
+    }
+    scope = foundTeam.users;
+  }
+  if (user) {
+    if (scope && !includesId(scope, user)) {
+      throw new AppError("This user is not in a team you lead", 403);
+    }
+    scope = [user];
+  }
+
+  return scope && toObjectIds(scope);
+};
+
+/**
+ * Builds the match of the active entries in a scope
+ *
+ * @function getEntryMatch
+ * @param {Array|null} scope - From getSupervisedScope
+ * @param {Object} [filters={}] - case, search, fromDate and toDate
+ * @returns {Object} The $match stage condition
+ */
+exports.getEntryMatch = (scope, filters = {}) => {
+  const period = this.getDsrPeriod(filters);
+  return {
+    status: "active",
+    ...(scope && { user: { $in: scope } }),
+    ...(filters.case && { case: new Types.ObjectId(filters.case) }),
+    ...(filters.search && {
+      task: { $regex: filters.search, $options: "i" },
+    }),
+    ...dateQueryGenerator(period.fromDate, period.toDate, "date"),
+  };
+};
+
+/**
+ * Totals the entries of a scope by user, case or team
+ *
+ * Billable hours are recorded at a rate and not written off as no charge. A
+ * user in several teams counts towards each of them.
+ *
+ * @async
+ * @function getDsrSummary
+ * @param {Object} supervisor - Authenticated user
+ * @param {Array|null} scope - From getSupervisedScope
+ * @param {Object} [filters={}] - team, case, search, fromDate and toDate
+ * @param {string} [groupBy="user"] - user, case or team
+ * @returns {Promise<Object>} A row per group with its hours and value, and the totals
+ */
+exports.getDsrSummary = async (
+  supervisor,
+  scope,
+  filters = {},
+  groupBy = "user"
+) => {
+  const rows = await DSRTimeTracking.aggregate([
+    { $match: this.getEntryMatch(scope, filters) },
+    {
+      $group: {
+        _id: groupBy === "case" ? "$case" : "$user",
+        hours: { $sum: "$hourCount" },
+        billableHours: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $gt: ["$hourlyRate", 0] },
+                  { $ne: ["$billingAdjustment.type", "noCharge"] },
+                ],
+              },
+              "$hourCount",
+              0,
+            ],
+          },
+        },
+        value: { $sum: { $multiply: ["$hourCount", "$hourlyRate"] } },
+        entries: { $sum: 1 },
+        lastEntryDate: { $max: "$date" },
+      },
+    },
+    {
+      $lookup:
+        groupBy === "case"
+          ? {
+              from: "cases",
+              localField: "_id",
+              foreignField: "_id",
+              pipeline: [{ $project: { caseNumber: 1, title: 1 } }],
+              as: "group",
+            }
+          : {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+              as: "group",
+            },
+    },
+    { $unwind: { path: "$group", preserveNullAndEmptyArrays: true } },
+    { $sort: { hours: -1 } },
+  ]);
+
+  let groups = rows.map((row) => ({
+    [groupBy === "case" ? "case" : "user"]: row.group ?? { _id: row._id },
+    hours: row.hours,
+    billableHours: row.billableHours,
+    value: row.value,
+    entries: row.entries,
+    lastEntryDate: row.lastEntryDate,
+  }));
+
+  if (groupBy === "team") {
+    const teams = await Team.find({
+      status: "active",
+      ...(filters.team && { _id: filters.team }),
+      ...(supervisor.roleType !== "superAdmin" && { leads: supervisor._id }),
+    })
+      .select("title users")
+      .lean();
+
+    groups = teams
+      .map((team) => {
+        const members = groups.filter((group) =>
+          includesId(team.users, group.user._id)
+        );
+        return {
+          team: { _id: team._id, title: team.title },
+          users: team.users.length,
+          ...["hours", "billableHours", "value", "entries"].reduce(
+            (acc, field) => ({
+              ...acc,
+              [field]: members.reduce((sum, member) => sum + member[field], 0),
+            }),
+            {}
+          ),
+        };
+      })
+      .sort((a, b) => b.hours - a.hours);
+  }
+
+  groups = groups.map((group) => ({
+    ...group,
+    hours: roundAmount(group.hours),
+    billableHours: roundAmount(group.billableHours),
+    value: roundAmount(group.value),
+  }));
+
+  return {
+    groupBy,
+    ...this.getDsrPeriod(filters),
+    groups,
+    totals: ["hours", "billableHours", "value", "entries"].reduce(
+      (acc, field) => ({
+        ...acc,
+        [field]: roundAmount(rows.reduce((sum, row) => sum + row[field], 0)),
+      }),
+      {}
+    ),
+  };
+};
+
+/**
+ * Lists the workdays of a range on which each user in scope recorded nothing
+ *
+ * @async
+ * @function getMissingDays
+ * @param {Array|null} scope - From getSupervisedScope
+ * @param {Object} [filters={}] - fromDate and toDate
+ * @returns {Promise<Array>} A row per user with their missing days, the most missing first
+ * @throws {AppError} If the range is longer than a year
+ */
+exports.getMissingDays = async (scope, filters = {}) => {
+  const period = this.getDsrPeriod(filters);
+  if (
+    moment(period.toDate).diff(period.fromDate, "years", true) >
+    MAX_MISSING_DAYS_RANGE
+  ) {
+    throw new AppError("Missing days can be checked for a year at most", 422);
+  }
+  const lastDay = moment.min(moment(period.toDate), moment().endOf("day"));
+
+  const workdays = [];
+  const day = moment(period.fromDate).startOf("day");
+  while (day.isSameOrBefore(lastDay)) {
+    if (WORKDAYS.includes(day.isoWeekday())) {
+      workdays.push(day.clone());
+    }
+    day.add(1, "day");
+  }
+
+  const users = await User.find({
+    status: "activated",
+    ...(scope && { _id: { $in: scope } }),
+  })
+    .select("firstName lastName email createdAt")
+    .lean();
+
+  const entries = await DSRTimeTracking.aggregate([
+    {
+      $match: {
+        status: "active",
+        user: { $in: users.map((user) => user._id) },
+        date: { $gte: period.fromDate, $lte: lastDay.toDate() },
+      },
+    },
+    { $group: { _id: "$user", dates: { $addToSet: "$date" } } },
+  ]);
+
+  return users
+    .map((user) => {
+      const recorded = new Set(
+        (
+          entries.find((entry) => `${entry._id}` === `${user._id}`)?.dates ?? []
+        ).map((date) => moment(date).format("YYYY-MM-DD"))
+      );
+      const expected = workdays.filter((workday) =>
+        workday.isSameOrAfter(moment(user.createdAt).startOf("day"))
+      );
+      const missingDays = expected
+        .map((workday) => workday.format("YYYY-MM-DD"))
+        .filter((date) => !recorded.has(date));
+
+      return {
+        user: {
+          _id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+        },
+        workdays: expected.length,
+        daysRecorded: expected.length - missingDays.length,
+        missingDays,
+      };
+    })
+    .sort((a, b) => b.missingDays.length - a.missingDays.length);
+};
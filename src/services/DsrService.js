@@ -0,0 +1,113 @@
+/**
+ * @fileoverview DSR Service
+ *
+ * Shared rules of the daily service report (DSR): the running timers whose
+ * time becomes an entry, rounded up to the firm's billing increment.
+ *
+ * The increment is read from the "billing_increment_minutes" setting and
+ * defaults to 6 minutes, a tenth of an hour.
+ *
+ * @module DsrService
+ * @requires ../model/DSRTimeTracking
+ * @requires ./RateService
+ * @requires ./SettingService
+ * @requires ./TimesheetService
+ */
+
+const moment = require("moment");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const { resolveHourlyRate } = require("./RateService");
+const { getSetting } = require("./SettingService");
+const { ensureWeekEditable } = require("./TimesheetService");
+const { roundAmount } = require("../utils/utils");
+
+const DEFAULT_BILLING_INCREMENT_MINUTES = 6;
+
+/**
+ * Returns the billing increment time is rounded up to
+ *
+ * @async
+ * @function getBillingIncrement
+ * @returns {Promise<number>} Minutes
+ */
+exports.getBillingIncrement = async () => {
+  const minutes = Number(
+    await getSetting(
+      "billing_increment_minutes",
+      DEFAULT_BILLING_INCREMENT_MINUTES
+    )
+  );
+  return Number.isFinite(minutes) && minutes > 0
+    ? minutes
+    : DEFAULT_BILLING_INCREMENT_MINUTES;
+};
+
+/**
+ * Rounds a duration up to whole billing increments
+ *
+ * @function roundToIncrement
+ * @param {number} seconds - Duration
+ * @param {number} incrementMinutes - Billing increment
+ * @returns {number} Hours
+ *
+ * @example
+ * roundToIncrement(22 * 60, 6); // 0.4
+ */
+exports.roundToIncrement = (seconds, incrementMinutes) => {
+  const increments = Math.ceil(seconds / 60 / incrementMinutes);
+  return roundAmount((increments * incrementMinutes) / 60);
+};
+
+/**
+ * Returns the time a timer has counted so far
+ *
+ * @function getElapsedSeconds
+ * @param {Object} timer - DSRTimer document
+ * @param {Date} [now=new Date()]
+ * @returns {number} Seconds, including the current run
+ */
+exports.getElapsedSeconds = (timer, now = new Date()) => {
+  const running =
+    timer.status === "running" && timer.startedAt
+      ? Math.max(moment(now).diff(timer.startedAt, "seconds"), 0)
+      : 0;
+  return (timer.elapsedSeconds ?? 0) + running;
+};
+
+/**
+ * Records the time of a stopped timer as a DSR entry
+ *
+ * @async
+ * @function createEntryFromTimer
+ * @param {Object} timer - DSRTimer document, already stopped
+ * @param {Object} caseInfo - Case of the timer
+ * @param {Object} user - User the timer belongs to
+ * @param {Object} [details={}]
+ * @param {string} [details.task] - Replaces the task of the timer
+ * @param {Date} [details.date] - Day of the entry, the day the timer started by default
+ * @returns {Promise<Object>} The DSRTimeTracking entry
+ * @throws {AppError} If the timesheet of the week is locked
+ */
+exports.createEntryFromTimer = async (
+  timer,
+  caseInfo,
+  user,
+  { task, date } = {}
+) => {
+  const entryDate = moment(date ?? timer.createdAt).toDate();
+  await ensureWeekEditable(user._id, entryDate);
+
+  const hourCount = this.roundToIncrement(
+    timer.elapsedSeconds,
+    await this.getBillingIncrement()
+  );
+
+  return await DSRTimeTracking.create({
+    task: task || timer.task,
+    hourCount,
+    hourlyRate: (await resolveHourlyRate(caseInfo, user, entryDate)).rate,
+    case: caseInfo._id,
+    user: user._id,
+    date: entryDate,
+  });
+};
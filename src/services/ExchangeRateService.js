@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Exchange Rate Service
+ *
+ * Resolves stored exchange rates and converts amounts between currencies.
+ * Every rate is expressed against the base currency, PHP.
+ *
+ * @module ExchangeRateService
+ * @requires ../model/ExchangeRate
+ */
+
+const AppError = require("../exception/AppError");
+const ExchangeRate = require("../model/ExchangeRate");
+const { roundAmount } = require("../utils/utils");
+
+const BASE_CURRENCY = "PHP";
+exports.BASE_CURRENCY = BASE_CURRENCY;
+
+/**
+ * Normalizes a currency code, mapping the legacy "PH" code to PHP
+ *
+ * @function normalizeCurrency
+ * @param {string} currency - Currency code as entered
+ * @returns {string} Upper case ISO code, PHP when empty
+ */
+exports.normalizeCurrency = (currency) => {
+  const code = `${currency || BASE_CURRENCY}`.trim().toUpperCase();
+  return code === "PH" ? BASE_CURRENCY : code;
+};
+
+/**
+ * Returns the PHP value of one unit of a currency on a given date
+ *
+ * @async
+ * @function getRate
+ * @param {string} currency - Currency code
+ * @param {Date} [date=new Date()] - Date the rate must be effective on
+ * @returns {Promise<number>} The effective rate, 1 for PHP
+ * @throws {AppError} If no rate is effective for that currency and date
+ */
+exports.getRate = async (currency, date = new Date()) => {
+  const code = this.normalizeCurrency(currency);
+  if (code === BASE_CURRENCY) {
+    return 1;
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({
+    currency: code,
+    status: "active",
+    effectiveDate: { $lte: date },
+  })
+    .sort({ effectiveDate: -1 })
+    .lean();
+
+  if (!exchangeRate) {
+    throw new AppError(`No exchange rate found for ${code}`, 422);
+  }
+  return exchangeRate.rate;
+};
+
+/**
+ * Converts an amount from one currency to another through PHP
+ *
+ * @async
+ * @function convert
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Date} [date=new Date()] - Date of the rates to use
+ * @returns {Promise<Object>} Converted amount and both rates
+ */
+exports.convert = async (amount, from, to, date = new Date()) => {
+  const fromRate = await this.getRate(from, date);
+  const toRate = await this.getRate(to, date);
+
+  return {
+    amount: roundAmount((Number(amount) * fromRate) / toRate),
+    fromRate,
+    toRate,
+  };
+};
+
+/**
+ * Converts a received payment into the currency of the bill it settles
+ *
+ * @async
+ * @function convertPayment
+ * @param {number} receivedAmount - Amount received, in the payment's currency
+ * @param {string} [currency] - Payment currency, defaults to the bill's currency
+ * @param {Object} billing - Bill the payment is applied to
+ * @param {Date} [date=new Date()] - Date the payment was received
+ * @returns {Promise<Object>} Payment fields: amount applied to the bill, currency, receivedAmount, exchangeRate and conversionRate
+ */
+exports.convertPayment = async (
+  receivedAmount,
+  currency,
+  billing,
+  date = new Date()
+) => {
+  const paymentCurrency = this.normalizeCurrency(currency || billing.currency);
+  const billingCurrency = this.normalizeCurrency(billing.currency);
+
+  const exchangeRate = await this.getRate(paymentCurrency, date);
+  const conversionRate =
+    paymentCurrency === billingCurrency
+      ? 1
+      : exchangeRate / (await this.getRate(billingCurrency, date));
+
+  return {
+    amount: roundAmount(Number(receivedAmount) * conversionRate),
+    currency: paymentCurrency,
+    receivedAmount: Number(receivedAmount),
+    exchangeRate,
+    conversionRate,
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Expense Service
+ *
+ * Re-bills the out-of-pocket expenses of a case: it finds the expenses not
+ * billed yet, turns them into bill items and marks them as billed so the
+ * same disbursement is never charged twice.
+ *
+ * @module ExpenseService
+ * @requires ../model/Expense
+ * @requires ./ExchangeRateService
+ */
+
+const moment = require("moment");
+const AppError = require("../exception/AppError");
+const Expense = require("../model/Expense");
+const { convert, normalizeCurrency } = require("./ExchangeRateService");
+
+exports.EXPENSE_CATEGORIES = {
+  filingFee: "Filing fee",
+  courier: "Courier",
+  notarial: "Notarial fee",
+  transportation: "Transportation",
+  photocopy: "Photocopy",
+  other: "Other expense",
+};
+
+/**
+ * Fetches the billable expenses of a case that have not been billed yet
+ *
+ * @async
+ * @function getUnbilledExpenses
+ * @param {string} caseId - Case the expenses belong to
+ * @param {Date} [until] - Only expenses spent up to this date
+ * @returns {Promise<Array>} Unbilled expenses ordered by date
+ */
+exports.getUnbilledExpenses = async (caseId, until = null) => {
+  return await Expense.find({
+    case: caseId,
+    status: "active",
+    billable: true,
+    billing: null,
+    ...(until && { date: { $lte: moment(until).endOf("day").toDate() } }),
+  })
+    .sort({ date: 1 })
+    .lean();
+};
+
+/**
+ * Converts expenses into bill items in the currency of the bill
+ *
+ * Disbursements are re-billed at cost, without VAT.
+ *
+ * @async
+ * @function buildExpenseItems
+ * @param {Array} expenses - Unbilled expenses
+ * @param {string} currency - Currency of the bill
+ * @returns {Promise<Array>} Billing items referencing their source expense
+ */
+exports.buildExpenseItems = async (expenses, currency) => {
+  const items = [];
+  for (const expense of expenses) {
+    const { amount } = await convert(
+      expense.amount,
+      normalizeCurrency(expense.currency),
+      normalizeCurrency(currency),
+      expense.date
+    );
+    items.push({
+      particulars: [
+        moment(expense.date).format("YYYY-MM-DD"),
+        this.EXPENSE_CATEGORIES[expense.category] ?? expense.category,
+        expense.description,
+      ]
+        .filter(Boolean)
+        .join(" - "),
+      quantity: 1,
+      price: amount,
+      discount: 0,
+      vat: {},
+      amount,
+      feeType: "ope",
+      expense: expense._id,
+    });
+  }
+  return items;
+};
+
+/**
+ * Marks expenses as billed against a billing record
+ *
+ * Only expenses that are still unbilled are claimed. If any was taken in the
+ * meantime, the claimed ones are released again and an error is thrown.
+ *
+ * @async
+ * @function claimExpenses
+ * @param {Array} expenseIds - Expense ids to claim
+ * @param {Types.ObjectId} billingId - Billing the expenses are charged on
+ * @throws {AppError} If an expense has already been billed
+ */
+exports.claimExpenses = async (expenseIds, billingId) => {
+  const result = await Expense.updateMany(
+    { _id: { $in: expenseIds }, billing: null },
+    { billing: billingId }
+  );
+
+  if (result.modifiedCount !== expenseIds.length) {
+    await this.releaseExpenses(billingId);
+    throw new AppError(
+      "Some expenses have already been billed, please try again",
+      409
+    );
+  }
+};
+
+/**
+ * Releases the expenses billed against a billing record
+ *
+ * @async
+ * @function releaseExpenses
+ * @param {Types.ObjectId} billingId - Billing the expenses were charged on
+ * @param {Array} [keep=[]] - Expenses that stay on the bill, e.g. after an edit
+ */
+exports.releaseExpenses = async (billingId, keep = []) => {
+  await Expense.updateMany(
+    { billing: billingId, _id: { $nin: keep } },
+    { billing: null }
+  );
+};
@@ -2,6 +2,7 @@ const Notification = require("../model/Notification");
 const SimpleValidator = require("../validator/simpleValidator");
 const moment = require("moment");
 const { pushNotification } = require("./PusherService");
+const { formatAmount } = require("../utils/utils");
 
 // Function to create a notification for a user
 exports.createNotification = async (user, type, data = {}) => {
@@ -80,6 +81,68 @@ exports.generateTitleAndDescription = (type, data) => {
       description = `You have deactivated two-factor authentication for your account. If this wasn't you, please secure your account immediately.`;
       break;
 
+    case "billing_overdue":
+      title = `Overdue Bill: ${data.billNumber}`;
+      description = `Bill ${data.billNumber} of ${data.clientName} is ${
+        data.daysOverdue
+      } days overdue with ${data.currency} ${formatAmount(
+        data.dueAmount
+      )} still outstanding.`;
+      break;
+
+    case "billing_review":
+      title = `Bill for Review: ${data.billNumber}`;
+      description = `Bill ${data.billNumber} of ${data.clientName} for ${
+        data.currency
+      } ${formatAmount(data.grandTotal)} is waiting for your approval.`;
+      break;
+
+    case "billing_approved":
+      title = `Bill Approved: ${data.billNumber}`;
+      description = `Bill ${data.billNumber} of ${data.clientName} has been approved and can be sent to the client.`;
+      break;
+
+    case "billing_changes_requested":
+      title = `Changes Requested: ${data.billNumber}`;
+      description = `Changes were requested on bill ${data.billNumber} of ${
+        data.clientName
+      }${data.comment ? `: ${data.comment}` : "."}`;
+      break;
+
+    case "timesheet_submitted":
+      title = `Timesheet for Approval: ${data.userName}`;
+      description = `${
+        data.userName
+      } submitted the timesheet of the week of ${moment(data.weekStart).format(
+        "MMM D, YYYY"
+      )} with ${data.totalHours} hours.`;
+      break;
+
+    case "timesheet_approved":
+      title = `Timesheet Approved`;
+      description = `Your timesheet of the week of ${moment(
+        data.weekStart
+      ).format("MMM D, YYYY")} has been approved.`;
+      break;
+
+    case "timesheet_rejected":
+      title = `Timesheet Rejected`;
+      description = `Your timesheet of the week of ${moment(
+        data.weekStart
+      ).format("MMM D, YYYY")} was rejected${
+        data.comment ? `: ${data.comment}` : "."
+      }`;
+      break;
+
+    case "timesheet_reopened":
+      title = `Timesheet Reopened`;
+      description = `Your timesheet of the week of ${moment(
+        data.weekStart
+      ).format("MMM D, YYYY")} was reopened${
+        data.comment ? `: ${data.comment}` : "."
+      }`;
+      break;
+
     // Add more cases for additional notification types
     default:
       title = `Notification`;
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Numbering Service
+ *
+ * Issues the numbers of cases, clients, bills, official receipts and credit
+ * notes from counters incremented atomically in MongoDB, so concurrent
+ * creates never get the same number.
+ *
+ * Each workspace can set the prefix, padding and yearly reset of a series
+ * under `numbering` (e.g. CAS-2026-00001). Series sharing a prefix and year
+ * share a counter, whichever workspace issues from it.
+ *
+ * @module NumberingService
+ * @requires ../model/Counter
+ * @requires ../model/Workspace
+ */
+
+const moment = require("moment");
+const BillingHistory = require("../model/BillingHistory");
+const Case = require("../model/Case");
+const Client = require("../model/Client");
+const Counter = require("../model/Counter");
+const CreditNote = require("../model/CreditNote");
+const Payment = require("../model/Payment");
+const Workspace = require("../model/Workspace");
+
+// Format used by a workspace that has not configured a series
+exports.SEQUENCES = {
+  case: { prefix: "CAS-", padding: 6, yearly: false },
+  client: { prefix: "", padding: 6, yearly: false },
+  billing: { prefix: "BILL-", padding: 6, yearly: false },
+  officialReceipt: { prefix: "OR-", padding: 6, yearly: false },
+  creditNote: { prefix: "CN-", padding: 6, yearly: false },
+};
+
+// Where the numbers issued before the counters existed are stored
+const NUMBERED_FIELDS = {
+  case: [Case, "caseNumber"],
+  client: [Client, "clientNumber"],
+  billing: [BillingHistory, "billNumber"],
+  officialReceipt: [Payment, "officialReceiptNumber"],
+  creditNote: [CreditNote, "creditNoteNumber"],
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Returns the format of a series in a workspace
+ *
+ * @async
+ * @function getSequenceSettings
+ * @param {string} sequence - Key of the series, e.g. "case"
+ * @param {string|Object} [workspace] - Workspace the number is issued in
+ * @returns {Promise<Object>} prefix, padding and yearly
+ */
+exports.getSequenceSettings = async (sequence, workspace = null) => {
+  const defaults = this.SEQUENCES[sequence];
+  const settings = workspace
+    ? (
+        await Workspace.findById(workspace?._id ?? workspace)
+          .select("numbering")
+          .lean()
+      )?.numbering?.[sequence]
+    : null;
+
+  return {
+    prefix: settings?.prefix ?? defaults.prefix,
+    padding: settings?.padding ?? defaults.padding,
+    yearly: settings?.yearly ?? defaults.yearly,
+  };
+};
+
+/**
+ * Creates the counter of a stem, starting after the highest number already
+ * issued under it
+ *
+ * @async
+ * @function seedCounter
+ * @param {string} sequence - Key of the series
+ * @param {string} stem - Prefix and year of the numbers
+ */
+const seedCounter = async (sequence, stem) => {
+  if (await Counter.exists({ sequence, stem })) {
+    return;
+  }
+
+  const [Model, field] = NUMBERED_FIELDS[sequence];
+  const result = await Model.aggregate([
+    {
+      $match: {
+        [field]: { $regex: `^${escapeRegex(stem)}\\d+$` },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        maxNumber: {
+          $max: {
+            $toLong: { $substrCP: [`$${field}`, [...stem].length, 20] },
+          },
+        },
+      },
+    },
+  ]);
+
+  try {
+    await Counter.updateOne(
+      { sequence, stem },
+      { $setOnInsert: { value: result[0]?.maxNumber ?? 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created the counter first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Issues the next number of a series
+ *
+ * @async
+ * @function getNextNumber
+ * @param {string} sequence - Key of the series, e.g. "billing"
+ * @param {string|Object} [workspace] - Workspace the number is issued in
+ * @param {Date} [date=new Date()] - Date of the document, picks the year of yearly series
+ * @returns {Promise<string>} The number, e.g. "CAS-2026-00001"
+ *
+ * @example
+ * const caseNumber = await getNextNumber("case", defaultWorkspace._id);
+ */
+exports.getNextNumber = async (
+  sequence,
+  workspace = null,
+  date = new Date()
+) => {
+  const { prefix, padding, yearly } = await this.getSequenceSettings(
+    sequence,
+    workspace
+  );
+  const stem = yearly ? `${prefix}${moment(date).year()}-` : prefix;
+
+  await seedCounter(sequence, stem);
+  const counter = await Counter.findOneAndUpdate(
+    { sequence, stem },
+    { $inc: { value: 1 } },
+    { new: true }
+  );
+
+  return `${stem}${`${counter.value}`.padStart(padding, "0")}`;
+};
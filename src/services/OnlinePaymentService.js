@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Online Payment Service
+ *
+ * Lets clients pay a bill online: a signed, expiring link opens a checkout on
+ * the configured payment gateway, and the gateway's webhook records the
+ * payment against the bill.
+ *
+ * Links are JSON Web Tokens signed with PAYMENT_LINK_SECRET, or JWT_SECRET
+ * when it is not set, and point at PAYMENT_LINK_URL.
+ *
+ * @module OnlinePaymentService
+ * @requires jsonwebtoken
+ * @requires ./payment-gateway
+ * @requires ./PaymentService
+ */
+
+const jwt = require("jsonwebtoken");
+const moment = require("moment");
+const AppError = require("../exception/AppError");
+const BillingHistory = require("../model/BillingHistory");
+const ClientLedger = require("../model/ClientLedger");
+const Payment = require("../model/Payment");
+const { RELEASED_STATUSES } = require("./BillingApprovalService");
+const { getDueAmount } = require("./BillingLedgerService");
+const { sendReceiptEmail } = require("./BillingMailService");
+const { getGateway } = require("./payment-gateway");
+const { applyPayment, recordCredit } = require("./PaymentService");
+
+exports.PAYMENT_METHOD = "online";
+
+const LINK_PURPOSE = "billing-payment";
+
+const getLinkSecret = () =>
+  process.env.PAYMENT_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Creates a signed public link to pay a bill
+ *
+ * @function createPaymentLink
+ * @param {Object} billing - Billing to pay
+ * @param {number} [expiresInDays=7] - Days the link stays valid
+ * @returns {Object} Link url, token and expiry date
+ */
+exports.createPaymentLink = (billing, expiresInDays = 7) => {
+  const expiresAt = moment().add(expiresInDays, "days").toDate();
+  const token = jwt.sign(
+    { billing: `${billing._id}`, purpose: LINK_PURPOSE },
+    getLinkSecret(),
+    { expiresIn: `${expiresInDays}d` }
+  );
+
+  return {
+    url: `${process.env.PAYMENT_LINK_URL ?? ""}/${token}`,
+    token,
+    expiresAt,
+  };
+};
+
+/**
+ * Finds the bill a payment link was issued for
+ *
+ * @async
+ * @function verifyPaymentLink
+ * @param {string} token - Token of the link
+ * @returns {Promise<Object>} The billing, with its client and case
+ * @throws {AppError} If the link is invalid or expired, or the bill is void
+ */
+exports.verifyPaymentLink = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getLinkSecret());
+  } catch (error) {
+    throw new AppError(
+      error.name === "TokenExpiredError"
+        ? "This payment link has expired"
+        : "Invalid payment link",
+      error.name === "TokenExpiredError" ? 410 : 401
+    );
+  }
+  if (payload.purpose !== LINK_PURPOSE) {
+    throw new AppError("Invalid payment link", 401);
+  }
+
+  const billing = await BillingHistory.findById(payload.billing)
+    .populate("client", "companyName")
+    .populate("case", "caseNumber title");
+  if (!billing || billing.status === "void") {
+    throw new AppError("This bill can no longer be paid", 410);
+  }
+  return billing;
+};
+
+/**
+ * Opens a gateway checkout for the amount due on a bill
+ *
+ * @async
+ * @function startCheckout
+ * @param {Object} billing - Billing from verifyPaymentLink
+ * @returns {Promise<Object>} checkoutId, checkoutUrl and the amount to pay
+ * @throws {AppError} If the bill has nothing left to pay
+ */
+exports.startCheckout = async (billing) => {
+  const dueAmount = await getDueAmount(billing);
+  if (dueAmount <= 0) {
+    throw new AppError(`Billing ${billing.billNumber} has no amount due`, 422);
+  }
+
+  const checkout = await getGateway().createCheckout({
+    reference: `${billing._id}`,
+    amount: dueAmount,
+    currency: billing.currency,
+    description: `Payment of ${billing.billNumber}`,
+  });
+
+  return { ...checkout, amount: dueAmount, currency: billing.currency };
+};
+
+/**
+ * Records the payment reported by a gateway webhook
+ *
+ * Webhooks may be delivered more than once, a transaction that was already
+ * recorded is acknowledged without paying the bill again. Online payments are
+ * recorded on behalf of the user who raised the bill, and whatever exceeds
+ * the amount due is kept as client credit, as is the whole amount when the
+ * bill can no longer be paid.
+ *
+ * @async
+ * @function handleWebhook
+ * @param {string} gatewayName - Gateway the webhook came from
+ * @param {Object} request - Headers and raw body of the webhook
+ * @returns {Promise<Object>} What was done with the event, and the payment
+ * @throws {AppError} If the webhook is not from the configured gateway or is not signed
+ */
+exports.handleWebhook = async (gatewayName, request) => {
+  const gateway = getGateway();
+  if (gateway.name !== gatewayName) {
+    throw new AppError(`Unknown payment gateway ${gatewayName}`, 404);
+  }
+
+  const event = gateway.parseWebhook(request);
+  if (event.type !== "payment.succeeded") {
+    return { status: "ignored" };
+  }
+
+  const findRecorded = () =>
+    Payment.findOne({
+      paymentMethod: this.PAYMENT_METHOD,
+      transactionId: event.transactionId,
+    });
+  const duplicate = async () => ({
+    status: "duplicate",
+    payment: await findRecorded(),
+  });
+
+  const credited = await ClientLedger.exists({
+    paymentMethod: this.PAYMENT_METHOD,
+    reference: event.transactionId,
+  });
+  if (credited || (await findRecorded())) {
+    return await duplicate();
+  }
+
+  const billing = await BillingHistory.findById(event.reference);
+  if (!billing) {
+    throw new AppError("Billing not found", 404);
+  }
+
+  // Money for a bill settled, voided or reopened in the meantime was still
+  // collected by the gateway, it is kept for the client
+  const payable =
+    billing.status !== "void" &&
+    RELEASED_STATUSES.includes(billing.approvalStatus ?? "approved") &&
+    (await getDueAmount(billing)) > 0;
+  if (!payable) {
+    // A concurrent delivery may have just paid the bill with this transaction
+    if (await findRecorded()) {
+      return await duplicate();
+    }
+    try {
+      const credit = await recordCredit({
+        client: billing.client,
+        amount: event.amount,
+        currency: event.currency,
+        date: event.paidAt,
+        createdBy: billing.createdBy,
+        paymentMethod: this.PAYMENT_METHOD,
+        reference: event.transactionId,
+      });
+      return { status: "credited", credit };
+    } catch (error) {
+      if (error.code === 11000) {
+        return await duplicate();
+      }
+      throw error;
+    }
+  }
+
+  // The unique index on online transactions rejects a concurrent delivery
+  let payment, excess;
+  try {
+    ({ payment, excess } = await applyPayment(billing, {
+      amount: event.amount,
+      currency: event.currency,
+      date: event.paidAt,
+      paymentMethod: this.PAYMENT_METHOD,
+      receivedBy: billing.createdBy,
+      transactionId: event.transactionId,
+      note: `Paid online, checkout ${event.checkoutId}`,
+    }));
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.transactionId) {
+      return await duplicate();
+    }
+    throw error;
+  }
+  await recordCredit({
+    client: billing.client,
+    amount: excess,
+    currency: payment.currency,
+    date: event.paidAt,
+    createdBy: billing.createdBy,
+    payment,
+    paymentMethod: this.PAYMENT_METHOD,
+    reference: event.transactionId,
+  });
+
+  // The payment stands even if the receipt can't be mailed
+  try {
+    await sendReceiptEmail(payment._id);
+  } catch (error) {
+    console.error("Error sending online payment receipt:", error.message);
+  }
+
+  return { status: "recorded", payment };
+};
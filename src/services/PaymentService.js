@@ -0,0 +1,547 @@
+/**
+ * @fileoverview Payment Service
+ *
+ * Applies money received from clients to their bills. A payment settles at
+ * most the amount due on a bill, whatever is left over is kept as client
+ * credit that can be applied to later bills with the "client_credit" method.
+ *
+ * @module PaymentService
+ * @requires ../model/Payment
+ * @requires ../model/ClientLedger
+ * @requires ./BillingApprovalService
+ * @requires ./BillingLedgerService
+ * @requires ./ClientLedgerService
+ * @requires ./ExchangeRateService
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const AppError = require("../exception/AppError");
+const BillingHistory = require("../model/BillingHistory");
+const ClientLedger = require("../model/ClientLedger");
+const Payment = require("../model/Payment");
+const {
+  getBillingWorkspace,
+  getNextOfficialReceiptNumber,
+} = require("./BillingService");
+const { ensureReleased } = require("./BillingApprovalService");
+const { getDueAmount, recalculateBilling } = require("./BillingLedgerService");
+const {
+  drawdown,
+  ensureBalance,
+  releaseDrawdowns,
+  withBalance,
+} = require("./ClientLedgerService");
+const { convertPayment, normalizeCurrency } = require("./ExchangeRateService");
+const { roundAmount } = require("../utils/utils");
+
+exports.PAYMENT_METHODS = [
+  "cash",
+  "bank_transfer",
+  "cheque",
+  "credit_card",
+  "retainer",
+  "client_credit",
+  "online",
+  "other",
+];
+
+// Payment methods recorded only from a payment gateway's webhook
+exports.GATEWAY_METHODS = ["online"];
+
+// Payment methods settled from a client ledger account, by account
+exports.LEDGER_ACCOUNTS = {
+  retainer: "retainer",
+  client_credit: "credit",
+};
+
+/**
+ * Keeps money a client paid in excess as credit on its ledger
+ *
+ * @async
+ * @function recordCredit
+ * @param {Object} credit
+ * @param {string} credit.client - Client owning the credit
+ * @param {number} credit.amount - Amount left over
+ * @param {string} credit.currency - Currency the money was received in
+ * @param {Date} credit.date - Date the money was received
+ * @param {Types.ObjectId} credit.createdBy - User who recorded the payment
+ * @param {Object} [credit.payment] - Payment the amount was left over from
+ * @param {string} [credit.remittance] - Remittance the amount was left over from
+ * @param {string} [credit.paymentMethod] - How the money was received
+ * @param {string} [credit.reference] - Bank or transaction reference
+ * @param {string} [credit.note] - Why the money is kept as credit
+ * @returns {Promise<Object|null>} The ledger entry, null when nothing is left over
+ */
+exports.recordCredit = async ({
+  client,
+  amount,
+  currency,
+  date,
+  createdBy,
+  payment = null,
+  remittance = null,
+  paymentMethod = null,
+  reference = null,
+  note = null,
+}) => {
+  amount = roundAmount(amount);
+  if (amount <= 0) {
+    return null;
+  }
+
+  return await ClientLedger.create({
+    client,
+    case: null,
+    account: "credit",
+    type: "deposit",
+    amount,
+    currency: normalizeCurrency(currency),
+    payment: payment?._id ?? null,
+    remittance,
+    date,
+    paymentMethod,
+    reference,
+    note:
+      note ??
+      (payment?.billing ? "Overpayment of a bill" : "Unallocated remittance"),
+    createdBy,
+  });
+};
+
+/**
+ * Calculates the creditable tax a client withholds on a bill (EWT)
+ *
+ * The tax is either given as an amount, or as a rate of the bill's amount net
+ * of VAT.
+ *
+ * @function calculateWithholdingTax
+ * @param {Object} billing - Billing the tax is withheld on
+ * @param {Object} [withholdingTax] - `{ rate, amount, atc }`
+ * @returns {Object|null} Rate, amount in the bill's currency and ATC, null when nothing is withheld
+ *
+ * @example
+ * calculateWithholdingTax({ subTotal: 10000, discount: 0 }, { rate: 10, atc: "WC010" });
+ * // { rate: 10, amount: 1000, atc: "WC010" }
+ */
+exports.calculateWithholdingTax = (billing, withholdingTax) => {
+  const rate = Number(withholdingTax?.rate ?? 0);
+  const hasAmount = ![undefined, null, ""].includes(withholdingTax?.amount);
+  if (!rate && !hasAmount) {
+    return null;
+  }
+
+  const amount = hasAmount
+    ? Number(withholdingTax.amount)
+    : ((billing.subTotal - billing.discount) * rate) / 100;
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  return {
+    rate,
+    amount: roundAmount(amount),
+    atc: withholdingTax.atc ?? null,
+  };
+};
+
+/**
+ * Checks a payment can be recorded against a billing and works out its amounts
+ *
+ * Nothing is saved, so every payment of a remittance can be checked before
+ * any of them is recorded.
+ *
+ * @async
+ * @function preparePayment
+ * @param {Object} billing - Billing document to settle
+ * @param {Object} payment - Same fields as applyPayment
+ * @returns {Promise<Object>} The payment amounts, the tax withheld, the ledger account and the excess
+ * @throws {AppError} If the bill is void, unapproved or settled, or a ledger account can't cover it
+ */
+exports.preparePayment = async (
+  billing,
+  { amount, currency, date, paymentMethod, withholdingTax = null }
+) => {
+  if (billing.status === "void") {
+    throw new AppError("A void billing cannot receive payments", 422);
+  }
+  ensureReleased(billing, "receive payments");
+
+  const dueAmount = await getDueAmount(billing);
+  if (dueAmount <= 0) {
+    throw new AppError(`Billing ${billing.billNumber} has no amount due`, 422);
+  }
+
+  // Ledger money is held in the bill's currency and is never converted
+  const account = this.LEDGER_ACCOUNTS[paymentMethod];
+  const tax = this.calculateWithholdingTax(billing, withholdingTax);
+  if (tax && account) {
+    throw new AppError(
+      "Tax can't be withheld on retainer or client credit payments",
+      422
+    );
+  }
+  if (tax?.amount > dueAmount) {
+    throw new AppError(
+      `Tax withheld exceeds the amount due of ${dueAmount} ${billing.currency}`,
+      422
+    );
+  }
+  const withheld = tax?.amount ?? 0;
+
+  const amounts = await convertPayment(
+    amount,
+    account ? null : currency,
+    billing,
+    new Date(date)
+  );
+
+  let excess = 0;
+  if (amounts.amount + withheld > dueAmount) {
+    if (account) {
+      throw new AppError(
+        `Amount exceeds the amount due of ${dueAmount} ${billing.currency}`,
+        422
+      );
+    }
+    amounts.amount = roundAmount(dueAmount - withheld);
+    amounts.receivedAmount = roundAmount(
+      amounts.amount / amounts.conversionRate
+    );
+    excess = roundAmount(Number(amount) - amounts.receivedAmount);
+  }
+  amounts.amount = roundAmount(amounts.amount + withheld);
+
+  if (account) {
+    await ensureBalance(
+      billing.client,
+      amounts.amount,
+      account,
+      amounts.currency
+    );
+  }
+
+  return { amounts, tax, account, excess };
+};
+
+/**
+ * Records a payment against a billing
+ *
+ * The amount is received in the payment's currency and settles at most the
+ * amount due on the bill. Tax withheld by the client settles the bill along
+ * with the money received. Money drawn from a ledger account is held in the
+ * bill's currency and can't exceed the amount due. Money collected gets an
+ * official receipt number. The bill status is updated.
+ *
+ * @async
+ * @function applyPayment
+ * @param {Object} billing - Billing document to settle
+ * @param {Object} payment
+ * @param {number} payment.amount - Amount received, in the payment's currency
+ * @param {string} [payment.currency] - Defaults to the bill's currency
+ * @param {Date} payment.date - Date the payment was received
+ * @param {string} payment.paymentMethod - One of PAYMENT_METHODS
+ * @param {Types.ObjectId} payment.receivedBy - User recording the payment
+ * @param {Object} [payment.withholdingTax] - `{ rate, amount, atc }` withheld by the client
+ * @returns {Promise<Object>} The payment and the excess, in the payment's currency
+ * @throws {AppError} If the bill is void, unapproved or settled, or a ledger account can't cover it
+ *
+ * @example
+ * const { payment, excess } = await applyPayment(billing, {
+ *   amount: 1200, date, paymentMethod: "bank_transfer", receivedBy: userId,
+ * });
+ */
+exports.applyPayment = async (
+  billing,
+  {
+    amount,
+    currency,
+    date,
+    paymentMethod,
+    receivedBy,
+    withholdingTax = null,
+    ...details
+  }
+) => {
+  const { amounts, tax, account, excess } = await this.preparePayment(billing, {
+    amount,
+    currency,
+    date,
+    paymentMethod,
+    withholdingTax,
+  });
+
+  const createPayment = async () =>
+    await Payment.create({
+      billing: billing._id,
+      ...amounts,
+      date,
+      paymentMethod,
+      receivedBy,
+      ...(tax && {
+        withholdingTax: tax,
+        form2307: { status: "pending" },
+      }),
+      ...details,
+    });
+
+  let payment;
+  if (account) {
+    payment = await withBalance(
+      billing.client,
+      amounts.amount,
+      account,
+      amounts.currency,
+      async () => {
+        const created = await createPayment();
+        await drawdown(billing, created, receivedBy, account);
+        return created;
+      }
+    );
+  } else {
+    payment = await createPayment();
+
+    // Numbered once stored, so a rejected payment never uses up a receipt.
+    // Retainer money was receipted when deposited, credit when first paid.
+    payment.officialReceiptNumber = await getNextOfficialReceiptNumber(
+      await getBillingWorkspace(billing)
+    );
+    await payment.save();
+  }
+
+  await recalculateBilling(billing);
+
+  return { payment, excess };
+};
+
+/**
+ * Takes a payment off its bill, keeping the record and its official receipt
+ *
+ * Money drawn from a ledger account goes back to it. Money collected is kept
+ * as client credit, unless the payment is cancelled because it was never
+ * received.
+ *
+ * @async
+ * @function reversePayment
+ * @param {Object} billing - Bill the payment was applied to
+ * @param {Object} payment - Payment document
+ * @param {Object} options
+ * @param {string} options.reason - Why the payment was taken off the bill
+ * @param {Types.ObjectId} options.userId - User reversing the payment
+ * @param {boolean} [options.cancel=false] - Cancel the payment instead of keeping its money as credit
+ * @returns {Promise<Object>} The payment and the credit recorded, if any
+ */
+exports.reversePayment = async (
+  billing,
+  payment,
+  { reason, userId, cancel = false }
+) => {
+  let credit = null;
+  if (this.LEDGER_ACCOUNTS[payment.paymentMethod]) {
+    await releaseDrawdowns({ payment: payment._id });
+  } else if (!cancel) {
+    credit = await this.recordCredit({
+      client: billing.client,
+      amount: payment.receivedAmount ?? payment.amount,
+      currency: payment.currency ?? billing.currency,
+      date: new Date(),
+      createdBy: userId,
+      payment,
+      paymentMethod: payment.paymentMethod,
+      note: `Payment of ${billing.billNumber}, taken off the bill: ${reason}`,
+    });
+  }
+
+  payment.billing = null;
+  if (cancel) {
+    payment.status = "cancelled";
+  }
+  payment.reversal = {
+    billing: billing._id,
+    reason,
+    reversedAt: new Date(),
+    reversedBy: userId,
+  };
+  await payment.save();
+
+  return { payment, credit };
+};
+
+/**
+ * Plans how a remittance is split across the bills of a client
+ *
+ * Without allocations, the open bills are settled oldest due first.
+ *
+ * @async
+ * @function planAllocations
+ * @param {Object} client - Client paying the bills
+ * @param {Object} remittance
+ * @param {number} remittance.amount - Amount received, in the remittance's currency
+ * @param {string} remittance.currency - Currency of the remittance
+ * @param {Date} remittance.date - Date the remittance was received
+ * @param {Array<Object>} [remittance.allocations] - `{ billingId, amount, withholdingTax }`, amounts in the remittance's currency
+ * @returns {Promise<Array<Object>>} `{ billing, amount }` per bill to pay
+ * @throws {AppError} If a bill is not the client's or not approved, has nothing due, or an allocation exceeds it or the remittance
+ */
+exports.planAllocations = async (
+  client,
+  { amount, currency, date, allocations }
+) => {
+  const plan = [];
+
+  if (allocations?.length) {
+    for (const allocation of allocations) {
+      const billing = await BillingHistory.findOne({
+        _id: allocation.billingId,
+        client: client._id,
+      });
+      if (!billing) {
+        throw new AppError(
+          `Billing ${allocation.billingId} not found for this client`,
+          404
+        );
+      }
+      if (plan.some((item) => `${item.billing._id}` === `${billing._id}`)) {
+        throw new AppError(
+          `Billing ${billing.billNumber} is allocated more than once`,
+          422
+        );
+      }
+      ensureReleased(billing, "receive payments");
+      const dueAmount =
+        billing.status === "void" ? 0 : await getDueAmount(billing);
+      if (dueAmount <= 0) {
+        throw new AppError(
+          `Billing ${billing.billNumber} has no amount due`,
+          422
+        );
+      }
+      // An explicit allocation must fit the amount due, tax withheld included
+      const tax = this.calculateWithholdingTax(
+        billing,
+        allocation.withholdingTax
+      );
+      const { amount: converted } = await convertPayment(
+        allocation.amount,
+        currency,
+        billing,
+        new Date(date)
+      );
+      if (roundAmount(converted + (tax?.amount ?? 0)) > dueAmount) {
+        throw new AppError(
+          `Allocation to billing ${billing.billNumber} exceeds its amount due of ${dueAmount} ${billing.currency}`,
+          422
+        );
+      }
+      plan.push({
+        billing,
+        amount: Number(allocation.amount),
+        withholdingTax: allocation.withholdingTax ?? null,
+      });
+    }
+
+    const allocated = plan.reduce((sum, item) => sum + item.amount, 0);
+    if (roundAmount(allocated) > Number(amount)) {
+      throw new AppError(
+        "Allocations exceed the amount of the remittance",
+        422
+      );
+    }
+    return plan;
+  }
+
+  const openBills = await BillingHistory.find({
+    client: client._id,
+    status: { $nin: ["void", "paid", "overPaid"] },
+    approvalStatus: { $nin: ["draft", "forReview"] },
+  }).sort({ dueDate: 1, createdAt: 1 });
+
+  let remaining = Number(amount);
+  for (const billing of openBills) {
+    if (remaining <= 0) {
+      break;
+    }
+    const dueAmount = await getDueAmount(billing);
+    if (dueAmount <= 0) {
+      continue;
+    }
+    // Amount of the remittance needed to settle the bill in its currency
+    const { conversionRate } = await convertPayment(
+      1,
+      currency,
+      billing,
+      new Date(date)
+    );
+    const needed = roundAmount(dueAmount / conversionRate);
+    const allocated = Math.min(remaining, needed);
+    plan.push({ billing, amount: allocated });
+    remaining = roundAmount(remaining - allocated);
+  }
+
+  return plan;
+};
+
+/**
+ * Splits a single remittance across several bills of a client
+ *
+ * Each bill gets its own payment, all sharing a remittance id. Whatever is not
+ * allocated is kept as client credit.
+ *
+ * @async
+ * @function allocateRemittance
+ * @param {Object} client - Client paying the bills
+ * @param {Object} remittance - Same fields as a payment, plus optional allocations
+ * @returns {Promise<Object>} The remittance id, its payments and the credit left over
+ */
+exports.allocateRemittance = async (
+  client,
+  { amount, currency, date, paymentMethod, receivedBy, allocations, ...details }
+) => {
+  const plan = await this.planAllocations(client, {
+    amount,
+    currency,
+    date,
+    allocations,
+  });
+
+  // Every payment is checked first so a failing bill leaves none recorded
+  for (const item of plan) {
+    await this.preparePayment(item.billing, {
+      amount: item.amount,
+      withholdingTax: item.withholdingTax,
+      currency,
+      date,
+      paymentMethod,
+    });
+  }
+
+  const remittance = uuidv4();
+  const payments = [];
+  let unallocated = Number(amount);
+  for (const item of plan) {
+    const { payment, excess } = await this.applyPayment(item.billing, {
+      amount: item.amount,
+      withholdingTax: item.withholdingTax,
+      currency,
+      date,
+      paymentMethod,
+      receivedBy,
+      remittance,
+      ...details,
+    });
+    payments.push(payment);
+    unallocated -= item.amount - excess;
+  }
+
+  const credit = await this.recordCredit({
+    client: client._id,
+    amount: unallocated,
+    currency,
+    date,
+    createdBy: receivedBy,
+    remittance,
+    paymentMethod,
+    reference: details.transactionId ?? null,
+  });
+
+  return { remittance, payments, credit };
+};
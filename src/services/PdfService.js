@@ -0,0 +1,54 @@
+/**
+ * @fileoverview PDF Service
+ *
+ * Renders the pug templates in src/view/pdf to PDF documents with a headless
+ * Chromium instance, so printable documents are produced entirely on the server.
+ *
+ * @module PdfService
+ * @requires pug
+ * @requires puppeteer
+ */
+
+const fs = require("fs");
+const path = require("path");
+const pug = require("pug");
+const puppeteer = require("puppeteer");
+const AppError = require("../exception/AppError");
+
+/**
+ * Renders a pdf view to a PDF buffer
+ *
+ * @async
+ * @function renderPdf
+ * @param {string} view - Template name inside src/view/pdf, without extension
+ * @param {Object} [data={}] - Data passed to the template
+ * @returns {Promise<Buffer>} The rendered A4 PDF
+ * @throws {AppError} If the template does not exist
+ *
+ * @example
+ * const pdf = await renderPdf("billing-statement", statement);
+ */
+exports.renderPdf = async (view, data = {}) => {
+  const templatePath = path.join(__dirname, "../view/pdf", `${view}.pug`);
+  if (!fs.existsSync(templatePath)) {
+    throw new AppError("Invalid pdf template provided", 500);
+  }
+  const html = pug.renderFile(templatePath, data);
+
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    const pdf = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "15mm", bottom: "15mm", left: "12mm", right: "12mm" },
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await browser.close();
+  }
+};
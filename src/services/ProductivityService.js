@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Productivity Service
+ *
+ * Measures the time recorded in the DSR against each user's billable-hour
+ * target, ranking users individually or by team, designation or month.
+ *
+ * - Billable hours are recorded at a rate and not written off as no charge.
+ * - Utilization is the share of the target met by billable hours. The target
+ *   of a range is prorated by the days of each month it covers.
+ * - Realization is the share of the recorded value of billed entries that
+ *   was actually billed, after write-downs, write-ups and no-charge entries.
+ *
+ * A user's designation is the one they hold on the cases they recorded most
+ * of their hours on in the range.
+ *
+ * @module ProductivityService
+ * @requires ../model/BillableHourTarget
+ * @requires ../model/Case
+ * @requires ../model/DSRTimeTracking
+ * @requires ../model/Team
+ * @requires ./BillingService
+ */
+
+const moment = require("moment");
+const BillableHourTarget = require("../model/BillableHourTarget");
+const Case = require("../model/Case");
+const CaseTeamDesignation = require("../model/CaseTeamDesignation");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const Team = require("../model/Team");
+const User = require("../model/User");
+const { calculateRealization } = require("./BillingService");
+const { roundAmount } = require("../utils/utils");
+
+exports.PRODUCTIVITY_GROUPS = ["user", "team", "designation", "period"];
+
+const percentage = (part, whole) =>
+  whole ? roundAmount((part / whole) * 100) : null;
+
+const isBillable = (entry) =>
+  entry.hourlyRate > 0 && entry.billingAdjustment?.type !== "noCharge";
+
+/**
+ * Lists every month a range touches, with the share of its days in the range
+ *
+ * @function getMonthShares
+ * @param {Object} period
+ * @param {Date} period.fromDate - First day of the range
+ * @param {Date} period.toDate - Last day of the range
+ * @returns {Array<Object>} yearMonth, year, month (1 to 12) and share of each month
+ */
+exports.getMonthShares = ({ fromDate, toDate }) => {
+  const months = [];
+  const month = moment(fromDate).startOf("month");
+  while (month.isSameOrBefore(toDate)) {
+    const start = moment.max(month.clone(), moment(fromDate).startOf("day"));
+    const end = moment.min(month.clone().endOf("month"), moment(toDate));
+    months.push({
+      yearMonth: month.format("YYYY-MM"),
+      year: month.year(),
+      month: month.month() + 1,
+      share: (end.diff(start, "days") + 1) / month.daysInMonth(),
+    });
+    month.add(1, "month");
+  }
+  return months;
+};
+
+/**
+ * Resolves the date range of a productivity report, the year to date by default
+ *
+ * @function getProductivityPeriod
+ * @param {Object} filters
+ * @param {string} [filters.fromDate] - First day of the range
+ * @param {string} [filters.toDate] - Last day of the range
+ * @returns {Object} fromDate and toDate, as dates
+ */
+exports.getProductivityPeriod = ({ fromDate, toDate } = {}) => {
+  return {
+    fromDate: fromDate
+      ? moment(fromDate).startOf("day").toDate()
+      : moment().startOf("year").toDate(),
+    toDate: toDate
+      ? moment(toDate).endOf("day").toDate()
+      : moment().endOf("day").toDate(),
+  };
+};
+
+/**
+ * Returns the target of each month of a year
+ *
+ * @function getMonthlyTargets
+ * @param {Object} [target] - BillableHourTarget document
+ * @returns {Array<number>} Hours for January to December, zeros without a target
+ */
+exports.getMonthlyTargets = (target) => {
+  if (target?.monthlyHours?.length === 12) {
+    return target.monthlyHours.map((hours) => hours ?? 0);
+  }
+  return Array(12).fill((target?.annualHours ?? 0) / 12);
+};
+
+/**
+ * Prorates the targets of a user over the months a range covers
+ *
+ * @function getTargetHours
+ * @param {Array} targets - BillableHourTarget documents of the user
+ * @param {Array} months - Months of the range, from getMonthShares
+ * @returns {number} Target hours of the range
+ */
+exports.getTargetHours = (targets, months) => {
+  return months.reduce((sum, { year, month, share }) => {
+    const target = targets.find((item) => item.year === year);
+    return sum + this.getMonthlyTargets(target)[month - 1] * share;
+  }, 0);
+};
+
+// Totals a set of entries against a target
+const summarize = (entries, targetHours) => {
+  const billableHours = entries
+    .filter(isBillable)
+    .reduce((sum, entry) => sum + entry.hourCount, 0);
+  const realization = calculateRealization(
+    entries.filter((entry) => entry.billing)
+  );
+
+  return {
+    recordedHours: roundAmount(
+      entries.reduce((sum, entry) => sum + entry.hourCount, 0)
+    ),
+    billableHours: roundAmount(billableHours),
+    targetHours: roundAmount(targetHours),
+    utilization: percentage(billableHours, targetHours),
+    billedHours: realization.billedHours,
+    recordedValue: realization.recordedValue,
+    billedValue: realization.billedValue,
+    realization: realization.rate,
+  };
+};
+
+// Ranks rows by utilization, then billable hours, rows without a target last
+const rank = (rows) =>
+  rows
+    .sort(
+      (a, b) =>
+        (b.utilization ?? -1) - (a.utilization ?? -1) ||
+        b.billableHours - a.billableHours
+    )
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+/**
+ * Builds the utilization and realization report
+ *
+ * @async
+ * @function getProductivityReport
+ * @param {Object} [filters={}]
+ * @param {string} [filters.groupBy="user"] - user, team, designation or period
+ * @param {string} [filters.fromDate] - First day of the range
+ * @param {string} [filters.toDate] - Last day of the range
+ * @param {string} [filters.team] - Only the users of a team
+ * @param {string} [filters.designation] - Only entries recorded under a designation
+ * @param {string} [filters.user] - Only a user
+ * @returns {Promise<Object>} Ranked rows, or a row per month for period, with the totals
+ */
+exports.getProductivityReport = async (filters = {}) => {
+  const { groupBy = "user", team, designation, user } = filters;
+  const period = this.getProductivityPeriod(filters);
+  const months = this.getMonthShares(period);
+
+  const teamUsers = team
+    ? (await Team.findOne({ _id: team, status: "active" }))?.users ?? []
+    : null;
+  const users = await User.find({
+    status: "activated",
+    ...(teamUsers && { _id: { $in: teamUsers } }),
+    // With a team too, the user only counts when they are in it
+    ...(user && { $and: [{ _id: user }] }),
+  })
+    .select("firstName lastName email")
+    .lean();
+  const userIds = users.map((item) => item._id);
+
+  const targets = await BillableHourTarget.find({
+    user: { $in: userIds },
+    year: { $in: [...new Set(months.map((month) => month.year))] },
+  }).lean();
+  const targetsOf = (userId) =>
+    targets.filter((target) => `${target.user}` === `${userId}`);
+
+  let entries = await DSRTimeTracking.find({
+    status: "active",
+    user: { $in: userIds },
+    date: { $gte: period.fromDate, $lte: period.toDate },
+  })
+    .select("user case date hourCount hourlyRate billing billingAdjustment")
+    .lean();
+
+  // The designation of each entry's user on its case
+  const cases = await Case.find({
+    _id: { $in: [...new Set(entries.map((entry) => `${entry.case}`))] },
+  })
+    .select("members")
+    .lean();
+  const membersOf = new Map(
+    cases.map((item) => [`${item._id}`, item.members ?? []])
+  );
+  entries = entries.map((entry) => {
+    const member = membersOf
+      .get(`${entry.case}`)
+      ?.find((item) => `${item.user}` === `${entry.user}`);
+    return { ...entry, designation: member?.designation ?? null };
+  });
+  if (designation) {
+    entries = entries.filter(
+      (entry) => `${entry.designation}` === `${designation}`
+    );
+  }
+  const entriesByUser = new Map();
+  for (const entry of entries) {
+    const key = `${entry.user}`;
+    if (!entriesByUser.has(key)) {
+      entriesByUser.set(key, []);
+    }
+    entriesByUser.get(key).push(entry);
+  }
+  const entriesOf = (userId) => entriesByUser.get(`${userId}`) ?? [];
+
+  const designations = await CaseTeamDesignation.find({
+    _id: { $in: entries.map((entry) => entry.designation).filter(Boolean) },
+  })
+    .select("name")
+    .lean();
+  const designationName = (id) =>
+    designations.find((item) => `${item._id}` === `${id}`)?.name ?? null;
+
+  const userRows = users
+    .map((item) => {
+      const userEntries = entriesOf(item._id);
+      const hoursByDesignation = userEntries.reduce((acc, entry) => {
+        const key = `${entry.designation}`;
+        acc[key] = (acc[key] ?? 0) + entry.hourCount;
+        return acc;
+      }, {});
+      const [mainDesignation] = Object.entries(hoursByDesignation).sort(
+        (a, b) => b[1] - a[1]
+      )[0] ?? ["null"];
+
+      return {
+        user: item,
+        designation:
+          mainDesignation === "null"
+            ? null
+            : {
+                _id: mainDesignation,
+                name: designationName(mainDesignation),
+              },
+        entries: userEntries,
+        targetHours: this.getTargetHours(targetsOf(item._id), months),
+      };
+    })
+    // With a designation filter only the users who recorded under it count
+    .filter((row) => !designation || row.entries.length);
+
+  const combine = (rows) => ({
+    users: rows.length,
+    ...summarize(
+      rows.flatMap((row) => row.entries),
+      rows.reduce((sum, row) => sum + row.targetHours, 0)
+    ),
+  });
+
+  let rows;
+  if (groupBy === "team") {
+    const teams = await Team.find({
+      status: "active",
+      ...(team && { _id: team }),
+    })
+      .select("title users")
+      .lean();
+    rows = rank(
+      teams.map((item) => ({
+        team: { _id: item._id, title: item.title },
+        ...combine(
+          userRows.filter((row) =>
+            item.users.some((id) => `${id}` === `${row.user._id}`)
+          )
+        ),
+      }))
+    );
+  } else if (groupBy === "designation") {
+    const groups = [
+      ...new Set(userRows.map((row) => `${row.designation?._id ?? null}`)),
+    ];
+    rows = rank(
+      groups.map((key) => {
+        const members = userRows.filter(
+          (row) => `${row.designation?._id ?? null}` === key
+        );
+        return {
+          designation: members[0].designation ?? {
+            _id: null,
+            name: "No designation",
+          },
+          ...combine(members),
+        };
+      })
+    );
+  } else if (groupBy === "period") {
+    rows = months.map((month) => ({
+      yearMonth: month.yearMonth,
+      year: month.year,
+      month: month.month,
+      users: userRows.length,
+      ...summarize(
+        entries.filter(
+          (entry) => moment(entry.date).format("YYYY-MM") === month.yearMonth
+        ),
+        userRows.reduce(
+          (sum, row) =>
+            sum + this.getTargetHours(targetsOf(row.user._id), [month]),
+          0
+        )
+      ),
+    }));
+  } else {
+    rows = rank(
+      userRows.map((row) => ({
+        user: row.user,
+        designation: row.designation,
+        ...summarize(row.entries, row.targetHours),
+      }))
+    );
+  }
+
+  return {
+    groupBy,
+    ...period,
+    rows,
+    totals: combine(userRows),
+  };
+};
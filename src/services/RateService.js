@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Rate Service
+ *
+ * Resolves the hourly rate a DSR entry is recorded at. The first rate set
+ * along this precedence applies:
+ *
+ * 1. the rate of the user as a member of the case
+ * 2. the default rate of the user's designation on the case
+ * 3. the rate card of the client, the most specific card first
+ * 4. the user's own hourly rate
+ *
+ * Rates are effective dated, so an entry recorded for a past day gets the
+ * rate of that day. Member, designation and user rates keep a rateHistory of
+ * { rate, effectiveFrom }, a null effectiveFrom meaning since always.
+ *
+ * @module RateService
+ * @requires ../model/CaseTeamDesignation
+ * @requires ../model/RateCard
+ * @requires ../model/User
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const CaseTeamDesignation = require("../model/CaseTeamDesignation");
+const RateCard = require("../model/RateCard");
+const User = require("../model/User");
+
+const toPlain = (entry) => entry?.toObject?.() ?? entry;
+
+const sortHistory = (history) =>
+  [...history].sort(
+    (a, b) =>
+      (a.effectiveFrom ? moment(a.effectiveFrom).valueOf() : -Infinity) -
+      (b.effectiveFrom ? moment(b.effectiveFrom).valueOf() : -Infinity)
+  );
+
+/**
+ * Returns the rate effective on a day
+ *
+ * @function getRateOn
+ * @param {Array} history - rateHistory of the member, designation or user
+ * @param {number} currentRate - Rate stored before there was a history
+ * @param {Date} [date=new Date()] - Day the rate applies to
+ * @returns {number} The rate, 0 when none was effective yet
+ */
+exports.getRateOn = (history, currentRate, date = new Date()) => {
+  if (!history?.length) {
+    return currentRate ?? 0;
+  }
+  const effective = sortHistory(history.map(toPlain)).filter(
+    (entry) =>
+      !entry.effectiveFrom ||
+      moment(entry.effectiveFrom).isSameOrBefore(moment(date).endOf("day"))
+  );
+  return effective.length ? effective[effective.length - 1].rate ?? 0 : 0;
+};
+
+/**
+ * Changes a rate from a day on, keeping the rate it had before
+ *
+ * The rate stored before the first change is kept as effective since always.
+ * A change on a day that already has one replaces it.
+ *
+ * @function applyRateChange
+ * @param {Object} target - Member, designation or user, saved by the caller
+ * @param {string} field - Field holding the current rate, e.g. "hourlyRate"
+ * @param {number} rate - New rate
+ * @param {Date|string} [effectiveFrom] - First day of the new rate, today by default
+ *
+ * @example
+ * applyRateChange(user, "hourlyRate", 4500, "2026-01-01");
+ * await user.save();
+ */
+exports.applyRateChange = (target, field, rate, effectiveFrom = null) => {
+  const previousRate = Number(target[field] ?? 0);
+  rate = Number(rate);
+  if (rate === previousRate && !effectiveFrom) {
+    return;
+  }
+
+  const from = moment(effectiveFrom ?? new Date())
+    .startOf("day")
+    .toDate();
+  let history = (target.rateHistory ?? []).map(toPlain);
+  if (!history.length && previousRate) {
+    history.push({ rate: previousRate, effectiveFrom: null });
+  }
+  history = sortHistory([
+    ...history.filter(
+      (entry) =>
+        !entry.effectiveFrom || !moment(entry.effectiveFrom).isSame(from, "day")
+    ),
+    { rate, effectiveFrom: from },
+  ]);
+
+  target.rateHistory = history;
+  target[field] = this.getRateOn(history, rate);
+};
+
+/**
+ * Finds the rate card of a client that applies to a user on a day
+ *
+ * A card for the user and designation beats one for the user, which beats one
+ * for the designation, which beats a card for everyone. The latest effective
+ * card wins among equally specific ones.
+ *
+ * @async
+ * @function getClientRate
+ * @param {string} clientId - Client of the case
+ * @param {string} userId - User recording the time
+ * @param {string} [designationId] - Designation of the user on the case
+ * @param {Date} [date=new Date()] - Day the rate applies to
+ * @returns {Promise<Object|null>} The rate card, null when none applies
+ */
+exports.getClientRate = async (
+  clientId,
+  userId,
+  designationId = null,
+  date = new Date()
+) => {
+  if (!clientId) {
+    return null;
+  }
+  const day = moment(date).endOf("day").toDate();
+
+  const cards = await RateCard.find({
+    client: clientId,
+    status: "active",
+    user: { $in: [null, new Types.ObjectId(userId)] },
+    designation: {
+      $in: [
+        null,
+        ...(designationId ? [new Types.ObjectId(designationId)] : []),
+      ],
+    },
+    $and: [
+      { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: day } }] },
+      {
+        $or: [
+          { effectiveTo: null },
+          { effectiveTo: { $gte: moment(date).startOf("day").toDate() } },
+        ],
+      },
+    ],
+  }).lean();
+
+  const specificity = (card) =>
+    (card.user ? 2 : 0) + (card.designation ? 1 : 0);
+  return (
+    cards.sort(
+      (a, b) =>
+        specificity(b) - specificity(a) ||
+        moment(b.effectiveFrom ?? 0).valueOf() -
+          moment(a.effectiveFrom ?? 0).valueOf()
+    )[0] ?? null
+  );
+};
+
+/**
+ * Resolves the hourly rate of a user on a case for a day
+ *
+ * @async
+ * @function resolveHourlyRate
+ * @param {Object} caseInfo - Case document
+ * @param {Object|string} user - User recording the time, or their id
+ * @param {Date} [date=new Date()] - Day of the entry
+ * @returns {Promise<Object>} The rate and where it came from: caseMember, designation, rateCard, user or none
+ */
+exports.resolveHourlyRate = async (caseInfo, user, date = new Date()) => {
+  if (user?.hourlyRate === undefined) {
+    user = await User.findById(user?._id ?? user).select(
+      "hourlyRate rateHistory"
+    );
+  }
+  const member = (caseInfo?.members ?? []).find(
+    (item) => `${item.user?._id ?? item.user}` === `${user?._id}`
+  );
+
+  const memberRate = member
+    ? this.getRateOn(member.rateHistory, member.rate, date)
+    : 0;
+  if (memberRate) {
+    return { rate: memberRate, source: "caseMember" };
+  }
+
+  const designationId = member?.designation?._id ?? member?.designation;
+  if (designationId) {
+    const designation = await CaseTeamDesignation.findById(designationId)
+      .select("rate rateHistory")
+      .lean();
+    const designationRate = designation
+      ? this.getRateOn(designation.rateHistory, designation.rate, date)
+      : 0;
+    if (designationRate) {
+      return { rate: designationRate, source: "designation" };
+    }
+  }
+
+  const card = await this.getClientRate(
+    caseInfo?.client?._id ?? caseInfo?.client,
+    user?._id,
+    designationId,
+    date
+  );
+  if (card?.rate) {
+    return { rate: card.rate, source: "rateCard", rateCard: card._id };
+  }
+
+  const userRate = this.getRateOn(user?.rateHistory, user?.hourlyRate, date);
+  return { rate: userRate, source: userRate ? "user" : "none" };
+};
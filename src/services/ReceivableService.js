@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Receivable Service
+ *
+ * Reports on money owed by clients: the outstanding balance of every open bill
+ * and the accounts-receivable aging built from it.
+ *
+ * @module ReceivableService
+ * @requires ../model/BillingHistory
+ * @requires ./ExchangeRateService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const BillingHistory = require("../model/BillingHistory");
+const { BASE_CURRENCY, normalizeCurrency } = require("./ExchangeRateService");
+const dateQueryGenerator = require("../utils/dateQueryGenerator");
+const { roundAmount } = require("../utils/utils");
+
+exports.AGING_BUCKETS = [
+  { key: "current", label: "Current", from: null, to: 0 },
+  { key: "days1To30", label: "1-30 days", from: 1, to: 30 },
+  { key: "days31To60", label: "31-60 days", from: 31, to: 60 },
+  { key: "days61To90", label: "61-90 days", from: 61, to: 90 },
+  { key: "days90Plus", label: "90+ days", from: 91, to: null },
+];
+
+exports.AGING_GROUPS = ["client", "companyGroup", "case", "supervisingPartner"];
+
+/**
+ * Fetches every bill with an outstanding balance
+ *
+ * Void bills and bills not yet approved are left out. The balance is the grand total less
+ * payments and issued credit notes, in the bill's currency and in PHP at the
+ * rate snapshotted on the bill.
+ *
+ * As of a past date, the balance is that of the day: only the bills issued by
+ * then count, along with the payments received and credit notes issued by
+ * then. Bills voided, payments taken off and credit notes voided later still
+ * count.
+ *
+ * @async
+ * @function getOutstandingBills
+ * @param {Object} [filters={}]
+ * @param {string} [filters.client] - Only bills of this client
+ * @param {string} [filters.companyGroup] - Only bills of clients in this group
+ * @param {string} [filters.supervisingPartner] - Only bills of clients of this partner
+ * @param {string} [filters.workspace] - Only bills of cases in this workspace
+ * @param {string} [filters.fromDate] - Only bills issued on or after this date
+ * @param {string} [filters.toDate] - Only bills issued on or before this date
+ * @param {Date} [filters.asOf] - Date the balance is taken at, now by default
+ * @returns {Promise<Array>} Open bills with their client, case, group and partner
+ */
+exports.getOutstandingBills = async ({
+  client,
+  companyGroup,
+  supervisingPartner,
+  workspace,
+  fromDate,
+  toDate,
+  asOf = null,
+} = {}) => {
+  const bills = await BillingHistory.aggregate([
+    {
+      $match: {
+        approvalStatus: { $nin: ["draft", "forReview"] },
+        ...(client && { client: new Types.ObjectId(client) }),
+        ...dateQueryGenerator(fromDate, toDate),
+        // Settled bills may still have been open on a past date
+        ...(asOf
+          ? {
+              createdAt: { $lte: asOf },
+              $or: [{ status: { $ne: "void" } }, { voidedAt: { $gt: asOf } }],
+            }
+          : { status: { $nin: ["void", "paid", "overPaid"] } }),
+      },
+    },
+    {
+      $lookup: {
+        from: "payments",
+        let: { billing: "$_id" },
+        pipeline: [
+          {
+            $match: asOf
+              ? {
+                  $or: [
+                    { date: { $lte: asOf } },
+                    { date: null, createdAt: { $lte: asOf } },
+                  ],
+                  $expr: {
+                    $or: [
+                      { $eq: ["$billing", "$$billing"] },
+                      {
+                        $and: [
+                          { $eq: ["$reversal.billing", "$$billing"] },
+                          { $gt: ["$reversal.reversedAt", asOf] },
+                        ],
+                      },
+                    ],
+                  },
+                }
+              : { $expr: { $eq: ["$billing", "$$billing"] } },
+          },
+        ],
+        as: "payments",
+      },
+    },
+    {
+      $lookup: {
+        from: "creditnotes",
+        localField: "_id",
+        foreignField: "billing",
+        pipeline: [
+          {
+            $match: asOf
+              ? {
+                  date: { $lte: asOf },
+                  $or: [{ status: "issued" }, { voidedAt: { $gt: asOf } }],
+                }
+              : { status: "issued" },
+          },
+        ],
+        as: "creditNotes",
+      },
+    },
+    {
+      $addFields: {
+        dueAmount: {
+          $subtract: [
+            "$grandTotal",
+            {
+              $add: [
+                { $sum: "$payments.amount" },
+                { $sum: "$creditNotes.amount" },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    // Ignore rounding leftovers of settled bills
+    { $match: { dueAmount: { $gt: 0.005 } } },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "clientData",
+      },
+    },
+    { $unwind: "$clientData" },
+    {
+      $match: {
+        ...(companyGroup && {
+          "clientData.companyGroup": new Types.ObjectId(companyGroup),
+        }),
+        ...(supervisingPartner && {
+          "clientData.supervisingPartner": new Types.ObjectId(
+            supervisingPartner
+          ),
+        }),
+      },
+    },
+    {
+      $lookup: {
+        from: "cases",
+        localField: "case",
+        foreignField: "_id",
+        as: "caseData",
+      },
+    },
+    { $unwind: { path: "$caseData", preserveNullAndEmptyArrays: true } },
+    {
+      $match: {
+        ...(workspace && {
+          "caseData.workspace": new Types.ObjectId(workspace),
+        }),
+      },
+    },
+    {
+      $lookup: {
+        from: "companygroups",
+        localField: "clientData.companyGroup",
+        foreignField: "_id",
+        as: "companyGroupData",
+      },
+    },
+    {
+      $unwind: { path: "$companyGroupData", preserveNullAndEmptyArrays: true },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "clientData.supervisingPartner",
+        foreignField: "_id",
+        as: "partnerData",
+      },
+    },
+    { $unwind: { path: "$partnerData", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        billNumber: 1,
+        dueDate: 1,
+        currency: 1,
+        exchangeRate: 1,
+        grandTotal: 1,
+        dueAmount: 1,
+        status: 1,
+        "clientData._id": 1,
+        "clientData.companyName": 1,
+        "clientData.clientNumber": 1,
+        "caseData._id": 1,
+        "caseData.caseNumber": 1,
+        "caseData.title": 1,
+        "companyGroupData._id": 1,
+        "companyGroupData.name": 1,
+        "partnerData._id": 1,
+        "partnerData.firstName": 1,
+        "partnerData.lastName": 1,
+      },
+    },
+    { $sort: { dueDate: 1 } },
+  ]);
+
+  return bills.map((bill) => ({
+    ...bill,
+    currency: normalizeCurrency(bill.currency),
+    dueAmount: roundAmount(bill.dueAmount),
+    dueAmountInBaseCurrency: roundAmount(
+      bill.dueAmount * (bill.exchangeRate ?? 1)
+    ),
+  }));
+};
+
+/**
+ * Finds the aging bucket of a bill
+ *
+ * Bills without a due date, or not yet due, are current.
+ *
+ * @function getAgingBucket
+ * @param {Date} dueDate - Due date of the bill
+ * @param {Date} asOf - Date the aging is measured at
+ * @returns {Object} The bucket and the days past due
+ */
+exports.getAgingBucket = (dueDate, asOf) => {
+  const daysPastDue = dueDate
+    ? Math.max(
+        moment(asOf)
+          .startOf("day")
+          .diff(moment(dueDate).startOf("day"), "days"),
+        0
+      )
+    : 0;
+
+  const bucket = this.AGING_BUCKETS.find(
+    (item) => item.to === null || daysPastDue <= item.to
+  );
+
+  return { bucket, daysPastDue };
+};
+
+const getGroup = (bill, groupBy) => {
+  switch (groupBy) {
+    case "companyGroup":
+      return {
+        id: bill.companyGroupData?._id ?? null,
+        name: bill.companyGroupData?.name ?? "No company group",
+      };
+    case "case":
+      return {
+        id: bill.caseData?._id ?? null,
+        name: bill.caseData
+          ? `${bill.caseData.caseNumber} ${bill.caseData.title ?? ""}`.trim()
+          : "No case",
+      };
+    case "supervisingPartner":
+      return {
+        id: bill.partnerData?._id ?? null,
+        name: bill.partnerData
+          ? `${bill.partnerData.firstName} ${bill.partnerData.lastName}`
+          : "No supervising partner",
+      };
+    default:
+      return {
+        id: bill.clientData._id,
+        name: bill.clientData.companyName,
+      };
+  }
+};
+
+const emptyBuckets = () =>
+  this.AGING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.key]: 0 }), {
+    total: 0,
+  });
+
+/**
+ * Builds the accounts-receivable aging report
+ *
+ * Outstanding balances are bucketed by days past the due date and summed per
+ * group. Groups are reported in PHP, the bills keep their own currency too.
+ *
+ * @async
+ * @function getAgingReport
+ * @param {Object} [options={}]
+ * @param {string} [options.groupBy="client"] - client, companyGroup, case or supervisingPartner
+ * @param {Date} [options.asOf=new Date()] - Date the aging and the balances are taken at
+ * @param {Object} [options.filters] - Filters passed to getOutstandingBills
+ * @returns {Promise<Object>} Buckets, groups with their bills and the totals
+ *
+ * @example
+ * const report = await getAgingReport({ groupBy: "supervisingPartner" });
+ * // report.rows[0] => { id, name, current, days1To30, ..., total, bills }
+ */
+exports.getAgingReport = async ({
+  groupBy = "client",
+  asOf = new Date(),
+  ...filters
+} = {}) => {
+  const bills = await this.getOutstandingBills({ ...filters, asOf });
+
+  const groups = new Map();
+  const totals = emptyBuckets();
+
+  for (const bill of bills) {
+    const { bucket, daysPastDue } = this.getAgingBucket(bill.dueDate, asOf);
+    const group = getGroup(bill, groupBy);
+    const groupKey = `${group.id}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { ...group, ...emptyBuckets(), bills: [] });
+    }
+    const row = groups.get(groupKey);
+
+    row[bucket.key] = roundAmount(
+      row[bucket.key] + bill.dueAmountInBaseCurrency
+    );
+    row.total = roundAmount(row.total + bill.dueAmountInBaseCurrency);
+    row.bills.push({
+      _id: bill._id,
+      billNumber: bill.billNumber,
+      client: bill.clientData.companyName,
+      case: bill.caseData?.caseNumber ?? null,
+      dueDate: bill.dueDate,
+      daysPastDue,
+      bucket: bucket.key,
+      currency: bill.currency,
+      grandTotal: bill.grandTotal,
+      dueAmount: bill.dueAmount,
+      dueAmountInBaseCurrency: bill.dueAmountInBaseCurrency,
+    });
+
+    totals[bucket.key] = roundAmount(
+      totals[bucket.key] + bill.dueAmountInBaseCurrency
+    );
+    totals.total = roundAmount(totals.total + bill.dueAmountInBaseCurrency);
+  }
+
+  return {
+    asOf,
+    groupBy,
+    baseCurrency: BASE_CURRENCY,
+    buckets: this.AGING_BUCKETS,
+    rows: [...groups.values()].sort((a, b) => b.total - a.total),
+    totals,
+  };
+};
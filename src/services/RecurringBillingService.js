@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Recurring Billing Service
+ *
+ * Generates draft bills for cases that carry a billing schedule, such as a
+ * monthly retainer or a quarterly fixed fee.
+ *
+ * @module RecurringBillingService
+ * @requires ../model/BillingHistory
+ * @requires ./BillingService
+ * @requires ./CaseFeeService
+ * @requires ./ExchangeRateService
+ * @requires ./ExpenseService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const AppError = require("../exception/AppError");
+const BillingHistory = require("../model/BillingHistory");
+const {
+  getNextBillingNumber,
+  calculateBillingTotals,
+} = require("./BillingService");
+const { recalculateBilling } = require("./BillingLedgerService");
+const { checkFeeLimits } = require("./CaseFeeService");
+const {
+  getUnbilledExpenses,
+  buildExpenseItems,
+  claimExpenses,
+  releaseExpenses,
+} = require("./ExpenseService");
+const { getRate, normalizeCurrency } = require("./ExchangeRateService");
+
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  semiAnnually: 6,
+  annually: 12,
+};
+
+/**
+ * Finds the billing period of a schedule that contains a date
+ *
+ * Periods are counted from the month of the anchor date and start on the
+ * schedule's day of the month.
+ *
+ * @function getBillingPeriod
+ * @param {Object} schedule - Billing schedule of the case
+ * @param {Date} anchorDate - Date the schedule counts from
+ * @param {Date} [date=new Date()] - Date the period must contain
+ * @returns {Object|null} Period start and end, null before the first period
+ *
+ * @example
+ * getBillingPeriod({ frequency: "quarterly", dayOfMonth: 1 }, "2026-01-10", "2026-05-02");
+ * // { start: 2026-04-01, end: 2026-06-30 }
+ */
+exports.getBillingPeriod = (schedule, anchorDate, date = new Date()) => {
+  const months = FREQUENCY_MONTHS[schedule?.frequency] ?? 1;
+  const day = Math.min(Math.max(schedule?.dayOfMonth ?? 1, 1), 28);
+  const anchor = moment(anchorDate).startOf("month");
+  const current = moment(date).startOf("day");
+
+  let index = Math.floor(
+    current.clone().startOf("month").diff(anchor, "months") / months
+  );
+  let start = anchor
+    .clone()
+    .add(index * months, "months")
+    .date(day);
+  if (start.isAfter(current)) {
+    index -= 1;
+    start = anchor
+      .clone()
+      .add(index * months, "months")
+      .date(day);
+  }
+  if (index < 0) {
+    return null;
+  }
+
+  return {
+    start: start.toDate(),
+    end: start
+      .clone()
+      .add(months, "months")
+      .subtract(1, "day")
+      .endOf("day")
+      .toDate(),
+  };
+};
+
+/**
+ * Creates the draft bill of the current period of a case, if it is due
+ *
+ * The period is skipped when it falls outside the case billing window or when
+ * a bill, other than a time-based or void one, already starts within it. The
+ * first bill of a case also charges its acceptance fee, and every bill
+ * re-bills the unbilled expenses of the case. A bill that would go over the
+ * cap fee, contract price or fixed OPE allowance of the case is not generated.
+ *
+ * @async
+ * @function generateScheduledBill
+ * @param {Object} caseData - Case with an enabled billing schedule
+ * @param {Date} [date=new Date()] - Day the schedule runs for
+ * @returns {Promise<Object|null>} The created draft bill, or null when skipped
+ * @throws {AppError} If the bill would go over an enforced fee of the case
+ */
+exports.generateScheduledBill = async (caseData, date = new Date()) => {
+  const schedule = caseData.billingSchedule;
+  const anchorDate =
+    caseData.billingStart || caseData.startDate || caseData.createdAt;
+  const period = this.getBillingPeriod(schedule, anchorDate, date);
+  if (!period) {
+    return null;
+  }
+
+  if (
+    (caseData.billingStart &&
+      moment(period.end).isBefore(caseData.billingStart, "day")) ||
+    (caseData.billingEnd &&
+      moment(period.start).isAfter(caseData.billingEnd, "day"))
+  ) {
+    return null;
+  }
+
+  // Time-based bills charge hours, not the scheduled fee, so they don't count
+  const existingBill = await BillingHistory.exists({
+    case: caseData._id,
+    billingType: { $ne: "timeBased" },
+    status: { $ne: "void" },
+    billingStart: { $gte: period.start, $lte: period.end },
+  });
+  if (existingBill) {
+    return null;
+  }
+
+  const periodLabel = `${moment(period.start).format("MMM D, YYYY")} - ${moment(
+    period.end
+  ).format("MMM D, YYYY")}`;
+  const vat = caseData.vatSetting ?? {};
+  const items = [
+    {
+      particulars: `Professional fee for ${periodLabel}`,
+      quantity: 1,
+      price: caseData.fixedFee,
+      discount: 0,
+      vat,
+      amount: caseData.fixedFee,
+      feeType: "fixedFee",
+    },
+  ];
+
+  const isFirstBill = !(await BillingHistory.exists({ case: caseData._id }));
+  if (isFirstBill && caseData.acceptanceFee > 0) {
+    items.unshift({
+      particulars: "Acceptance fee",
+      quantity: 1,
+      price: caseData.acceptanceFee,
+      discount: 0,
+      vat,
+      amount: caseData.acceptanceFee,
+      feeType: "acceptanceFee",
+    });
+  }
+
+  const currency = normalizeCurrency(caseData.currency);
+  const exchangeRate = await getRate(currency);
+
+  const expenses = await getUnbilledExpenses(caseData._id, date);
+  items.push(...(await buildExpenseItems(expenses, currency)));
+
+  // Nobody is there to override the case fees, so the bill is left to be
+  // raised by hand
+  const exceeded = await checkFeeLimits(caseData, items, {
+    currency,
+    exchangeRate,
+  });
+  const blocking = exceeded.filter((limit) => limit.enforced);
+  if (blocking.length) {
+    throw new AppError(blocking.map((limit) => limit.message).join(". "), 422);
+  }
+
+  const billingId = new Types.ObjectId();
+  if (expenses.length) {
+    await claimExpenses(
+      expenses.map((expense) => expense._id),
+      billingId
+    );
+  }
+
+  let billing;
+  try {
+    billing = await BillingHistory.create({
+      _id: billingId,
+      case: caseData._id,
+      client: caseData.client,
+      billingType: "recurring",
+      currency,
+      exchangeRate,
+      billNumber: await getNextBillingNumber(caseData.workspace),
+      note: `Generated by the ${schedule.frequency} billing schedule`,
+      billingStart: period.start,
+      billingEnd: period.end,
+      dueDate: moment(period.start)
+        .add(schedule.dueInDays ?? 30, "days")
+        .toDate(),
+      items,
+      ...calculateBillingTotals(items),
+      feeWarnings: exceeded.map((limit) => limit.message),
+      approvalStatus: "draft",
+      createdBy: caseData.createdBy,
+    });
+  } catch (error) {
+    await releaseExpenses(billingId);
+    throw error;
+  }
+  await recalculateBilling(billing);
+
+  return billing;
+};
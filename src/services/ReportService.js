@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Report Service
+ *
+ * Builds the revenue and collection figures of the dashboard: billed against
+ * collected per month, outstanding receivables, top clients by revenue, the
+ * collection rate of each supervising partner and utilization from the DSR.
+ *
+ * Every figure takes the same filters, a workspace and the date range of the
+ * bills, payments or time entries it is built from. Amounts are in PHP at the
+ * rate snapshotted on each bill.
+ *
+ * @module ReportService
+ * @requires ../model/BillingHistory
+ * @requires ../model/DSRTimeTracking
+ * @requires ../model/Payment
+ * @requires ./ReceivableService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const BillingHistory = require("../model/BillingHistory");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const Payment = require("../model/Payment");
+const { BASE_CURRENCY } = require("./ExchangeRateService");
+const { AGING_BUCKETS, getAgingReport } = require("./ReceivableService");
+const dateQueryGenerator = require("../utils/dateQueryGenerator");
+const { roundAmount } = require("../utils/utils");
+
+// Bills the client has received, void bills never count as revenue
+const ISSUED_BILLS = {
+  status: { $ne: "void" },
+  approvalStatus: { $nin: ["draft", "forReview"] },
+};
+
+const BASE_AMOUNT = {
+  $multiply: ["$grandTotal", { $ifNull: ["$exchangeRate", 1] }],
+};
+
+const percentage = (part, whole) =>
+  whole ? roundAmount((part / whole) * 100) : 0;
+
+/**
+ * Resolves the date range of a report, the last 12 months by default
+ *
+ * @function getReportPeriod
+ * @param {Object} filters
+ * @param {string} [filters.fromDate] - First day of the range
+ * @param {string} [filters.toDate] - Last day of the range
+ * @returns {Object} fromDate and toDate, as dates
+ */
+exports.getReportPeriod = ({ fromDate, toDate } = {}) => {
+  return {
+    fromDate: fromDate
+      ? moment(fromDate).startOf("day").toDate()
+      : moment().subtract(11, "months").startOf("month").toDate(),
+    toDate: toDate
+      ? moment(toDate).endOf("day").toDate()
+      : moment().endOf("day").toDate(),
+  };
+};
+
+// Keeps the documents whose case is in the workspace
+const workspaceStages = (workspace, localField = "case") =>
+  workspace
+    ? [
+        {
+          $lookup: {
+            from: "cases",
+            localField,
+            foreignField: "_id",
+            pipeline: [{ $project: { workspace: 1 } }],
+            as: "workspaceCase",
+          },
+        },
+        {
+          $match: {
+            "workspaceCase.workspace": new Types.ObjectId(workspace),
+          },
+        },
+      ]
+    : [];
+
+// Every month of the period, so months without figures are reported as zero
+const getMonths = ({ fromDate, toDate }) => {
+  const months = [];
+  const month = moment(fromDate).startOf("month");
+  while (month.isSameOrBefore(toDate)) {
+    months.push({
+      yearMonth: month.format("YYYY-MM"),
+      year: month.year(),
+      month: month.month() + 1,
+    });
+    month.add(1, "month");
+  }
+  return months;
+};
+
+const findMonth = (rows, { year, month }) =>
+  rows.find((row) => row._id.year === year && row._id.month === month);
+
+/**
+ * Sums the bills issued and the payments collected in each month
+ *
+ * @async
+ * @function getBilledVsCollected
+ * @param {Object} [filters={}] - workspace, fromDate and toDate
+ * @returns {Promise<Object>} Monthly billed and collected amounts with their totals
+ */
+exports.getBilledVsCollected = async (filters = {}) => {
+  const period = this.getReportPeriod(filters);
+
+  const billed = await BillingHistory.aggregate([
+    {
+      $match: {
+        ...ISSUED_BILLS,
+        ...dateQueryGenerator(period.fromDate, period.toDate),
+      },
+    },
+    ...workspaceStages(filters.workspace),
+    {
+      $group: {
+        _id: { year: { $year: "$createdAt" }, month: { $month: "$createdAt" } },
+        amount: { $sum: BASE_AMOUNT },
+        bills: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const collected = await Payment.aggregate([
+    { $match: dateQueryGenerator(period.fromDate, period.toDate, "date") },
+    {
+      $lookup: {
+        from: "billinghistories",
+        localField: "billing",
+        foreignField: "_id",
+        pipeline: [{ $project: { case: 1, exchangeRate: 1, status: 1 } }],
+        as: "billingData",
+      },
+    },
+    { $unwind: "$billingData" },
+    { $match: { "billingData.status": { $ne: "void" } } },
+    ...workspaceStages(filters.workspace, "billingData.case"),
+    {
+      $group: {
+        _id: { year: { $year: "$date" }, month: { $month: "$date" } },
+        amount: {
+          $sum: {
+            $multiply: [
+              "$amount",
+              { $ifNull: ["$billingData.exchangeRate", 1] },
+            ],
+          },
+        },
+        payments: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const months = getMonths(period).map((month) => ({
+    ...month,
+    billed: roundAmount(findMonth(billed, month)?.amount ?? 0),
+    collected: roundAmount(findMonth(collected, month)?.amount ?? 0),
+    bills: findMonth(billed, month)?.bills ?? 0,
+    payments: findMonth(collected, month)?.payments ?? 0,
+  }));
+  const totalBilled = roundAmount(
+    months.reduce((sum, month) => sum + month.billed, 0)
+  );
+  const totalCollected = roundAmount(
+    months.reduce((sum, month) => sum + month.collected, 0)
+  );
+
+  return {
+    months,
+    totals: {
+      billed: totalBilled,
+      collected: totalCollected,
+      collectionRate: percentage(totalCollected, totalBilled),
+    },
+  };
+};
+
+/**
+ * Sums what was outstanding at the end of the period, by age
+ *
+ * Every bill issued by then counts, with the balance it had that day, so bills
+ * paid since still show as they stood.
+ *
+ * @async
+ * @function getOutstandingReceivables
+ * @param {Object} [filters={}] - workspace and toDate
+ * @returns {Promise<Object>} Aging buckets, totals and the number of open bills
+ */
+exports.getOutstandingReceivables = async (filters = {}) => {
+  const { toDate } = this.getReportPeriod(filters);
+  const report = await getAgingReport({
+    workspace: filters.workspace,
+    asOf: moment.min(moment(toDate), moment()).toDate(),
+  });
+
+  return {
+    buckets: AGING_BUCKETS,
+    totals: report.totals,
+    bills: report.rows.reduce((count, row) => count + row.bills.length, 0),
+  };
+};
+
+/**
+ * Ranks the clients by the amount billed to them in the period
+ *
+ * @async
+ * @function getTopClientsByRevenue
+ * @param {Object} [filters={}] - workspace, fromDate and toDate
+ * @param {number} [limit=5] - Number of clients
+ * @returns {Promise<Array>} Clients with the amount billed and its share of the total
+ */
+exports.getTopClientsByRevenue = async (filters = {}, limit = 5) => {
+  const period = this.getReportPeriod(filters);
+
+  const [result] = await BillingHistory.aggregate([
+    {
+      $match: {
+        ...ISSUED_BILLS,
+        ...dateQueryGenerator(period.fromDate, period.toDate),
+      },
+    },
+    ...workspaceStages(filters.workspace),
+    { $group: { _id: "$client", revenue: { $sum: BASE_AMOUNT } } },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, revenue: { $sum: "$revenue" } } }],
+        clients: [
+          { $sort: { revenue: -1 } },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "clients",
+              localField: "_id",
+              foreignField: "_id",
+              as: "clientInfo",
+            },
+          },
+          { $unwind: "$clientInfo" },
+          {
+            $project: {
+              _id: 0,
+              clientId: "$_id",
+              revenue: 1,
+              clientInfo: {
+                companyName: "$clientInfo.companyName",
+                clientNumber: "$clientInfo.clientNumber",
+                code: "$clientInfo.code",
+                logo: "$clientInfo.logo",
+              },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  const totalRevenue = result?.total[0]?.revenue ?? 0;
+
+  return (result?.clients ?? []).map((client) => ({
+    ...client,
+    revenue: roundAmount(client.revenue),
+    share: percentage(client.revenue, totalRevenue),
+  }));
+};
+
+/**
+ * Compares what each supervising partner's clients were billed in the period
+ * with what has been collected on those bills
+ *
+ * @async
+ * @function getCollectionRateByPartner
+ * @param {Object} [filters={}] - workspace, fromDate and toDate
+ * @returns {Promise<Array>} Partners with the amounts billed and collected and the collection rate
+ */
+exports.getCollectionRateByPartner = async (filters = {}) => {
+  const period = this.getReportPeriod(filters);
+
+  const partners = await BillingHistory.aggregate([
+    {
+      $match: {
+        ...ISSUED_BILLS,
+        ...dateQueryGenerator(period.fromDate, period.toDate),
+      },
+    },
+    ...workspaceStages(filters.workspace),
+    {
+      $lookup: {
+        from: "payments",
+        localField: "_id",
+        foreignField: "billing",
+        pipeline: [{ $project: { amount: 1 } }],
+        as: "payments",
+      },
+    },
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        pipeline: [{ $project: { supervisingPartner: 1 } }],
+        as: "clientData",
+      },
+    },
+    { $unwind: "$clientData" },
+    {
+      $group: {
+        _id: "$clientData.supervisingPartner",
+        billed: { $sum: BASE_AMOUNT },
+        collected: {
+          $sum: {
+            $multiply: [
+              { $sum: "$payments.amount" },
+              { $ifNull: ["$exchangeRate", 1] },
+            ],
+          },
+        },
+        bills: { $sum: 1 },
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+        as: "partner",
+      },
+    },
+    { $unwind: { path: "$partner", preserveNullAndEmptyArrays: true } },
+    { $sort: { billed: -1 } },
+  ]);
+
+  return partners.map((partner) => ({
+    partnerId: partner._id,
+    partner: partner.partner
+      ? `${partner.partner.firstName} ${partner.partner.lastName}`
+      : "No supervising partner",
+    bills: partner.bills,
+    billed: roundAmount(partner.billed),
+    collected: roundAmount(partner.collected),
+    collectionRate: percentage(partner.collected, partner.billed),
+  }));
+};
+
+/**
+ * Sums the hours recorded in the DSR each month, and how many are billable
+ *
+ * Billable hours are recorded at a rate and not written off as no charge.
+ * Utilization is the share of recorded hours that are billable.
+ *
+ * @async
+ * @function getUtilization
+ * @param {Object} [filters={}] - workspace, fromDate and toDate
+ * @returns {Promise<Object>} Monthly and total recorded, billable and billed hours with the utilization
+ */
+exports.getUtilization = async (filters = {}) => {
+  const period = this.getReportPeriod(filters);
+
+  const hours = await DSRTimeTracking.aggregate([
+    {
+      $match: {
+        status: "active",
+        ...dateQueryGenerator(period.fromDate, period.toDate, "date"),
+      },
+    },
+    ...workspaceStages(filters.workspace),
+    {
+      $addFields: {
+        isBillable: {
+          $and: [
+            { $gt: ["$hourlyRate", 0] },
+            { $ne: ["$billingAdjustment.type", "noCharge"] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { year: { $year: "$date" }, month: { $month: "$date" } },
+        recordedHours: { $sum: "$hourCount" },
+        billableHours: {
+          $sum: { $cond: ["$isBillable", "$hourCount", 0] },
+        },
+        billedHours: {
+          $sum: { $cond: [{ $ne: ["$billing", null] }, "$hourCount", 0] },
+        },
+      },
+    },
+  ]);
+
+  const months = getMonths(period).map((month) => {
+    const row = findMonth(hours, month);
+    return {
+      ...month,
+      recordedHours: roundAmount(row?.recordedHours ?? 0),
+      billableHours: roundAmount(row?.billableHours ?? 0),
+      billedHours: roundAmount(row?.billedHours ?? 0),
+      utilization: percentage(row?.billableHours, row?.recordedHours),
+    };
+  });
+  const totals = ["recordedHours", "billableHours", "billedHours"].reduce(
+    (acc, field) => ({
+      ...acc,
+      [field]: roundAmount(
+        months.reduce((sum, month) => sum + month[field], 0)
+      ),
+    }),
+    {}
+  );
+
+  return {
+    months,
+    totals: {
+      ...totals,
+      utilization: percentage(totals.billableHours, totals.recordedHours),
+    },
+  };
+};
+
+/**
+ * Builds every revenue and collection figure of the dashboard
+ *
+ * @async
+ * @function getRevenueDashboard
+ * @param {Object} [filters={}] - workspace, fromDate and toDate
+ * @returns {Promise<Object>} The figures, with the period they cover
+ */
+exports.getRevenueDashboard = async (filters = {}) => {
+  const period = this.getReportPeriod(filters);
+  const reportFilters = { workspace: filters.workspace, ...period };
+
+  return {
+    ...period,
+    workspace: filters.workspace ?? null,
+    baseCurrency: BASE_CURRENCY,
+    billedVsCollected: await this.getBilledVsCollected(reportFilters),
+    outstandingReceivables: await this.getOutstandingReceivables(reportFilters),
+    topClientsByRevenue: await this.getTopClientsByRevenue(reportFilters),
+    collectionRateByPartner: await this.getCollectionRateByPartner(
+      reportFilters
+    ),
+    utilization: await this.getUtilization(reportFilters),
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Setting Service
+ *
+ * Reads the global settings managed through the config routes.
+ *
+ * @module SettingService
+ * @requires ../model/Setting
+ */
+
+const Setting = require("../model/Setting");
+
+/**
+ * Returns the value of a global setting
+ *
+ * @async
+ * @function getSetting
+ * @param {string} name - Setting name
+ * @param {*} [defaultValue=null] - Returned when the setting is not stored
+ * @returns {Promise<*>} The stored value or the default
+ *
+ * @example
+ * const days = await getSetting("billing_reminder_days", [7, 14, 30]);
+ */
+exports.getSetting = async (name, defaultValue = null) => {
+  const setting = await Setting.findOne({ name }).lean();
+  return setting?.value ?? defaultValue;
+};
+
+/**
+ * Returns a setting holding a list of numbers
+ *
+ * Values saved from the admin panel may arrive as an array or as a comma
+ * separated string, both are accepted.
+ *
+ * @async
+ * @function getNumberListSetting
+ * @param {string} name - Setting name
+ * @param {Array<number>} defaultValue - Returned when the setting is not stored or invalid
+ * @returns {Promise<Array<number>>} Sorted list of positive numbers
+ */
+exports.getNumberListSetting = async (name, defaultValue) => {
+  let value = await this.getSetting(name, defaultValue);
+  if (typeof value === "string") {
+    value = value.split(",");
+  }
+  const numbers = (Array.isArray(value) ? value : [])
+    .map((item) => Number(item))
+    .filter((item) => Number.isFinite(item) && item > 0)
+    .sort((a, b) => a - b);
+
+  return numbers.length ? numbers : defaultValue;
+};
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Timesheet Service
+ *
+ * DSR entries are signed off a week at a time. A user submits the timesheet
+ * of a week, which locks its entries, and a lead of one of the user's teams
+ * approves it or rejects it with a comment. Rejected timesheets are editable
+ * again, approved ones stay locked until a lead reopens them.
+ *
+ * @module TimesheetService
+ * @requires ../model/Timesheet
+ * @requires ./NotificationService
+ */
+
+const moment = require("moment");
+const { Types } = require("mongoose");
+const AppError = require("../exception/AppError");
+const DSRTimeTracking = require("../model/DSRTimeTracking");
+const Team = require("../model/Team");
+const Timesheet = require("../model/Timesheet");
+const User = require("../model/User");
+const { createNotification } = require("./NotificationService");
+const { roundAmount } = require("../utils/utils");
+
+exports.LOCKED_STATUSES = ["submitted", "approved"];
+
+// Status a timesheet must be in for each action, and the status it moves to
+const TRANSITIONS = {
+  submitted: { from: ["open", "rejected"], to: "submitted" },
+  approved: { from: ["submitted"], to: "approved" },
+  rejected: { from: ["submitted"], to: "rejected" },
+  reopened: { from: ["submitted", "approved"], to: "open" },
+};
+
+// Actions only a lead of the user's team may take
+const REVIEWER_ACTIONS = ["approved", "rejected", "reopened"];
+
+/**
+ * Returns the week a date falls in
+ *
+ * @function getWeek
+ * @param {Date|string} date - Any day of the week
+ * @returns {Object} weekStart, the Monday, and weekEnd, the end of the Sunday
+ */
+exports.getWeek = (date) => {
+  return {
+    weekStart: moment(date).startOf("isoWeek").toDate(),
+    weekEnd: moment(date).endOf("isoWeek").toDate(),
+  };
+};
+
+/**
+ * Ensures the DSR entries of a user on a day can be changed
+ *
+ * @async
+ * @function ensureWeekEditable
+ * @param {string} userId - User the entries belong to
+ * @param {Date|string} date - Day of the entry
+ * @throws {AppError} If the timesheet of the week is submitted or approved
+ */
+exports.ensureWeekEditable = async (userId, date) => {
+  const timesheet = await Timesheet.findOne({
+    user: userId,
+    weekStart: this.getWeek(date).weekStart,
+    status: { $in: this.LOCKED_STATUSES },
+  });
+  if (timesheet) {
+    throw new AppError(
+      `The timesheet of the week of ${moment(timesheet.weekStart).format(
+        "MMM D, YYYY"
+      )} is ${timesheet.status}, reopen it to change its entries`,
+      422
+    );
+  }
+};
+
+/**
+ * Fetches the active DSR entries of a user in a week
+ *
+ * @async
+ * @function getWeekEntries
+ * @param {string} userId - User the entries belong to
+ * @param {Object} week - From getWeek
+ * @returns {Promise<Array>} Entries with their case, ordered by date
+ */
+exports.getWeekEntries = async (userId, { weekStart, weekEnd }) => {
+  return await DSRTimeTracking.find({
+    user: userId,
+    status: "active",
+    date: { $gte: weekStart, $lte: weekEnd },
+  })
+    .populate("case", "caseNumber title")
+    .sort({ date: 1 })
+    .lean();
+};
+
+/**
+ * Returns the users whose timesheets a user reviews
+ *
+ * @async
+ * @function getReviewedUsers
+ * @param {Object} reviewer - Authenticated user
+ * @returns {Promise<Array|null>} User ids, null when the reviewer sees every timesheet
+ */
+exports.getReviewedUsers = async (reviewer) => {
+  if (reviewer.roleType === "superAdmin") {
+    return null;
+  }
+  const teams = await Team.find({
+    leads: reviewer._id,
+    status: "active",
+  }).select("users");
+
+  return teams.flatMap((team) => team.users);
+};
+
+/**
+ * Ensures a user may review the timesheet of another
+ *
+ * @async
+ * @function ensureReviewer
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} userId - Owner of the timesheet
+ * @throws {AppError} If the reviewer is the owner or does not lead one of the owner's teams
+ */
+exports.ensureReviewer = async (reviewer, userId) => {
+  if (`${reviewer._id}` === `${userId}`) {
+    throw new AppError("You cannot review your own timesheet", 403);
+  }
+  if (reviewer.roleType === "superAdmin") {
+    return;
+  }
+  const isLead = await Team.exists({
+    leads: reviewer._id,
+    users: new Types.ObjectId(userId),
+    status: "active",
+  });
+  if (!isLead) {
+    throw new AppError(
+      "Only a lead of the user's team can review this timesheet",
+      403
+    );
+  }
+};
+
+/**
+ * Moves a timesheet to the next status
+ *
+ * Submitting creates the timesheet of the week if needed and totals its
+ * entries. The leads of the user's teams are notified when it is submitted,
+ * the user when it is approved, rejected or reopened.
+ *
+ * @async
+ * @function transition
+ * @param {Object} timesheet - Timesheet document, or a new one for a first submission
+ * @param {string} action - submitted, approved, rejected or reopened
+ * @param {Object} details
+ * @param {Object} details.user - Authenticated user taking the action
+ * @param {string} [details.comment] - Comment of the user
+ * @returns {Promise<Object>} The saved timesheet
+ * @throws {AppError} If the action is not allowed from the status or by the user
+ */
+exports.transition = async (timesheet, action, { user, comment = null }) => {
+  const transition = TRANSITIONS[action];
+  const from = timesheet.status;
+  if (!transition.from.includes(from)) {
+    throw new AppError(`A timesheet that is ${from} cannot be ${action}`, 422);
+  }
+
+  if (REVIEWER_ACTIONS.includes(action)) {
+    await this.ensureReviewer(user, timesheet.user);
+    timesheet.reviewedBy = user._id;
+    timesheet.reviewedAt = new Date();
+  }
+
+  if (action === "submitted") {
+    if (`${timesheet.user}` !== `${user._id}`) {
+      throw new AppError("You can only submit your own timesheet", 403);
+    }
+    const entries = await this.getWeekEntries(timesheet.user, timesheet);
+    if (!entries.length) {
+      throw new AppError("There are no entries to submit for this week", 422);
+    }
+    timesheet.entryCount = entries.length;
+    timesheet.totalHours = roundAmount(
+      entries.reduce((sum, entry) => sum + (entry.hourCount ?? 0), 0)
+    );
+    timesheet.submittedAt = new Date();
+    timesheet.reviewedBy = null;
+    timesheet.reviewedAt = null;
+  }
+
+  timesheet.status = transition.to;
+  timesheet.history.push({
+    action,
+    from,
+    to: timesheet.status,
+    comment,
+    by: user._id,
+    at: new Date(),
+  });
+  await timesheet.save();
+
+  const notification = {
+    timesheetId: timesheet._id,
+    weekStart: timesheet.weekStart,
+    totalHours: timesheet.totalHours,
+    comment,
+  };
+  if (action === "submitted") {
+    const leads = await Team.find({
+      users: timesheet.user,
+      status: "active",
+    }).distinct("leads");
+    const owner = await User.findById(timesheet.user).select(
+      "firstName lastName"
+    );
+    for (const lead of leads) {
+      if (`${lead}` !== `${timesheet.user}`) {
+        await createNotification(lead, "timesheet_submitted", {
+          ...notification,
+          userName: `${owner?.firstName ?? ""} ${owner?.lastName ?? ""}`.trim(),
+        });
+      }
+    }
+  } else {
+    await createNotification(
+      timesheet.user,
+      `timesheet_${action}`,
+      notification
+    );
+  }
+
+  return timesheet;
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Mock Payment Gateway
+ *
+ * A local gateway for development and testing. Its checkout page is an API
+ * route of this server that pays the checkout at once and posts a signed
+ * webhook back, so the whole online payment flow runs without a network.
+ *
+ * Sessions and webhooks are signed with HMAC-SHA256 using
+ * PAYMENT_GATEWAY_SECRET.
+ *
+ * @module MockGateway
+ * @requires crypto
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const AppError = require("../../exception/AppError");
+
+exports.name = "mock";
+
+exports.SIGNATURE_HEADER = "x-mock-signature";
+
+const getSecret = () => {
+  if (!process.env.PAYMENT_GATEWAY_SECRET) {
+    throw new AppError("PAYMENT_GATEWAY_SECRET is not configured", 503);
+  }
+  return process.env.PAYMENT_GATEWAY_SECRET;
+};
+
+/**
+ * Signs a payload with the gateway secret
+ *
+ * @function sign
+ * @param {string|Buffer} payload - Raw payload
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+exports.sign = (payload) => {
+  return crypto.createHmac("sha256", getSecret()).update(payload).digest("hex");
+};
+
+const isValidSignature = (payload, signature) => {
+  const expected = Buffer.from(this.sign(payload));
+  const received = Buffer.from(`${signature ?? ""}`);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Opens a checkout for an amount
+ *
+ * @function createCheckout
+ * @param {Object} checkout
+ * @param {string} checkout.reference - Our reference, echoed back on the webhook
+ * @param {number} checkout.amount - Amount to collect
+ * @param {string} checkout.currency - Currency of the amount
+ * @param {string} [checkout.description] - Shown to the payer
+ * @returns {Promise<Object>} checkoutId and the checkoutUrl to send the payer to
+ */
+exports.createCheckout = async ({
+  reference,
+  amount,
+  currency,
+  description,
+}) => {
+  const checkoutId = `mock_${uuidv4()}`;
+  const session = Buffer.from(
+    JSON.stringify({ checkoutId, reference, amount, currency, description })
+  ).toString("base64url");
+
+  return {
+    checkoutId,
+    checkoutUrl: `${
+      process.env.API_URL ?? ""
+    }/api/pay/mock/checkout?session=${session}&signature=${this.sign(session)}`,
+  };
+};
+
+/**
+ * Pays a mock checkout and builds the webhook the gateway would send
+ *
+ * @function completeCheckout
+ * @param {string} session - Session from the checkout URL
+ * @param {string} signature - Signature from the checkout URL
+ * @returns {Object} Webhook request, with its headers and raw body
+ * @throws {AppError} If the session was not issued by this gateway
+ */
+exports.completeCheckout = (session, signature) => {
+  if (!isValidSignature(session, signature)) {
+    throw new AppError("Invalid checkout session", 400);
+  }
+  const checkout = JSON.parse(Buffer.from(session, "base64url").toString());
+
+  const rawBody = Buffer.from(
+    JSON.stringify({
+      type: "payment.succeeded",
+      data: {
+        ...checkout,
+        transactionId: `mock_txn_${uuidv4()}`,
+        paidAt: new Date().toISOString(),
+      },
+    })
+  );
+
+  return {
+    headers: { [this.SIGNATURE_HEADER]: this.sign(rawBody) },
+    rawBody,
+  };
+};
+
+/**
+ * Verifies a webhook and maps it to a gateway event
+ *
+ * @function parseWebhook
+ * @param {Object} request
+ * @param {Object} request.headers - Request headers
+ * @param {Buffer} request.rawBody - Body exactly as received
+ * @returns {Object} Event with type, checkoutId, reference, transactionId, amount, currency and paidAt
+ * @throws {AppError} If the signature does not match
+ */
+exports.parseWebhook = ({ headers, rawBody }) => {
+  if (!rawBody || !isValidSignature(rawBody, headers[this.SIGNATURE_HEADER])) {
+    throw new AppError("Invalid webhook signature", 401);
+  }
+  const { type, data } = JSON.parse(rawBody.toString());
+
+  return {
+    type,
+    checkoutId: data.checkoutId,
+    reference: data.reference,
+    transactionId: data.transactionId,
+    amount: Number(data.amount),
+    currency: data.currency,
+    paidAt: new Date(data.paidAt),
+  };
+};
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Payment Gateway Adapters
+ *
+ * Online payments go through an adapter per gateway, picked with the
+ * PAYMENT_GATEWAY environment variable. Every adapter exports:
+ *
+ * - `name` - Key of the gateway, used in its webhook route
+ * - `createCheckout({ reference, amount, currency, description })` - Opens a
+ *   checkout and resolves to `{ checkoutId, checkoutUrl }`
+ * - `parseWebhook({ headers, rawBody })` - Verifies a webhook and returns
+ *   `{ type, checkoutId, reference, transactionId, amount, currency, paidAt }`,
+ *   where a settled payment has the type "payment.succeeded"
+ *
+ * @module PaymentGateway
+ * @requires ./MockGateway
+ */
+
+const AppError = require("../../exception/AppError");
+
+const GATEWAYS = {
+  mock: require("./MockGateway"),
+};
+
+/**
+ * Returns the adapter of a payment gateway
+ *
+ * @function getGateway
+ * @param {string} [name=process.env.PAYMENT_GATEWAY] - Gateway key
+ * @returns {Object} The gateway adapter
+ * @throws {AppError} If online payments are not configured or the gateway is unknown
+ */
+exports.getGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (!name) {
+    throw new AppError("Online payments are not configured", 503);
+  }
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new AppError(`Unknown payment gateway ${name}`, 404);
+  }
+  return gateway;
+};
@@ -0,0 +1,226 @@
+/**
+ * Parses bank statements exported as CSV or OFX into statement lines.
+ *
+ * Every line is returned as `{ date, description, reference, amount, currency }`
+ * where money received is positive and money paid out is negative.
+ */
+
+const moment = require("moment");
+const AppError = require("../exception/AppError");
+
+// Accepted CSV headers per field, compared in lower case without punctuation
+const CSV_HEADERS = {
+  date: ["date", "transactiondate", "postingdate", "valuedate", "postdate"],
+  description: [
+    "description",
+    "details",
+    "particulars",
+    "narration",
+    "memo",
+    "remarks",
+  ],
+  reference: [
+    "reference",
+    "ref",
+    "referenceno",
+    "referencenumber",
+    "transactionid",
+    "checkno",
+    "chequeno",
+  ],
+  amount: ["amount", "transactionamount"],
+  credit: ["credit", "credits", "deposit", "deposits", "creditamount"],
+  debit: ["debit", "debits", "withdrawal", "withdrawals", "debitamount"],
+  currency: ["currency", "ccy"],
+};
+
+const DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "MM/DD/YYYY",
+  "M/D/YYYY",
+  "DD-MMM-YYYY",
+  "D-MMM-YY",
+  "MMM D, YYYY",
+  "YYYYMMDD",
+];
+
+const normalizeHeader = (header) =>
+  `${header}`.toLowerCase().replace(/[^a-z]/g, "");
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || `${value}`.trim() === "") {
+    return null;
+  }
+  const text = `${value}`.trim();
+  // Accounting negatives are written as (1,000.00)
+  const negative = /^\(.*\)$/.test(text) || text.startsWith("-");
+  const number = Number(text.replace(/[^0-9.]/g, ""));
+  if (Number.isNaN(number)) {
+    return null;
+  }
+  return negative ? -number : number;
+};
+
+const parseDate = (value) => {
+  const date = moment(`${value}`.trim(), DATE_FORMATS, true);
+  return date.isValid() ? date.toDate() : null;
+};
+
+/**
+ * Splits CSV text into rows, honouring quoted values
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+const splitCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+exports.parseCsv = (text, defaultCurrency = null) => {
+  const [headers = [], ...rows] = splitCsv(text);
+
+  const columns = {};
+  headers.forEach((header, index) => {
+    const name = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(CSV_HEADERS)) {
+      if (columns[field] === undefined && aliases.includes(name)) {
+        columns[field] = index;
+      }
+    }
+  });
+
+  if (
+    columns.date === undefined ||
+    (columns.amount === undefined && columns.credit === undefined)
+  ) {
+    throw new AppError(
+      "The statement needs a date column and an amount or credit column",
+      422
+    );
+  }
+
+  return rows.map((cells, index) => {
+    const cell = (field) =>
+      columns[field] === undefined ? null : cells[columns[field]] ?? null;
+
+    const amount =
+      columns.amount !== undefined
+        ? parseAmount(cell("amount"))
+        : (parseAmount(cell("credit")) ?? 0) -
+          Math.abs(parseAmount(cell("debit")) ?? 0);
+
+    const date = parseDate(cell("date"));
+    if (!date || amount === null) {
+      throw new AppError(`Invalid date or amount on row ${index + 2}`, 422);
+    }
+
+    return {
+      date,
+      description: cell("description")?.trim() || null,
+      reference: cell("reference")?.trim() || null,
+      amount,
+      currency: cell("currency")?.trim() || defaultCurrency,
+    };
+  });
+};
+
+// OFX 1.x is SGML, closing tags of values are optional
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : null;
+};
+
+exports.parseOfx = (text, defaultCurrency = null) => {
+  const currency = ofxValue(text, "CURDEF") || defaultCurrency;
+  const transactions = text.match(
+    /<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi
+  );
+
+  if (!transactions) {
+    throw new AppError("No transactions found in the OFX statement", 422);
+  }
+
+  return transactions.map((block, index) => {
+    const postedAt = ofxValue(block, "DTPOSTED");
+    const date = postedAt
+      ? moment(postedAt.slice(0, 8), "YYYYMMDD", true)
+      : null;
+    const amount = parseAmount(ofxValue(block, "TRNAMT"));
+    if (!date?.isValid() || amount === null) {
+      throw new AppError(
+        `Invalid date or amount on transaction ${index + 1}`,
+        422
+      );
+    }
+
+    const name = ofxValue(block, "NAME");
+    const memo = ofxValue(block, "MEMO");
+
+    return {
+      date: date.toDate(),
+      description: [name, memo].filter(Boolean).join(" ") || null,
+      reference:
+        ofxValue(block, "REFNUM") ||
+        ofxValue(block, "CHECKNUM") ||
+        ofxValue(block, "FITID"),
+      amount,
+      currency,
+    };
+  });
+};
+
+/**
+ * Parses an uploaded bank statement, detecting CSV or OFX
+ *
+ * @param {Object} file - Uploaded file from multer
+ * @param {string} [defaultCurrency] - Currency of lines that don't state one
+ * @returns {Object} The detected format and the statement lines
+ * @throws {AppError} If the file can't be read as a statement
+ */
+exports.parseBankStatement = (file, defaultCurrency = null) => {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const isOfx =
+    /\.(ofx|qfx)$/i.test(file.originalname ?? "") || /<OFX>/i.test(text);
+
+  return isOfx
+    ? { format: "ofx", lines: this.parseOfx(text, defaultCurrency) }
+    : { format: "csv", lines: this.parseCsv(text, defaultCurrency) };
+};
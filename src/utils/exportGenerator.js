@@ -0,0 +1,88 @@
+/**
+ * Helpers to export tabular report data as downloadable files.
+ *
+ * Columns are described as `{ header, key }` or `{ header, value: (row) => any }`.
+ * XLSX columns may also set a `width` and a `numFmt`, e.g. "#,##0.00".
+ */
+
+const ExcelJS = require("exceljs");
+
+const getCellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+const escapeCsvValue = (value) => {
+  const text = `${value}`;
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+exports.toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header))];
+  for (const row of rows) {
+    lines.push(
+      columns.map((column) => escapeCsvValue(getCellValue(column, row)))
+    );
+  }
+  return lines.map((line) => line.join(",")).join("\r\n");
+};
+
+exports.sendCsv = (res, fileName, columns, rows) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${fileName}.csv"`,
+  });
+  res.send(this.toCsv(columns, rows));
+};
+
+/**
+ * Builds an XLSX workbook with one worksheet per sheet
+ *
+ * @param {Array<Object>} sheets - `{ name, columns, rows }` per worksheet
+ * @returns {Promise<Buffer>} The workbook file
+ */
+exports.toXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map((column, index) => ({
+      header: column.header,
+      key: `${index}`,
+      width: column.width ?? 18,
+      style: column.numFmt ? { numFmt: column.numFmt } : {},
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for (const row of sheet.rows) {
+      worksheet.addRow(
+        sheet.columns.map((column) => {
+          const value = column.value ? column.value(row) : row[column.key];
+          return value ?? null;
+        })
+      );
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+exports.sendXlsx = async (res, fileName, sheets) => {
+  const file = await this.toXlsx(sheets);
+  res.set({
+    "Content-Type":
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "Content-Disposition": `attachment; filename="${fileName}.xlsx"`,
+    "Content-Length": file.length,
+  });
+  res.send(file);
+};
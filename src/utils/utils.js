@@ -1,3 +1,34 @@
 exports.getUniqueValues = (arr) => {
   return [...new Set(arr)];
 };
+
+exports.formatAmount = (value) => {
+  return Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+};
+
+exports.formatAddress = (address) => {
+  if (!address) {
+    return "";
+  }
+  return [
+    address.houseNumber,
+    address.street,
+    address.barangay,
+    address.city,
+    address.zip,
+    address.region,
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+exports.roundAmount = (value) => {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+};
+
+// Form uploads and query strings send booleans as strings
+exports.parseBoolean = (value) => value === true || value === "true";
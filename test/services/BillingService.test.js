@@ -0,0 +1,60 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateBillingTotals } = require("../../src/services/BillingService");
+
+describe("calculateBillingTotals", () => {
+  it("returns zeros without items", () => {
+    assert.deepEqual(calculateBillingTotals(), {
+      subTotal: 0,
+      tax: 0,
+      discount: 0,
+      grandTotal: 0,
+    });
+  });
+
+  it("applies percentage VAT to the discounted amount", () => {
+    const totals = calculateBillingTotals([
+      {
+        quantity: 2,
+        price: 1000,
+        discount: 10,
+        vat: { type: "percentage", rate: 12 },
+      },
+    ]);
+
+    assert.deepEqual(totals, {
+      subTotal: 2000,
+      tax: 216,
+      discount: 200,
+      grandTotal: 2016,
+    });
+  });
+
+  it("adds flat VAT once per item", () => {
+    const totals = calculateBillingTotals([
+      { quantity: 3, price: 500, vat: { type: "flat", rate: 50 } },
+    ]);
+
+    assert.equal(totals.tax, 50);
+    assert.equal(totals.grandTotal, 1550);
+  });
+
+  it("sums several items", () => {
+    const totals = calculateBillingTotals([
+      { quantity: 1.5, price: 4000 },
+      {
+        quantity: 1,
+        price: 2500,
+        discount: 20,
+        vat: { type: "percentage", rate: 12 },
+      },
+    ]);
+
+    assert.deepEqual(totals, {
+      subTotal: 8500,
+      tax: 240,
+      discount: 500,
+      grandTotal: 8240,
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { roundToIncrement } = require("../../src/services/DsrService");
+
+describe("roundToIncrement", () => {
+  it("rounds up to the next increment", () => {
+    assert.equal(roundToIncrement(22 * 60, 6), 0.4);
+    assert.equal(roundToIncrement(6 * 60 + 1, 6), 0.2);
+  });
+
+  it("keeps a duration that is a whole number of increments", () => {
+    assert.equal(roundToIncrement(6 * 60, 6), 0.1);
+    assert.equal(roundToIncrement(60 * 60, 15), 1);
+  });
+
+  it("counts a started increment in full", () => {
+    assert.equal(roundToIncrement(1, 15), 0.25);
+  });
+
+  it("returns zero without any time", () => {
+    assert.equal(roundToIncrement(0, 6), 0);
+  });
+});
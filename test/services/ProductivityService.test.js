@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getMonthShares,
+  getMonthlyTargets,
+  getProductivityPeriod,
+  getTargetHours,
+} = require("../../src/services/ProductivityService");
+
+describe("getMonthShares", () => {
+  it("covers a whole month in full", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2026-02-01", toDate: "2026-02-28" })
+    );
+
+    assert.deepEqual(months, [
+      { yearMonth: "2026-02", year: 2026, month: 2, share: 1 },
+    ]);
+  });
+
+  it("prorates partial months by their days", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2026-01-15", toDate: "2026-03-10" })
+    );
+
+    assert.deepEqual(
+      months.map((month) => month.yearMonth),
+      ["2026-01", "2026-02", "2026-03"]
+    );
+    assert.equal(months[0].share, 17 / 31);
+    assert.equal(months[1].share, 1);
+    assert.equal(months[2].share, 10 / 31);
+  });
+
+  it("spans the turn of a year", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2025-12-01", toDate: "2026-01-31" })
+    );
+
+    assert.deepEqual(
+      months.map(({ year, month }) => [year, month]),
+      [
+        [2025, 12],
+        [2026, 1],
+      ]
+    );
+  });
+});
+
+describe("getMonthlyTargets", () => {
+  it("spreads the annual hours evenly", () => {
+    assert.deepEqual(
+      getMonthlyTargets({ annualHours: 1200 }),
+      Array(12).fill(100)
+    );
+  });
+
+  it("uses the monthly hours when all twelve are set", () => {
+    const monthlyHours = [
+      80, 90, 100, 100, 100, 100, 100, 100, 100, 100, 110, 120,
+    ];
+    assert.deepEqual(
+      getMonthlyTargets({ annualHours: 1200, monthlyHours }),
+      monthlyHours
+    );
+  });
+
+  it("returns zeros without a target", () => {
+    assert.deepEqual(getMonthlyTargets(null), Array(12).fill(0));
+  });
+});
+
+describe("getTargetHours", () => {
+  const targets = [
+    { year: 2025, annualHours: 600 },
+    { year: 2026, annualHours: 1200 },
+  ];
+
+  it("prorates the target of each month by its share", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2026-01-15", toDate: "2026-02-28" })
+    );
+
+    assert.equal(getTargetHours(targets, months), 100 * (17 / 31) + 100);
+  });
+
+  it("takes each month from the target of its year", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2025-12-01", toDate: "2026-01-31" })
+    );
+
+    assert.equal(getTargetHours(targets, months), 50 + 100);
+  });
+
+  it("counts months without a target as zero", () => {
+    const months = getMonthShares(
+      getProductivityPeriod({ fromDate: "2024-01-01", toDate: "2024-12-31" })
+    );
+
+    assert.equal(getTargetHours(targets, months), 0);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const {
+  getRateOn,
+  applyRateChange,
+} = require("../../src/services/RateService");
+
+const day = (date) => moment(date).toDate();
+
+describe("getRateOn", () => {
+  const history = [
+    { rate: 3000, effectiveFrom: null },
+    { rate: 4000, effectiveFrom: day("2026-01-01") },
+    { rate: 4500, effectiveFrom: day("2026-07-01") },
+  ];
+
+  it("falls back to the current rate without a history", () => {
+    assert.equal(getRateOn([], 2500), 2500);
+    assert.equal(getRateOn(undefined, undefined), 0);
+  });
+
+  it("returns the rate effective on the day", () => {
+    assert.equal(getRateOn(history, 4500, day("2025-12-31")), 3000);
+    assert.equal(getRateOn(history, 4500, day("2026-03-15")), 4000);
+    assert.equal(getRateOn(history, 4500, day("2026-08-01")), 4500);
+  });
+
+  it("applies a rate from the start of its first day", () => {
+    assert.equal(getRateOn(history, 4500, day("2026-01-01 00:00")), 4000);
+    assert.equal(getRateOn(history, 4500, day("2026-06-30 23:00")), 4000);
+  });
+
+  it("does not depend on the order of the history", () => {
+    assert.equal(
+      getRateOn([...history].reverse(), 4500, day("2026-03-15")),
+      4000
+    );
+  });
+
+  it("returns zero before the first effective rate", () => {
+    assert.equal(
+      getRateOn(
+        [{ rate: 4000, effectiveFrom: day("2026-01-01") }],
+        4000,
+        day("2025-06-01")
+      ),
+      0
+    );
+  });
+});
+
+describe("applyRateChange", () => {
+  it("keeps the previous rate as effective since always", () => {
+    const user = { hourlyRate: 3000 };
+    applyRateChange(user, "hourlyRate", 4000, "2020-01-01");
+
+    assert.deepEqual(
+      user.rateHistory.map((entry) => entry.rate),
+      [3000, 4000]
+    );
+    assert.equal(user.rateHistory[0].effectiveFrom, null);
+    assert.ok(
+      moment(user.rateHistory[1].effectiveFrom).isSame("2020-01-01", "day")
+    );
+    assert.equal(user.hourlyRate, 4000);
+  });
+
+  it("keeps the current rate until a future change takes effect", () => {
+    const user = { hourlyRate: 3000 };
+    applyRateChange(user, "hourlyRate", 4000, "2999-01-01");
+
+    assert.equal(user.hourlyRate, 3000);
+    assert.equal(user.rateHistory.length, 2);
+  });
+
+  it("replaces a change on the same day", () => {
+    const user = { hourlyRate: 3000 };
+    applyRateChange(user, "hourlyRate", 4000, "2020-01-01");
+    applyRateChange(user, "hourlyRate", 4200, "2020-01-01");
+
+    assert.deepEqual(
+      user.rateHistory.map((entry) => entry.rate),
+      [3000, 4200]
+    );
+    assert.equal(user.hourlyRate, 4200);
+  });
+
+  it("ignores an unchanged rate without an effective date", () => {
+    const user = { hourlyRate: 3000 };
+    applyRateChange(user, "hourlyRate", "3000");
+
+    assert.equal(user.rateHistory, undefined);
+    assert.equal(user.hourlyRate, 3000);
+  });
+
+  it("starts the history at the first rate when there was none", () => {
+    const member = { rate: 0 };
+    applyRateChange(member, "rate", 2000, "2020-01-01");
+
+    assert.equal(member.rateHistory.length, 1);
+    assert.equal(member.rate, 2000);
+  });
+});
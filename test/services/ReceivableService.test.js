@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const { getAgingBucket } = require("../../src/services/ReceivableService");
+
+const day = (date) => moment(date).toDate();
+
+describe("getAgingBucket", () => {
+  const dueDate = day("2026-01-01");
+
+  it("keeps bills without a due date current", () => {
+    const { bucket, daysPastDue } = getAgingBucket(null, day("2026-06-01"));
+    assert.equal(bucket.key, "current");
+    assert.equal(daysPastDue, 0);
+  });
+
+  it("keeps bills current up to their due date", () => {
+    assert.equal(
+      getAgingBucket(dueDate, day("2025-12-15")).bucket.key,
+      "current"
+    );
+    assert.equal(
+      getAgingBucket(dueDate, day("2026-01-01 18:00")).bucket.key,
+      "current"
+    );
+  });
+
+  it("counts whole days past due", () => {
+    assert.deepEqual(
+      getAgingBucket(dueDate, day("2026-01-02 01:00")).daysPastDue,
+      1
+    );
+  });
+
+  it("puts each boundary day in the lower bucket", () => {
+    const bucketOn = (date) => getAgingBucket(dueDate, day(date)).bucket.key;
+
+    assert.equal(bucketOn("2026-01-31"), "days1To30");
+    assert.equal(bucketOn("2026-02-01"), "days31To60");
+    assert.equal(bucketOn("2026-03-02"), "days31To60");
+    assert.equal(bucketOn("2026-03-03"), "days61To90");
+    assert.equal(bucketOn("2026-04-01"), "days61To90");
+    assert.equal(bucketOn("2026-04-02"), "days90Plus");
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const {
+  parseBankStatement,
+  parseCsv,
+  parseOfx,
+} = require("../../src/utils/bankStatementParser");
+
+const format = (date) => moment(date).format("YYYY-MM-DD");
+
+describe("parseCsv", () => {
+  it("reads a signed amount column", () => {
+    const lines = parseCsv(
+      [
+        "Date,Description,Reference No.,Amount",
+        '2026-01-05,"Payment, ACME Corp",REF-1,"1,500.00"',
+        "01/06/2026,Bank charge,,(25.00)",
+        "2026-01-07,Transfer out,REF-2,-300",
+      ].join("\r\n"),
+      "PHP"
+    );
+
+    assert.deepEqual(
+      lines.map((line) => ({ ...line, date: format(line.date) })),
+      [
+        {
+          date: "2026-01-05",
+          description: "Payment, ACME Corp",
+          reference: "REF-1",
+          amount: 1500,
+          currency: "PHP",
+        },
+        {
+          date: "2026-01-06",
+          description: "Bank charge",
+          reference: null,
+          amount: -25,
+          currency: "PHP",
+        },
+        {
+          date: "2026-01-07",
+          description: "Transfer out",
+          reference: "REF-2",
+          amount: -300,
+          currency: "PHP",
+        },
+      ]
+    );
+  });
+
+  it("nets credit and debit columns", () => {
+    const lines = parseCsv(
+      [
+        "Posting Date,Particulars,Credit,Debit,CCY",
+        "2026-01-05,Deposit,1000,,USD",
+        "2026-01-06,Withdrawal,,200,USD",
+      ].join("\n")
+    );
+
+    assert.deepEqual(
+      lines.map((line) => [line.amount, line.currency]),
+      [
+        [1000, "USD"],
+        [-200, "USD"],
+      ]
+    );
+  });
+
+  it("skips blank rows", () => {
+    const lines = parseCsv("Date,Amount\n\n2026-01-05,10\n,\n");
+    assert.equal(lines.length, 1);
+  });
+
+  it("rejects a statement without a date or amount column", () => {
+    assert.throws(() => parseCsv("Description,Reference\nx,y"), {
+      statusCode: 422,
+    });
+  });
+
+  it("rejects a row with an invalid date", () => {
+    assert.throws(() => parseCsv("Date,Amount\n2026-13-45,10"), {
+      statusCode: 422,
+      message: "Invalid date or amount on row 2",
+    });
+  });
+});
+
+describe("parseOfx", () => {
+  const ofx = `OFXHEADER:100
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>PHP
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260105120000
+<TRNAMT>2500.50
+<FITID>FIT-1
+<NAME>ACME Corp
+<MEMO>Invoice 0001
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260106
+<TRNAMT>-75.00
+<FITID>FIT-2
+<REFNUM>REF-2
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+  it("reads every transaction", () => {
+    const lines = parseOfx(ofx);
+
+    assert.deepEqual(
+      lines.map((line) => ({ ...line, date: format(line.date) })),
+      [
+        {
+          date: "2026-01-05",
+          description: "ACME Corp Invoice 0001",
+          reference: "FIT-1",
+          amount: 2500.5,
+          currency: "PHP",
+        },
+        {
+          date: "2026-01-06",
+          description: null,
+          reference: "REF-2",
+          amount: -75,
+          currency: "PHP",
+        },
+      ]
+    );
+  });
+
+  it("rejects a statement without transactions", () => {
+    assert.throws(() => parseOfx("<OFX></OFX>"), { statusCode: 422 });
+  });
+});
+
+describe("parseBankStatement", () => {
+  it("detects the format of the upload", () => {
+    const csv = parseBankStatement({
+      originalname: "statement.csv",
+      buffer: Buffer.from("\uFEFFDate,Amount\n2026-01-05,10"),
+    });
+    const ofx = parseBankStatement({
+      originalname: "statement.qfx",
+      buffer: Buffer.from(
+        "<STMTTRN><DTPOSTED>20260105<TRNAMT>10</BANKTRANLIST>"
+      ),
+    });
+
+    assert.equal(csv.format, "csv");
+    assert.equal(csv.lines[0].amount, 10);
+    assert.equal(ofx.format, "ofx");
+    assert.equal(ofx.lines[0].amount, 10);
+  });
+});
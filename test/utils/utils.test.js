@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseBoolean, roundAmount } = require("../../src/utils/utils");
+
+describe("parseBoolean", () => {
+  it("reads booleans sent as strings", () => {
+    assert.equal(parseBoolean("true"), true);
+    assert.equal(parseBoolean("false"), false);
+  });
+
+  it("keeps real booleans", () => {
+    assert.equal(parseBoolean(true), true);
+    assert.equal(parseBoolean(false), false);
+  });
+
+  it("treats anything else as false", () => {
+    assert.equal(parseBoolean(undefined), false);
+    assert.equal(parseBoolean("1"), false);
+  });
+});
+
+describe("roundAmount", () => {
+  it("rounds to cents", () => {
+    assert.equal(roundAmount(1.005), 1.01);
+    assert.equal(roundAmount(0.1 + 0.2), 0.3);
+  });
+
+  it("treats missing values as zero", () => {
+    assert.equal(roundAmount(null), 0);
+  });
+});